@@ -59,6 +59,65 @@ CREATE TABLE IF NOT EXISTS verification_analytics (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Webhook subscriptions, one per API key and endpoint URL
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    api_key_id UUID NOT NULL,
+    url TEXT NOT NULL,
+    events JSONB NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook delivery log and retry queue (status: pending, delivering, delivered, dead_letter)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Candidate analyzer results scored next to the live analyzer (see src/services/shadowService.js)
+CREATE TABLE IF NOT EXISTS shadow_verifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    verification_id UUID NOT NULL,
+    api_key_id UUID,
+    detection_method VARCHAR(50),
+    analyzer_version VARCHAR(20) NOT NULL,
+    config_hash VARCHAR(64) NOT NULL,
+    is_human BOOLEAN NOT NULL,
+    confidence DECIMAL(5,4),
+    reason_codes JSONB,
+    live_config_hash VARCHAR(64),
+    live_is_human BOOLEAN NOT NULL,
+    live_confidence DECIMAL(5,4),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ground-truth labels reported for verifications, one per verification (see src/services/feedbackService.js)
+CREATE TABLE IF NOT EXISTS verification_feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    verification_id UUID NOT NULL UNIQUE,
+    api_key_id UUID,
+    label VARCHAR(10) NOT NULL CHECK (label IN ('human', 'bot')),
+    source VARCHAR(50),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_verification_attempts_session_id ON verification_attempts(session_id);
 CREATE INDEX IF NOT EXISTS idx_verification_attempts_ip_address ON verification_attempts(ip_address);
@@ -68,6 +127,34 @@ CREATE INDEX IF NOT EXISTS idx_verification_sessions_expires_at ON verification_
 CREATE INDEX IF NOT EXISTS idx_rate_limits_identifier ON rate_limits(identifier, limit_type);
 CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits(expires_at);
 CREATE INDEX IF NOT EXISTS idx_verification_analytics_date ON verification_analytics(date);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_api_key_id ON webhook_subscriptions(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_shadow_verifications_created_at ON shadow_verifications(created_at);
+
+-- Core API tables (challenges, verifications, api_keys, pressure_data) columns
+-- added after their initial release
+ALTER TABLE IF EXISTS challenges ADD COLUMN IF NOT EXISTS stream_token VARCHAR(64);
+ALTER TABLE IF EXISTS challenges ADD COLUMN IF NOT EXISTS expected_pattern JSONB;
+ALTER TABLE IF EXISTS challenges ADD COLUMN IF NOT EXISTS config JSONB;
+ALTER TABLE IF EXISTS challenges ADD COLUMN IF NOT EXISTS action VARCHAR(100);
+ALTER TABLE IF EXISTS challenges ADD COLUMN IF NOT EXISTS hostname VARCHAR(253);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS reason_codes JSONB;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS risk_score DECIMAL(5,4);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS detection_method VARCHAR(50);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS device_profile VARCHAR(100);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS analyzer_version VARCHAR(20);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS analyzer_config_hash VARCHAR(64);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS server_elapsed_ms INTEGER;
+ALTER TABLE IF EXISTS pressure_data ADD COLUMN IF NOT EXISTS motion_samples JSONB;
+ALTER TABLE IF EXISTS pressure_data ADD COLUMN IF NOT EXISTS device_info JSONB;
+
+-- Per-key rollups of the verifications table (see src/services/analyticsService.js)
+ALTER TABLE verification_analytics ADD COLUMN IF NOT EXISTS api_key_id UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_verification_analytics_rollup
+    ON verification_analytics(date, api_key_id, detection_method, device_type);
+CREATE INDEX IF NOT EXISTS idx_verification_analytics_api_key_date ON verification_analytics(api_key_id, date);
 
 -- Function to clean up expired records
 CREATE OR REPLACE FUNCTION cleanup_expired_records()
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Replay stored submissions through a candidate analyzer config and report
+ * how the recorded verdicts would change.
+ *
+ * Usage: node scripts/backtest.js [--config candidate.json] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                                 [--api-key <id>] [--method <detectionMethod>] [--limit N] [--json]
+ *
+ * The config file holds HumanPatternAnalyzer overrides, e.g.
+ *   { "patterns": { "pressureVariance": { "max": 0.2 } }, "confidenceThreshold": 0.7 }
+ * Without --config the current defaults are replayed, which shows drift from the recorded verdicts.
+ * Defaults to the last 7 days and 10000 submissions (most recent first).
+ */
+
+const fs = require('fs');
+const database = require('../src/database/database');
+const backtestService = require('../src/services/backtestService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 7;
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--config') args.config = argv[++i];
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--api-key') args.apiKeyId = argv[++i];
+    else if (argv[i] === '--method') args.detectionMethod = argv[++i];
+    else if (argv[i] === '--limit') args.limit = parseInt(argv[++i], 10);
+    else if (argv[i] === '--json') args.json = true;
+  }
+
+  return args;
+}
+
+function formatDelta(value) {
+  return value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(4)}`;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  console.log(`Replayed ${report.replayed} submissions from ${report.from.toISOString()} to ${report.to.toISOString()}`);
+  if (report.incompleteInputs > 0) {
+    console.log(`  ${report.incompleteInputs} stored without motion/device info, replayed without them`);
+  }
+  console.log(`Changed verdicts: ${report.changed} (human -> bot: ${report.humanToBot}, bot -> human: ${report.botToHuman})`);
+  console.log(`Confidence delta: mean ${formatDelta(report.confidence.meanDelta)}, ` +
+    `mean abs ${formatDelta(report.confidence.meanAbsDelta)}, ` +
+    `range ${formatDelta(report.confidence.maxDecrease)} .. ${formatDelta(report.confidence.maxIncrease)}`);
+
+  console.log('\nBy detection method:');
+  Object.entries(report.byDetectionMethod).forEach(([method, stats]) => {
+    console.log(`  ${method.padEnd(14)} ${String(stats.replayed).padStart(6)} replayed  ` +
+      `human rate ${formatRate(stats.recordedHumanRate)} -> ${formatRate(stats.candidateHumanRate)}  ` +
+      `flips ${stats.humanToBot} / ${stats.botToHuman}  mean delta ${formatDelta(stats.confidence.meanDelta)}`);
+  });
+
+  if (report.changes.length > 0) {
+    console.log(`\nFirst ${report.changes.length} changed verdicts:`);
+    report.changes.forEach(change => {
+      console.log(`  ${change.verificationId} ${change.detectionMethod}: ` +
+        `${change.recorded.isHuman ? 'human' : 'bot'} (${change.recorded.confidence.toFixed(3)}) -> ` +
+        `${change.candidate.isHuman ? 'human' : 'bot'} (${change.candidate.confidence.toFixed(3)}) ` +
+        `${change.candidate.reasonCodes.join(', ')}`);
+    });
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  for (const value of [args.from, args.to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      console.error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+      process.exit(1);
+    }
+  }
+
+  const candidate = backtestService.createCandidate(
+    args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {}
+  );
+
+  // --to is inclusive
+  const to = args.to ? new Date(Date.parse(`${args.to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000) : new Date();
+  const from = args.from ? new Date(`${args.from}T00:00:00.000Z`) : new Date(to.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  const report = await backtestService.run(candidate, {
+    from,
+    to,
+    apiKeyId: args.apiKeyId,
+    detectionMethod: args.detectionMethod,
+    limit: args.limit || 10000
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Backtest failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.end());
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Score synthetic bot traces and report the detection rate per attack family.
+ *
+ * Usage: node scripts/benchmark.js [--config candidate.json] [--count 200] [--seed 1]
+ *                                  [--family <name>]... [--min-detection 0.9] [--json]
+ *
+ * Families: linearRamp, sineWave, gaussianHuman, perfectInterval, replayedWithJitter,
+ * constantPointer (see src/utils/botTraces.js). The config file has the backtest format;
+ * without it the current defaults are scored. The same --seed always generates the same
+ * traces, so run it before and after a threshold change to see what regressed.
+ * Traces answered with insufficient_sensor are reported separately and do not count as detected.
+ * The script exits with status 1 when any family evades detection entirely, or with
+ * --min-detection when any family is detected less often.
+ * Runs offline: it needs the usual environment config but no database or Redis.
+ */
+
+const fs = require('fs');
+const benchmarkService = require('../src/services/benchmarkService');
+const { ATTACK_FAMILIES } = require('../src/utils/botTraces');
+
+function parseArgs(argv) {
+  const args = { families: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--config') args.config = argv[++i];
+    else if (argv[i] === '--count') args.count = parseInt(argv[++i], 10);
+    else if (argv[i] === '--seed') args.seed = parseInt(argv[++i], 10);
+    else if (argv[i] === '--family') args.families.push(argv[++i]);
+    else if (argv[i] === '--min-detection') args.minDetection = parseFloat(argv[++i]);
+    else if (argv[i] === '--json') args.json = true;
+  }
+
+  return args;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  console.log(`Analyzer ${report.analyzerVersion} (config ${report.configHash}), seed ${report.seed}, ${report.count} traces per family\n`);
+
+  Object.entries(report.families).forEach(([family, stats]) => {
+    const topCodes = Object.entries(stats.reasonCodes)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([code, count]) => `${code} ${formatRate(count / stats.generated)}`)
+      .join(', ');
+    const marker = report.evading.includes(family) ? '  EVADES DETECTION' : '';
+    console.log(`  ${family.padEnd(20)} detected ${formatRate(stats.detectionRate).padStart(6)}  ` +
+      `flagged ${formatRate(stats.flaggedRate).padStart(6)}  no sensor ${formatRate(stats.insufficientSensorRate).padStart(6)}  mean confidence ${stats.meanConfidence === null ? 'n/a  ' : stats.meanConfidence.toFixed(3)}  ${topCodes}${marker}`);
+  });
+
+  console.log(`\nOverall: ${report.detected} of ${report.scored} scored traces detected (${formatRate(report.detectionRate)}), ` +
+    `${report.generated - report.scored} without a verdict (insufficient_sensor)`);
+
+  report.evading.forEach(family => {
+    const stats = report.families[family];
+    const [topCode] = Object.entries(stats.reasonCodes).sort((a, b) => b[1] - a[1]);
+    // Reason codes that fire without changing the verdict do not stop the attack
+    const note = topCode ? `, although ${topCode[0]} fired on ${formatRate(topCode[1] / stats.generated)} of them` : '';
+    console.log(`${family} evades detection: all ${stats.scored} scored traces were verified as human${note}`);
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const unknown = args.families.filter(family => !ATTACK_FAMILIES[family]);
+  if (unknown.length > 0) {
+    console.error(`Unknown attack family: ${unknown.join(', ')} (use ${Object.keys(ATTACK_FAMILIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  const analyzer = benchmarkService.createCandidate(
+    args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {}
+  );
+
+  const report = benchmarkService.run(analyzer, {
+    count: args.count || 200,
+    seed: args.seed || 1,
+    families: args.families.length > 0 ? args.families : Object.keys(ATTACK_FAMILIES)
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.evading.length > 0) {
+    console.error(`\nEvading detection: ${report.evading.join(', ')}`);
+    process.exitCode = 1;
+  }
+
+  if (args.minDetection !== undefined) {
+    const failing = Object.entries(report.families)
+      .filter(([, stats]) => stats.detectionRate !== null && stats.detectionRate < args.minDetection);
+    if (failing.length > 0) {
+      console.error(`\nBelow ${formatRate(args.minDetection)} detection: ${failing.map(([family]) => family).join(', ')}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Benchmark failed:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Compute confidence cutoffs from feedback-labeled verifications and write a calibration file.
+ *
+ * Usage: node scripts/calibrate.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--target-far 0.01]
+ *                                  [--min-per-class 20] [--analyzer-version 1.1.0] [--out file.json]
+ *
+ * For the overall data, each detection method and each device profile the script prints the
+ * false accept rate (labeled bots passing) and false reject rate (labeled humans failing) at
+ * candidate cutoffs, and recommends the lowest cutoff whose false accept rate is within
+ * --target-far. The file (calibration/calibration-<version>.json by default) also holds the
+ * full ROC per segment. Load it with ANALYZER_CALIBRATION_FILE, or try it first as the
+ * `calibration` entry of a backtest or shadow config.
+ *
+ * Defaults to the last 90 days of labeled verifications.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../src/database/database');
+const calibrationService = require('../src/services/calibrationService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 90;
+
+// Cutoffs shown in the printed report; the file has every 0.01
+const REPORT_STEP = 0.05;
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--target-far') args.targetFalseAcceptRate = parseFloat(argv[++i]);
+    else if (argv[i] === '--min-per-class') args.minPerClass = parseInt(argv[++i], 10);
+    else if (argv[i] === '--analyzer-version') args.analyzerVersion = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+  }
+
+  return args;
+}
+
+function formatRate(value) {
+  return value === undefined ? '     -' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printSegment(name, segment) {
+  const summary = segment.calibrated
+    ? `cutoff ${segment.cutoff.toFixed(2)}${segment.targetMet ? '' : ' (target not met)'}, ` +
+      `FAR ${formatRate(segment.falseAcceptRate).trim()}, FRR ${formatRate(segment.falseRejectRate).trim()}, ` +
+      `AUC ${segment.auc.toFixed(3)}, EER ${formatRate(segment.equalErrorRate).trim()}`
+    : 'too few labels, uses the default cutoff';
+  console.log(`\n${name}: ${segment.humans} humans, ${segment.bots} bots - ${summary}`);
+
+  if (segment.roc.length === 0) return;
+
+  console.log('  cutoff    FAR     FRR');
+  segment.roc
+    .filter(point => Math.abs(point.threshold / REPORT_STEP - Math.round(point.threshold / REPORT_STEP)) < 1e-9)
+    .forEach(point => {
+      const marker = segment.calibrated && point.threshold === segment.cutoff ? '  <-' : '';
+      console.log(`  ${point.threshold.toFixed(2)}   ${formatRate(point.falseAcceptRate)}  ${formatRate(point.falseRejectRate)}${marker}`);
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  for (const value of [args.from, args.to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      console.error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+      process.exit(1);
+    }
+  }
+
+  // --to is inclusive
+  const to = args.to ? new Date(Date.parse(`${args.to}T00:00:00.000Z`) + 24 * 60 * 60 * 1000) : new Date();
+  const from = args.from ? new Date(`${args.from}T00:00:00.000Z`) : new Date(to.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  const samples = await calibrationService.loadLabeledScores({ from, to, analyzerVersion: args.analyzerVersion });
+  const calibration = calibrationService.calibrate(samples, {
+    targetFalseAcceptRate: args.targetFalseAcceptRate,
+    minPerClass: args.minPerClass,
+    from: from.toISOString(),
+    to: to.toISOString()
+  });
+
+  printSegment('Overall', calibration.segments.overall);
+  Object.entries(calibration.segments.detectionMethods).forEach(([method, segment]) => {
+    printSegment(`Detection method ${method}`, segment);
+  });
+  Object.entries(calibration.segments.deviceProfiles).forEach(([profile, segment]) => {
+    printSegment(`Device profile ${profile}`, segment);
+  });
+
+  const out = args.out || path.join('calibration', `calibration-${calibration.version}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(calibration, null, 2)}\n`);
+
+  console.log(`\nWrote calibration ${calibration.version} to ${out}`);
+  console.log(`Cutoffs: ${JSON.stringify(calibration.cutoffs)}`);
+}
+
+main()
+  .catch(error => {
+    console.error('Calibration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.end());
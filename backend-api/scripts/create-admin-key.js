@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Create an API key with the `admin` permission.
+ *
+ * Self-service key creation (POST /api/v1/api-keys) cannot grant `admin`, so keys for the
+ * admin endpoints (backtest, shadow scoring, cross-key feedback) are provisioned here by
+ * someone with database access.
+ *
+ * Usage: node scripts/create-admin-key.js --name <name> [--description <text>]
+ *
+ * The key is printed once; store it securely.
+ */
+
+const database = require('../src/database/connection');
+const apiKeyService = require('../src/services/apiKeyService');
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--name') args.name = argv[++i];
+    else if (argv[i] === '--description') args.description = argv[++i];
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.name || args.name.length < 3) {
+    console.error('Pass --name with at least 3 characters');
+    process.exitCode = 1;
+    return;
+  }
+
+  const apiKey = await apiKeyService.createApiKey({
+    name: args.name,
+    description: args.description,
+    permissions: ['create_challenge', 'verify', 'read_analytics', 'admin']
+  });
+
+  console.log(`Created admin key ${apiKey.id}`);
+  console.log(apiKey.key);
+}
+
+main()
+  .catch(error => {
+    console.error('Creating the admin key failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.end());
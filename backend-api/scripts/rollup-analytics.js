@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Roll verifications up into verification_analytics.
+ *
+ * The API server does this for yesterday and today on a schedule
+ * (ANALYTICS_ROLLUP_INTERVAL_MINUTES); use this script to backfill older days
+ * or to run rollups from cron with the scheduler disabled.
+ *
+ * Usage: node scripts/rollup-analytics.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *
+ * Defaults to yesterday and today (UTC). Days are re-aggregated, so re-running is safe.
+ */
+
+const database = require('../src/database/database');
+const analyticsService = require('../src/services/analyticsService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+  }
+
+  return args;
+}
+
+async function main() {
+  const { from, to } = parseArgs(process.argv.slice(2));
+
+  for (const value of [from, to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      console.error(`Invalid date: ${value} (use YYYY-MM-DD)`);
+      process.exit(1);
+    }
+  }
+
+  const now = new Date();
+  const results = from || to
+    ? await analyticsService.rollupRange(
+      new Date(`${from || to}T00:00:00.000Z`),
+      new Date(`${to || now.toISOString().slice(0, 10)}T00:00:00.000Z`)
+    )
+    : await analyticsService.rollupRecent();
+
+  results.forEach(({ date, rows }) => {
+    console.log(`${date}: ${rows} rollup rows`);
+  });
+}
+
+main()
+  .catch(error => {
+    console.error('Rollup failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.end());
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Rotate the verification token signing key.
+ *
+ * Generates a new active key in the keyring (JWT_KEYRING_FILE), retires the
+ * previous active key so it keeps verifying tokens until they expire, and drops
+ * retired keys that can no longer verify anything. Running servers pick up the
+ * new keyring within a minute.
+ *
+ * Usage: node scripts/rotate-signing-key.js [--alg EdDSA|RS256] [--file path/to/keyring.json]
+ *
+ * Reads JWT_KEYRING_FILE and JWT_EXPIRES_IN directly rather than through src/config,
+ * because it has to run before the server's configuration is complete (e.g. to
+ * create the keyring the config points at).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration } = require('../src/utils/duration');
+
+function parseArgs(argv) {
+  const args = { alg: 'EdDSA', file: process.env.JWT_KEYRING_FILE };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--alg') args.alg = argv[++i];
+    else if (argv[i] === '--file') args.file = argv[++i];
+  }
+
+  return args;
+}
+
+function generateKey(alg) {
+  const { publicKey, privateKey } = alg === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ed25519');
+
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg,
+    status: 'active',
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function main() {
+  const { alg, file } = parseArgs(process.argv.slice(2));
+
+  if (!file) {
+    console.error('Set JWT_KEYRING_FILE or pass --file');
+    process.exit(1);
+  }
+
+  if (!['EdDSA', 'RS256'].includes(alg)) {
+    console.error(`Unsupported algorithm: ${alg} (use EdDSA or RS256)`);
+    process.exit(1);
+  }
+
+  const keyring = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { keys: [] };
+  const now = new Date();
+
+  // Retired keys must verify every token they signed, so keep them for one token lifetime
+  const tokenLifetimeMs = parseDuration(process.env.JWT_EXPIRES_IN || '24h') * 1000;
+  const verifyUntil = new Date(now.getTime() + tokenLifetimeMs).toISOString();
+
+  const keys = keyring.keys
+    .filter(key => key.status === 'active' || (key.verifyUntil && now < new Date(key.verifyUntil)))
+    .map(key => (key.status === 'active' ? { ...key, status: 'retired', retiredAt: now.toISOString(), verifyUntil } : key));
+
+  const newKey = generateKey(alg);
+  keys.push(newKey);
+
+  // Write atomically; the file holds private keys so keep it owner-only
+  const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpFile, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+
+  console.log(`Activated ${alg} key ${newKey.kid}`);
+  keys.filter(key => key.status === 'retired').forEach(key => {
+    console.log(`Retired key ${key.kid} verifies until ${key.verifyUntil}`);
+  });
+}
+
+main();
@@ -1,11 +1,12 @@
 const redis = require('redis');
+const config = require('../config');
 
 // Create Redis client
 const client = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: parseInt(process.env.REDIS_PORT) || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  db: parseInt(process.env.REDIS_DB) || 0,
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  db: config.redis.db,
   retryDelayOnFailover: 100,
   maxRetriesPerRequest: 3
 });
@@ -32,6 +33,26 @@ client.on('reconnecting', () => {
   }
 })();
 
+// Pub/sub needs a dedicated connection; created on first subscribe
+let subscriberPromise = null;
+
+function getSubscriber() {
+  if (!subscriberPromise) {
+    subscriberPromise = (async () => {
+      const subscriber = client.duplicate();
+      subscriber.on('error', (error) => {
+        console.error('Redis subscriber error:', error);
+      });
+      await subscriber.connect();
+      return subscriber;
+    })().catch((error) => {
+      subscriberPromise = null;
+      throw error;
+    });
+  }
+  return subscriberPromise;
+}
+
 // Wrapper methods for easier usage
 const redisClient = {
   // Basic operations
@@ -62,6 +83,16 @@ const redisClient = {
     }
   },
 
+  // Set only if the key does not exist; true when set, false when taken, null on error
+  async setNX(key, seconds, value) {
+    try {
+      return (await client.set(key, value, { NX: true, EX: seconds })) === 'OK';
+    } catch (error) {
+      console.error('Redis SETNX error:', error);
+      return null;
+    }
+  },
+
   async del(key) {
     try {
       return await client.del(key);
@@ -71,6 +102,16 @@ const redisClient = {
     }
   },
 
+  // Increment a counter; null on error
+  async incr(key) {
+    try {
+      return await client.incr(key);
+    } catch (error) {
+      console.error('Redis INCR error:', error);
+      return null;
+    }
+  },
+
   async exists(key) {
     try {
       return await client.exists(key);
@@ -154,6 +195,34 @@ const redisClient = {
     }
   },
 
+  async rPush(key, ...values) {
+    try {
+      return await client.rPush(key, values);
+    } catch (error) {
+      console.error('Redis RPUSH error:', error);
+      return 0;
+    }
+  },
+
+  // Atomically pop from one end of source and push onto destination ('LEFT' or 'RIGHT')
+  async lMove(source, destination, sourceSide, destinationSide) {
+    try {
+      return await client.lMove(source, destination, sourceSide, destinationSide);
+    } catch (error) {
+      console.error('Redis LMOVE error:', error);
+      return null;
+    }
+  },
+
+  async lRem(key, count, value) {
+    try {
+      return await client.lRem(key, count, value);
+    } catch (error) {
+      console.error('Redis LREM error:', error);
+      return 0;
+    }
+  },
+
   async lRange(key, start, stop) {
     try {
       return await client.lRange(key, start, stop);
@@ -191,6 +260,67 @@ const redisClient = {
     }
   },
 
+  // Sorted set operations
+  async zAdd(key, score, member) {
+    try {
+      return await client.zAdd(key, { score, value: member });
+    } catch (error) {
+      console.error('Redis ZADD error:', error);
+      return 0;
+    }
+  },
+
+  // Members scored between max and min, highest score first
+  async zRevRangeByScore(key, max, min, count) {
+    try {
+      return await client.zRange(key, max, min, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset: 0, count }
+      });
+    } catch (error) {
+      console.error('Redis ZRANGE error:', error);
+      return [];
+    }
+  },
+
+  async zRemRangeByScore(key, min, max) {
+    try {
+      return await client.zRemRangeByScore(key, min, max);
+    } catch (error) {
+      console.error('Redis ZREMRANGEBYSCORE error:', error);
+      return 0;
+    }
+  },
+
+  // Pub/sub operations
+  async publish(channel, message) {
+    try {
+      return await client.publish(channel, message);
+    } catch (error) {
+      console.error('Redis PUBLISH error:', error);
+      return 0;
+    }
+  },
+
+  // Returns an unsubscribe function, or null when the subscription failed
+  async subscribe(channel, listener) {
+    try {
+      const subscriber = await getSubscriber();
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        try {
+          await subscriber.unsubscribe(channel, listener);
+        } catch (error) {
+          console.error('Redis UNSUBSCRIBE error:', error);
+        }
+      };
+    } catch (error) {
+      console.error('Redis SUBSCRIBE error:', error);
+      return null;
+    }
+  },
+
   // Utility methods
   async ping() {
     try {
@@ -212,6 +342,9 @@ const redisClient = {
 
   async quit() {
     try {
+      if (subscriberPromise) {
+        await (await subscriberPromise).quit();
+      }
       return await client.quit();
     } catch (error) {
       console.error('Redis QUIT error:', error);
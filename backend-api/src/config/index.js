@@ -0,0 +1,224 @@
+/**
+ * Application configuration
+ * Validates environment variables once at startup and exposes typed settings.
+ * The process refuses to start on invalid values, and in production on
+ * missing, default or weak secrets.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const Joi = require('joi');
+const { DURATION_PATTERN } = require('../utils/duration');
+
+// Placeholder values shipped in .env.example, docker-compose and the docs
+const DEFAULT_SECRETS = [
+  'password',
+  'secret',
+  'changeme',
+  'your_password',
+  'your_secure_password',
+  'weightcha_password',
+  'weightcha_redis_dev',
+  'your_secret_key',
+  'your-secret',
+  'your_super_secure_jwt_secret_key_here',
+  'your-super-secret-jwt-key-here',
+  'your-jwt-secret-key-here-change-in-production',
+  'dev-only-jwt-secret-change-me',
+  'test-jwt-secret'
+];
+
+const MIN_JWT_SECRET_LENGTH = 32;
+
+const envSchema = Joi.object({
+  NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
+  PORT: Joi.number().port().default(3000),
+  API_VERSION: Joi.string().default('v1'),
+
+  DB_HOST: Joi.string().default('localhost'),
+  DB_PORT: Joi.number().port().default(5432),
+  DB_NAME: Joi.string().default('weightcha'),
+  DB_USER: Joi.string().default('weightcha_user'),
+  DB_PASSWORD: Joi.string().allow('').optional(),
+
+  REDIS_HOST: Joi.string().default('localhost'),
+  REDIS_PORT: Joi.number().port().default(6379),
+  REDIS_PASSWORD: Joi.string().allow('').optional(),
+  REDIS_DB: Joi.number().integer().min(0).default(0),
+
+  JWT_SECRET: Joi.string().allow('').optional(),
+  JWT_EXPIRES_IN: Joi.alternatives().try(
+    Joi.number().integer().positive(),
+    Joi.string().pattern(DURATION_PATTERN)
+  ).default('24h'),
+  JWT_KEYRING_FILE: Joi.string().allow('').optional(),
+
+  CORS_ORIGIN: Joi.string().default('http://localhost:3000'),
+  RATE_LIMIT_WINDOW_MS: Joi.number().integer().positive().default(15 * 60 * 1000),
+  RATE_LIMIT_MAX_REQUESTS: Joi.number().integer().positive().default(100),
+
+  LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
+  LOG_FILE: Joi.string().default('logs/app.log'),
+
+  CHALLENGE_EXPIRY_MINUTES: Joi.number().integer().positive().default(5),
+  VERIFICATION_EXPIRY_MINUTES: Joi.number().integer().positive().default(30),
+  VERIFICATION_QUEUE_ENABLED: Joi.boolean().default(false),
+  VERIFICATION_QUEUE_POLL_MS: Joi.number().integer().positive().default(200),
+  VERIFICATION_QUEUE_TIMEOUT_SECONDS: Joi.number().integer().positive().default(60),
+  VERIFICATION_QUEUE_CLAIM_TIMEOUT_SECONDS: Joi.number().integer().positive().default(300),
+  ANALYTICS_ROLLUP_INTERVAL_MINUTES: Joi.number().integer().min(0).default(15),
+
+  WEBHOOK_DISPATCH_INTERVAL_MS: Joi.number().integer().min(0).default(5000),
+  WEBHOOK_MAX_ATTEMPTS: Joi.number().integer().min(1).default(8),
+  WEBHOOK_TIMEOUT_MS: Joi.number().integer().positive().default(10000),
+  BOT_RATE_ALERT_THRESHOLD: Joi.number().min(0).max(1).default(0.5),
+  BOT_RATE_ALERT_MIN_VERIFICATIONS: Joi.number().integer().min(1).default(20),
+  BOT_RATE_ALERT_WINDOW_MINUTES: Joi.number().integer().positive().default(5),
+
+  PRESSURE_VARIANCE_THRESHOLD: Joi.number().min(0).default(0.15),
+  MIN_PRESSURE_SAMPLES: Joi.number().integer().min(1).default(50),
+  HUMAN_PATTERN_CONFIDENCE_THRESHOLD: Joi.number().min(0).max(1).default(0.8),
+  ANALYZER_CALIBRATION_FILE: Joi.string().allow('').optional(),
+  SHADOW_ANALYZER_CONFIG_FILE: Joi.string().allow('').optional(),
+  SHADOW_SAMPLE_RATE: Joi.number().min(0).max(1).default(1),
+  REPLAY_DETECTION_ENABLED: Joi.boolean().default(true),
+  REPLAY_WINDOW_HOURS: Joi.number().positive().default(24),
+  REPLAY_MAX_DISTANCE: Joi.number().positive().max(1).default(0.02)
+}).unknown(true);
+
+function isWeakSecret(value) {
+  return !value || DEFAULT_SECRETS.includes(value.toLowerCase());
+}
+
+/**
+ * Cross-field and secret checks that the schema cannot express
+ */
+function checkSecrets(env) {
+  const errors = [];
+
+  if (!env.JWT_SECRET && !env.JWT_KEYRING_FILE) {
+    errors.push('JWT_SECRET is required unless JWT_KEYRING_FILE is set');
+  }
+
+  if (env.JWT_KEYRING_FILE && !fs.existsSync(env.JWT_KEYRING_FILE)) {
+    errors.push(`JWT_KEYRING_FILE does not exist: ${env.JWT_KEYRING_FILE}`);
+  }
+
+  if (env.ANALYZER_CALIBRATION_FILE && !fs.existsSync(env.ANALYZER_CALIBRATION_FILE)) {
+    errors.push(`ANALYZER_CALIBRATION_FILE does not exist: ${env.ANALYZER_CALIBRATION_FILE}`);
+  }
+
+  if (env.SHADOW_ANALYZER_CONFIG_FILE && !fs.existsSync(env.SHADOW_ANALYZER_CONFIG_FILE)) {
+    errors.push(`SHADOW_ANALYZER_CONFIG_FILE does not exist: ${env.SHADOW_ANALYZER_CONFIG_FILE}`);
+  }
+
+  if (env.NODE_ENV !== 'production') {
+    return errors;
+  }
+
+  // JWT_SECRET still verifies legacy HS256 tokens when a keyring is used, so check it whenever it is set
+  if (env.JWT_SECRET && (isWeakSecret(env.JWT_SECRET) || env.JWT_SECRET.length < MIN_JWT_SECRET_LENGTH)) {
+    errors.push(`JWT_SECRET must be a non-default secret of at least ${MIN_JWT_SECRET_LENGTH} characters in production`);
+  }
+
+  if (isWeakSecret(env.DB_PASSWORD)) {
+    errors.push('DB_PASSWORD must be set to a non-default password in production');
+  }
+
+  if (env.REDIS_PASSWORD && isWeakSecret(env.REDIS_PASSWORD)) {
+    errors.push('REDIS_PASSWORD must not be a default password in production');
+  }
+
+  return errors;
+}
+
+function loadConfig(source = process.env) {
+  const { error, value: env } = envSchema.validate(source, { abortEarly: false, convert: true });
+
+  const errors = error ? error.details.map(detail => detail.message) : [];
+  if (!error) {
+    errors.push(...checkSecrets(env));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    env: env.NODE_ENV,
+    isProduction: env.NODE_ENV === 'production',
+    server: {
+      port: env.PORT,
+      apiVersion: env.API_VERSION,
+      corsOrigin: env.CORS_ORIGIN
+    },
+    database: {
+      host: env.DB_HOST,
+      port: env.DB_PORT,
+      name: env.DB_NAME,
+      user: env.DB_USER,
+      password: env.DB_PASSWORD
+    },
+    redis: {
+      host: env.REDIS_HOST,
+      port: env.REDIS_PORT,
+      password: env.REDIS_PASSWORD || undefined,
+      db: env.REDIS_DB
+    },
+    jwt: {
+      secret: env.JWT_SECRET,
+      expiresIn: env.JWT_EXPIRES_IN,
+      keyringFile: env.JWT_KEYRING_FILE
+    },
+    rateLimit: {
+      windowMs: env.RATE_LIMIT_WINDOW_MS,
+      maxRequests: env.RATE_LIMIT_MAX_REQUESTS
+    },
+    logging: {
+      level: env.LOG_LEVEL,
+      file: env.LOG_FILE
+    },
+    challenges: {
+      expiryMinutes: env.CHALLENGE_EXPIRY_MINUTES
+    },
+    verification: {
+      expiryMinutes: env.VERIFICATION_EXPIRY_MINUTES,
+      queue: {
+        enabled: env.VERIFICATION_QUEUE_ENABLED,
+        pollIntervalMs: env.VERIFICATION_QUEUE_POLL_MS,
+        timeoutSeconds: env.VERIFICATION_QUEUE_TIMEOUT_SECONDS,
+        claimTimeoutSeconds: env.VERIFICATION_QUEUE_CLAIM_TIMEOUT_SECONDS
+      }
+    },
+    analytics: {
+      rollupIntervalMinutes: env.ANALYTICS_ROLLUP_INTERVAL_MINUTES
+    },
+    webhooks: {
+      dispatchIntervalMs: env.WEBHOOK_DISPATCH_INTERVAL_MS,
+      maxAttempts: env.WEBHOOK_MAX_ATTEMPTS,
+      timeoutMs: env.WEBHOOK_TIMEOUT_MS,
+      botRateAlert: {
+        threshold: env.BOT_RATE_ALERT_THRESHOLD,
+        minVerifications: env.BOT_RATE_ALERT_MIN_VERIFICATIONS,
+        windowMinutes: env.BOT_RATE_ALERT_WINDOW_MINUTES
+      }
+    },
+    analyzer: {
+      pressureVarianceThreshold: env.PRESSURE_VARIANCE_THRESHOLD,
+      minPressureSamples: env.MIN_PRESSURE_SAMPLES,
+      confidenceThreshold: env.HUMAN_PATTERN_CONFIDENCE_THRESHOLD,
+      calibrationFile: env.ANALYZER_CALIBRATION_FILE || null,
+      shadow: {
+        configFile: env.SHADOW_ANALYZER_CONFIG_FILE || null,
+        sampleRate: env.SHADOW_SAMPLE_RATE
+      },
+      replay: {
+        enabled: env.REPLAY_DETECTION_ENABLED,
+        windowHours: env.REPLAY_WINDOW_HOURS,
+        maxDistance: env.REPLAY_MAX_DISTANCE
+      }
+    }
+  };
+}
+
+module.exports = loadConfig();
@@ -1,16 +1,17 @@
 const { Pool } = require('pg');
+const config = require('../config');
 
 // Create PostgreSQL connection pool
 const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'weightcha',
-  user: process.env.DB_USER || 'weightcha_user',
-  password: process.env.DB_PASSWORD,
+  host: config.database.host,
+  port: config.database.port,
+  database: config.database.name,
+  user: config.database.user,
+  password: config.database.password,
   max: 20, // Maximum number of connections in pool
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  ssl: config.isProduction ? { rejectUnauthorized: false } : false
 });
 
 // Simple query interface compatible with the service layer
@@ -1,12 +1,13 @@
 const { Pool } = require('pg');
+const config = require('../config');
 
 // Create connection pool
 const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT) || 5432,
-  database: process.env.DB_NAME || 'weightcha',
-  user: process.env.DB_USER || 'weightcha_user',
-  password: process.env.DB_PASSWORD || 'password',
+  host: config.database.host,
+  port: config.database.port,
+  database: config.database.name,
+  user: config.database.user,
+  password: config.database.password,
   max: 20, // Maximum number of connections
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
@@ -95,6 +96,11 @@ class QueryBuilder {
     }
   }
 
+  // Allow builders to be awaited directly, like Knex
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
   buildQuery() {
     let query = '';
     let params = [];
@@ -125,13 +131,14 @@ class QueryBuilder {
         }
         break;
 
-      case 'UPDATE':
+      case 'UPDATE': {
         const updateColumns = Object.keys(this.updateData);
         const updateSet = updateColumns.map(col => `${col} = $${paramIndex++}`).join(', ');
         
         query = `UPDATE ${this.tableName} SET ${updateSet}`;
         params = updateColumns.map(col => this.updateData[col]);
         break;
+      }
 
       case 'DELETE':
         query = `DELETE FROM ${this.tableName}`;
@@ -0,0 +1,46 @@
+const config = require('../config');
+const redisClient = require('../cache/redis');
+const analyticsService = require('../services/analyticsService');
+
+const LOCK_KEY = 'analytics:rollup:lock';
+
+/**
+ * Periodically roll recent verifications up into verification_analytics.
+ * A Redis lock makes only one API instance run each rollup; when Redis is
+ * unavailable every instance runs it, which is safe because rollups are idempotent.
+ */
+function startAnalyticsRollup(logger) {
+  const intervalMinutes = config.analytics.rollupIntervalMinutes;
+  if (!intervalMinutes) {
+    logger.info('Analytics rollup disabled');
+    return null;
+  }
+
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  const run = async () => {
+    // Expire the lock before the next run so a crashed instance cannot block rollups
+    const lockSeconds = Math.max(1, Math.floor(intervalMs / 1000) - 5);
+    const locked = await redisClient.setNX(LOCK_KEY, lockSeconds, new Date().toISOString());
+    if (locked === false) {
+      return;
+    }
+
+    try {
+      const results = await analyticsService.rollupRecent();
+      logger.info('Analytics rollup completed', { days: results });
+    } catch (error) {
+      logger.error('Analytics rollup failed:', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return timer;
+}
+
+module.exports = {
+  startAnalyticsRollup
+};
@@ -0,0 +1,59 @@
+const config = require('../config');
+const webhookService = require('../services/webhookService');
+const challengeService = require('../services/challengeService');
+
+const DISPATCH_BATCH_SIZE = 20;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Send queued webhook deliveries and sweep expired challenges (which emits
+ * challenge.expired). Both are safe to run on every API instance: deliveries are
+ * claimed with SKIP LOCKED and each challenge is expired by a single UPDATE.
+ */
+function startWebhookDispatcher(logger) {
+  const intervalMs = config.webhooks.dispatchIntervalMs;
+  if (!intervalMs) {
+    logger.info('Webhook dispatcher disabled');
+    return null;
+  }
+
+  let dispatching = false;
+  const dispatch = async () => {
+    if (dispatching) return;
+    dispatching = true;
+
+    try {
+      // Keep going while full batches come back so a backlog drains between ticks
+      let sent;
+      do {
+        sent = await webhookService.dispatchDue(DISPATCH_BATCH_SIZE);
+      } while (sent === DISPATCH_BATCH_SIZE);
+    } catch (error) {
+      logger.error('Webhook dispatch failed:', error);
+    } finally {
+      dispatching = false;
+    }
+  };
+
+  const sweep = async () => {
+    try {
+      const expired = await challengeService.expireChallenges();
+      if (expired > 0) {
+        logger.info('Expired challenges', { count: expired });
+      }
+    } catch (error) {
+      logger.error('Challenge expiry sweep failed:', error);
+    }
+  };
+
+  const dispatchTimer = setInterval(dispatch, intervalMs);
+  const sweepTimer = setInterval(sweep, EXPIRY_SWEEP_INTERVAL_MS);
+  dispatchTimer.unref();
+  sweepTimer.unref();
+
+  return { dispatchTimer, sweepTimer };
+}
+
+module.exports = {
+  startWebhookDispatcher
+};
@@ -1,3 +1,5 @@
+const config = require('../config');
+
 function errorHandler(logger) {
   return (error, req, res, next) => {
     // Log the error
@@ -12,7 +14,7 @@ function errorHandler(logger) {
     });
 
     // Don't expose internal errors in production
-    const isDevelopment = process.env.NODE_ENV === 'development';
+    const isDevelopment = config.env === 'development';
     
     // Handle specific error types
     if (error.name === 'ValidationError') {
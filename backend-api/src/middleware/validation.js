@@ -1,3 +1,51 @@
+const Joi = require('joi');
+
+// Sample schemas shared by the REST submit endpoint and the challenge stream
+const pressureSampleSchema = Joi.object({
+  timestamp: Joi.number().required(),
+  pressure: Joi.number().min(0).max(1).required(),
+  weight: Joi.number().min(0).optional(),
+  deltaTime: Joi.number().min(0).optional(),
+  touchArea: Joi.number().min(0).optional(),
+  position: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required()
+  }).optional()
+});
+
+const motionSampleSchema = Joi.object({
+  timestamp: Joi.number().required(),
+  acceleration: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required(),
+    z: Joi.number().required()
+  }).optional(),
+  rotation: Joi.object({
+    alpha: Joi.number().required(),
+    beta: Joi.number().required(),
+    gamma: Joi.number().required()
+  }).optional()
+});
+
+const deviceInfoSchema = Joi.object({
+  userAgent: Joi.string().optional(),
+  screen: Joi.object({
+    width: Joi.number().integer().min(1).optional(),
+    height: Joi.number().integer().min(1).optional(),
+    pixelRatio: Joi.number().min(0.1).optional()
+  }).optional(),
+  trackpadType: Joi.string().optional(),
+  browserSupport: Joi.array().items(Joi.string()).optional()
+});
+
+const detectionMethodSchema = Joi.string().valid('webHID', 'forceTouch', 'pointerEvents', 'motionSensors', 'touchEvents');
+
+const clientInfoSchema = Joi.object({
+  platform: Joi.string().optional(),
+  version: Joi.string().optional(),
+  sessionId: Joi.string().optional()
+});
+
 function validateRequest(schema, source = 'body') {
   return (req, res, next) => {
     const data = req[source];
@@ -56,5 +104,10 @@ function sanitizeInput(req, res, next) {
 
 module.exports = {
   validateRequest,
-  sanitizeInput
+  sanitizeInput,
+  pressureSampleSchema,
+  motionSampleSchema,
+  deviceInfoSchema,
+  detectionMethodSchema,
+  clientInfoSchema
 };
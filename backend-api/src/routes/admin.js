@@ -0,0 +1,164 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { authenticateApiKey, requirePermission } = require('../middleware/auth');
+const backtestService = require('../services/backtestService');
+const shadowService = require('../services/shadowService');
+const feedbackService = require('../services/feedbackService');
+const verificationService = require('../services/verificationService');
+const { validateRequest } = require('../middleware/validation');
+
+const DEFAULT_BACKTEST_DAYS = 7;
+const MAX_BACKTEST_DAYS = 92;
+
+// Request-time replays; use scripts/backtest.js for larger runs
+const MAX_BACKTEST_LIMIT = 2000;
+
+// Validation schemas
+const numericEntries = Joi.object().pattern(Joi.string(), Joi.number());
+
+const backtestSchema = Joi.object({
+  config: Joi.object({
+    patterns: Joi.object().pattern(Joi.string(), numericEntries),
+    browserPatterns: Joi.object().pattern(Joi.string(), numericEntries),
+    deviceProfiles: Joi.object().pattern(Joi.string(), numericEntries),
+    weights: Joi.object().pattern(Joi.string(), Joi.number().min(0)),
+    defaultConfidenceThreshold: Joi.number().min(0).max(1),
+    confidenceThreshold: Joi.number().min(0).max(1),
+    // A calibration file from scripts/calibrate.js
+    calibration: Joi.object({
+      version: Joi.string().required(),
+      cutoffs: Joi.object({
+        default: Joi.number().min(0).max(1).required(),
+        detectionMethods: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)).required(),
+        deviceProfiles: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)).required()
+      }).required()
+    }).unknown(true)
+  }).default({}),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  apiKeyId: Joi.string().uuid().optional(),
+  detectionMethod: Joi.string().max(50).optional(),
+  limit: Joi.number().integer().min(1).max(MAX_BACKTEST_LIMIT).default(1000)
+});
+
+const rangeQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+/**
+ * POST /api/v1/admin/backtest
+ * Replay stored submissions through a candidate analyzer config and report changed verdicts
+ */
+router.post('/backtest',
+  authenticateApiKey,
+  requirePermission('admin'),
+  validateRequest(backtestSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { config, apiKeyId, detectionMethod, limit } = req.body;
+      const to = req.body.to || new Date();
+      const from = req.body.from || new Date(to.getTime() - DEFAULT_BACKTEST_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to || to - from > MAX_BACKTEST_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          error: `\`from\` must be before \`to\`, and the range is limited to ${MAX_BACKTEST_DAYS} days`
+        });
+      }
+
+      let candidate;
+      try {
+        candidate = backtestService.createCandidate(config);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const report = await backtestService.run(candidate, { from, to, apiKeyId, detectionMethod, limit });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/shadow
+ * Compare shadow-scored candidate configs with the live analyzer
+ */
+router.get('/shadow',
+  authenticateApiKey,
+  requirePermission('admin'),
+  validateRequest(rangeQuerySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - DEFAULT_BACKTEST_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: '`from` must be before `to`'
+        });
+      }
+
+      const comparison = await shadowService.getComparison({ from, to });
+
+      res.json({
+        success: true,
+        data: {
+          live: {
+            analyzerVersion: verificationService.analyzer.version,
+            configHash: verificationService.analyzer.configHash
+          },
+          ...comparison
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/admin/feedback
+ * Precision and recall against reported feedback labels across all API keys
+ */
+router.get('/feedback',
+  authenticateApiKey,
+  requirePermission('admin'),
+  validateRequest(rangeQuerySchema.keys({ apiKeyId: Joi.string().uuid().optional() }), 'query'),
+  async (req, res, next) => {
+    try {
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - DEFAULT_BACKTEST_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: '`from` must be before `to`'
+        });
+      }
+
+      const report = await feedbackService.getReport({ apiKeyId: req.query.apiKeyId, from, to });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const { authenticateApiKey, requirePermission } = require('../middleware/auth');
+const verificationService = require('../services/verificationService');
+const feedbackService = require('../services/feedbackService');
+const { validateRequest } = require('../middleware/validation');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Caps the timeline length; an hourly timeline over this range has ~2200 buckets
+const MAX_RANGE_DAYS = 92;
+
+// Validation schemas
+const statsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  granularity: Joi.string().valid('hour', 'day', 'week', 'month').default('day')
+});
+
+/**
+ * GET /api/v1/analytics/stats
+ * Verification totals and a time-bucketed timeline for the calling API key
+ */
+router.get('/stats',
+  authenticateApiKey,
+  requirePermission('read_analytics'),
+  validateRequest(statsQuerySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { granularity } = req.query;
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: '`from` must be before `to`'
+        });
+      }
+
+      if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          error: `Date range is limited to ${MAX_RANGE_DAYS} days`
+        });
+      }
+
+      const stats = await verificationService.getVerificationStats(req.apiKey.id, { from, to, granularity });
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const feedbackQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+/**
+ * GET /api/v1/analytics/feedback
+ * Precision and recall of the calling API key's verdicts against reported feedback labels
+ */
+router.get('/feedback',
+  authenticateApiKey,
+  requirePermission('read_analytics'),
+  validateRequest(feedbackQuerySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: '`from` must be before `to`'
+        });
+      }
+
+      const report = await feedbackService.getReport({ apiKeyId: req.apiKey.id, from, to });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
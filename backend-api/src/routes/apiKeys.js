@@ -1,17 +1,17 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const crypto = require('crypto');
 const Joi = require('joi');
 const router = express.Router();
 
-const { authenticateApiKey } = require('../middleware/auth');
+const { authenticateApiKey, requirePermission } = require('../middleware/auth');
 const apiKeyService = require('../services/apiKeyService');
+const analyticsService = require('../services/analyticsService');
 const { validateRequest } = require('../middleware/validation');
 
 // Validation schemas
 const createApiKeySchema = Joi.object({
   name: Joi.string().min(3).max(100).required(),
   description: Joi.string().max(500).optional(),
+  // `admin` is only granted by scripts/create-admin-key.js; this endpoint is unauthenticated
   permissions: Joi.array().items(
     Joi.string().valid('create_challenge', 'verify', 'read_analytics')
   ).default(['create_challenge', 'verify'])
@@ -81,6 +81,59 @@ router.get('/',
   }
 );
 
+const usageQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const DEFAULT_USAGE_DAYS = 30;
+const MAX_USAGE_DAYS = 366;
+
+/**
+ * GET /api/v1/api-keys/:id/usage
+ * Daily usage of an API key, served from the verification_analytics rollups
+ */
+router.get('/:id/usage',
+  authenticateApiKey,
+  requirePermission('read_analytics'),
+  validateRequest(Joi.object({
+    id: Joi.string().uuid().required()
+  }), 'params'),
+  validateRequest(usageQuerySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      
+      // Keys can only read their own usage
+      if (id !== req.apiKey.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+      
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - (DEFAULT_USAGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+      
+      if (from > to || to - from > MAX_USAGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          error: `\`from\` must not be after \`to\`, and the range is limited to ${MAX_USAGE_DAYS} days`
+        });
+      }
+      
+      const usage = await analyticsService.getUsage(id, { from, to });
+      
+      res.json({
+        success: true,
+        data: usage
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * DELETE /api/v1/api-keys/:id
  * Revoke an API key
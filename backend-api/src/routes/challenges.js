@@ -1,10 +1,10 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const router = express.Router();
 
 const { authenticateApiKey } = require('../middleware/auth');
 const challengeService = require('../services/challengeService');
+const config = require('../config');
 const { validateRequest } = require('../middleware/validation');
 
 // Validation schemas
@@ -12,6 +12,8 @@ const createChallengeSchema = Joi.object({
   type: Joi.string().valid('pressure_pattern', 'rhythm_test', 'sustained_pressure', 'progressive_pressure').default('pressure_pattern'),
   difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
   duration: Joi.number().min(3).max(30).default(5),
+  action: Joi.string().pattern(/^[A-Za-z0-9_/]+$/).max(100).optional(),
+  hostname: Joi.string().hostname().max(253).optional(),
   metadata: Joi.object().optional()
 });
 
@@ -28,13 +30,17 @@ router.post('/',
   validateRequest(createChallengeSchema, 'body'),
   async (req, res, next) => {
     try {
-      const { type, difficulty, duration, metadata } = req.body;
+      const { type, difficulty, duration, action, metadata } = req.body;
       const apiKeyId = req.apiKey.id;
+      // Fall back to the page origin for widgets that do not send a hostname
+      const hostname = req.body.hostname || hostnameFromOrigin(req.get('Origin'));
       
       const challenge = await challengeService.createChallenge({
         type,
         difficulty,
         duration,
+        action,
+        hostname,
         metadata,
         apiKeyId
       });
@@ -47,8 +53,11 @@ router.post('/',
           difficulty: challenge.difficulty,
           duration: challenge.duration,
           instructions: challenge.instructions,
+          pattern: challenge.pattern,
+          action: challenge.action,
+          hostname: challenge.hostname,
           expiresAt: challenge.expiresAt,
-          websocketUrl: `ws://localhost:${process.env.PORT}/ws/challenge/${challenge.id}`
+          websocketUrl: `ws://localhost:${config.server.port}/ws/challenge/${challenge.id}?token=${challenge.streamToken}`
         }
       });
     } catch (error) {
@@ -92,6 +101,9 @@ router.get('/:id',
           difficulty: challenge.difficulty,
           duration: challenge.duration,
           instructions: challenge.instructions,
+          pattern: challenge.pattern,
+          action: challenge.action,
+          hostname: challenge.hostname,
           status: challenge.status,
           createdAt: challenge.createdAt,
           expiresAt: challenge.expiresAt
@@ -132,4 +144,12 @@ router.delete('/:id',
   }
 );
 
+function hostnameFromOrigin(origin) {
+  try {
+    return origin ? new URL(origin).hostname : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
 module.exports = router;
@@ -2,65 +2,52 @@ const express = require('express');
 const Joi = require('joi');
 const router = express.Router();
 
-const { authenticateApiKey } = require('../middleware/auth');
+const { authenticateApiKey, requirePermission } = require('../middleware/auth');
+const config = require('../config');
 const verificationService = require('../services/verificationService');
-const { validateRequest } = require('../middleware/validation');
+const feedbackService = require('../services/feedbackService');
+const {
+  validateRequest,
+  pressureSampleSchema,
+  motionSampleSchema,
+  deviceInfoSchema,
+  detectionMethodSchema,
+  clientInfoSchema
+} = require('../middleware/validation');
 
 // Validation schemas
 const submitVerificationSchema = Joi.object({
   challengeId: Joi.string().uuid().required(),
-  pressureData: Joi.array().items(
-    Joi.object({
-      timestamp: Joi.number().required(),
-      pressure: Joi.number().min(0).max(1).required(),
-      weight: Joi.number().min(0).optional(),
-      deltaTime: Joi.number().min(0).optional(),
-      touchArea: Joi.number().min(0).optional(),
-      position: Joi.object({
-        x: Joi.number().required(),
-        y: Joi.number().required()
-      }).optional()
-    })
-  ).min(5).max(10000).required(),
-  motionData: Joi.array().items(
-    Joi.object({
-      timestamp: Joi.number().required(),
-      acceleration: Joi.object({
-        x: Joi.number().required(),
-        y: Joi.number().required(),
-        z: Joi.number().required()
-      }).optional(),
-      rotation: Joi.object({
-        alpha: Joi.number().required(),
-        beta: Joi.number().required(),
-        gamma: Joi.number().required()
-      }).optional()
-    })
-  ).max(5000).optional(),
-  deviceInfo: Joi.object({
-    userAgent: Joi.string().optional(),
-    screen: Joi.object({
-      width: Joi.number().integer().min(1).optional(),
-      height: Joi.number().integer().min(1).optional(),
-      pixelRatio: Joi.number().min(0.1).optional()
-    }).optional(),
-    trackpadType: Joi.string().optional(),
-    browserSupport: Joi.array().items(Joi.string()).optional()
-  }).optional(),
-  detectionMethod: Joi.string().valid('webHID', 'forceTouch', 'pointerEvents', 'motionSensors', 'touchEvents').optional(),
-  clientInfo: Joi.object({
-    platform: Joi.string().optional(),
-    version: Joi.string().optional(),
-    sessionId: Joi.string().optional()
-  }).optional()
+  pressureData: Joi.array().items(pressureSampleSchema).min(5).max(10000).required(),
+  motionData: Joi.array().items(motionSampleSchema).max(5000).optional(),
+  deviceInfo: deviceInfoSchema.optional(),
+  detectionMethod: detectionMethodSchema.optional(),
+  clientInfo: clientInfoSchema.optional(),
+  async: Joi.boolean().default(false)
 });
 
 const getVerificationSchema = Joi.object({
   id: Joi.string().uuid().required()
 });
 
+const feedbackSchema = Joi.object({
+  label: Joi.string().valid(...feedbackService.labels).required(),
+  source: Joi.string().max(50).optional(),
+  notes: Joi.string().max(2000).allow('').optional()
+});
+
 const validateTokenSchema = Joi.object({
-  token: Joi.string().required()
+  token: Joi.string().required(),
+  allowReuse: Joi.boolean().default(false),
+  expectedAction: Joi.string().max(100).optional(),
+  expectedHostname: Joi.string().hostname().max(253).optional()
+});
+
+const bulkValidateSchema = Joi.object({
+  tokens: Joi.array().items(Joi.string()).min(1).max(100).required(),
+  allowReuse: Joi.boolean().default(false),
+  expectedAction: Joi.string().max(100).optional(),
+  expectedHostname: Joi.string().hostname().max(253).optional()
 });
 
 /**
@@ -74,16 +61,31 @@ router.post('/submit',
     try {
       const { challengeId, pressureData, motionData, deviceInfo, detectionMethod, clientInfo } = req.body;
       const apiKeyId = req.apiKey.id;
+      const submission = { challengeId, pressureData, motionData, deviceInfo, detectionMethod, clientInfo, apiKeyId };
       
-      const verification = await verificationService.submitVerification({
-        challengeId,
-        pressureData,
-        motionData,
-        deviceInfo,
-        detectionMethod,
-        clientInfo,
-        apiKeyId
-      });
+      if (req.body.async) {
+        if (!config.verification.queue.enabled) {
+          return res.status(400).json({
+            success: false,
+            error: 'Asynchronous verification is not enabled on this server'
+          });
+        }
+        
+        // Analyzed by a verification worker; poll GET /:id or subscribe to GET /:id/events
+        const queued = await verificationService.enqueueVerification(submission);
+        
+        return res.status(202).json({
+          success: true,
+          data: {
+            verificationId: queued.id,
+            challengeId: queued.challengeId,
+            status: queued.status,
+            submittedAt: queued.submittedAt
+          }
+        });
+      }
+      
+      const verification = await verificationService.submitVerification(submission);
 
       res.status(201).json({
         success: true,
@@ -93,6 +95,8 @@ router.post('/submit',
           status: verification.status,
           isHuman: verification.isHuman,
           confidence: verification.confidence,
+          reasonCodes: verification.reasonCodes,
+          riskScore: verification.riskScore,
           detectionMethod: verification.detectionMethod,
           deviceProfile: verification.deviceProfile,
           submittedAt: verification.submittedAt,
@@ -117,7 +121,8 @@ router.get('/:id',
       const { id } = req.params;
       const verification = await verificationService.getVerification(id);
       
-      if (!verification) {
+      // Results carry the verification token, so only the key that submitted may read them
+      if (!verification || verification.apiKeyId !== req.apiKey.id) {
         return res.status(404).json({
           success: false,
           error: 'Verification not found'
@@ -126,17 +131,7 @@ router.get('/:id',
       
       res.json({
         success: true,
-        data: {
-          id: verification.id,
-          challengeId: verification.challengeId,
-          status: verification.status,
-          isHuman: verification.isHuman,
-          confidence: verification.confidence,
-          detectionMethod: verification.detectionMethod,
-          deviceProfile: verification.deviceProfile,
-          submittedAt: verification.submittedAt,
-          expiresAt: verification.expiresAt
-        }
+        data: formatVerification(verification)
       });
     } catch (error) {
       next(error);
@@ -145,84 +140,116 @@ router.get('/:id',
 );
 
 /**
- * POST /api/v1/verification/validate-token
- * Validate a verification token (for website backend validation)
+ * GET /api/v1/verification/:id/events
+ * Server-sent events with the verification's status until it is completed or failed
  */
-router.post('/validate-token',
+router.get('/:id/events',
   authenticateApiKey,
-  validateRequest(validateTokenSchema, 'body'),
+  validateRequest(getVerificationSchema, 'params'),
   async (req, res, next) => {
+    // Ends the stream and its timers; set once the stream is open
+    let closeStream = null;
+    
     try {
-      const { token } = req.body;
-      const result = await verificationService.validateToken(token);
+      const { id } = req.params;
+      const verification = await verificationService.getVerification(id);
       
-      res.json({
-        success: true,
-        data: {
-          valid: result.valid,
-          isHuman: result.isHuman,
-          confidence: result.confidence,
-          expiresAt: result.expiresAt,
-          verificationId: result.verificationId
+      // Results carry the verification token, so only the key that submitted may read them
+      if (!verification || verification.apiKeyId !== req.apiKey.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Verification not found'
+        });
+      }
+      
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      
+      let closed = false;
+      let unsubscribe = null;
+      
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(timeout);
+        if (unsubscribe) unsubscribe();
+        res.end();
+      };
+      
+      // Comments keep proxies from dropping an idle stream
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+      const timeout = setTimeout(() => {
+        res.write('event: timeout\ndata: {}\n\n');
+        close();
+      }, config.verification.queue.timeoutSeconds * 1000);
+      
+      closeStream = close;
+      req.on('close', close);
+      
+      unsubscribe = await verificationService.watchVerification(id, (update) => {
+        if (closed) return;
+        res.write(`event: status\ndata: ${JSON.stringify(formatVerification(update))}\n\n`);
+        if (['completed', 'insufficient_sensor', 'failed'].includes(update.status)) {
+          close();
         }
       });
+      
+      // The watcher may have delivered the final status (or the client left) before it returned
+      if (closed) {
+        unsubscribe();
+      }
     } catch (error) {
+      if (res.headersSent) {
+        return closeStream ? closeStream() : res.end();
+      }
       next(error);
     }
   }
 );
 
 /**
- * POST /api/v1/verification/bulk-validate
- * Validate multiple tokens at once
+ * GET /api/v1/verification/:id/explain
+ * Break a verification result down into per-signal scores, weights and checks (support diagnostics)
  */
-router.post('/bulk-validate',
+router.get('/:id/explain',
   authenticateApiKey,
+  requirePermission('read_analytics'),
+  validateRequest(getVerificationSchema, 'params'),
   async (req, res, next) => {
     try {
-      const { tokens } = req.body;
+      const { id } = req.params;
+      const explanation = await verificationService.explainVerification(id);
       
-      if (!Array.isArray(tokens) || tokens.length === 0 || tokens.length > 100) {
-        return res.status(400).json({
+      // Explanations include raw samples, so only the key that ran the verification may read them
+      if (!explanation || explanation.verification.apiKeyId !== req.apiKey.id) {
+        return res.status(404).json({
           success: false,
-          error: 'Tokens must be an array with 1-100 items'
+          error: 'Verification not found'
         });
       }
       
-      const results = await Promise.all(
-        tokens.map(async (token) => {
-          try {
-            const result = await verificationService.validateToken(token);
-            return { token, ...result };
-          } catch (error) {
-            return { token, valid: false, error: error.message };
-          }
-        })
-      );
-      
+      const { verification } = explanation;
       res.json({
-        success: true,
-        data: results
-      });
-    } catch (error) {
-      next(error);
-    }
-  }
-);
-
-module.exports = router;
-      });
-      
-      res.status(201).json({
         success: true,
         data: {
-          verificationId: verification.id,
+          id: verification.id,
           challengeId: verification.challengeId,
-          status: verification.status,
           isHuman: verification.isHuman,
           confidence: verification.confidence,
-          submittedAt: verification.submittedAt,
-          token: verification.token // For website integration
+          reasonCodes: verification.reasonCodes,
+          riskScore: verification.riskScore,
+          composite: explanation.composite,
+          signals: explanation.signals,
+          method: explanation.method,
+          challenge: explanation.challenge,
+          pattern: explanation.pattern,
+          thresholds: explanation.thresholds,
+          samples: explanation.samples,
+          submittedAt: verification.submittedAt
         }
       });
     } catch (error) {
@@ -232,35 +259,38 @@ module.exports = router;
 );
 
 /**
- * GET /api/v1/verification/:id
- * Get verification result
+ * POST /api/v1/verification/:id/feedback
+ * Report the true outcome of a verification (e.g. a chargeback bot or a confirmed customer)
  */
-router.get('/:id',
+router.post('/:id/feedback',
   authenticateApiKey,
   validateRequest(getVerificationSchema, 'params'),
+  validateRequest(feedbackSchema, 'body'),
   async (req, res, next) => {
     try {
       const { id } = req.params;
       const verification = await verificationService.getVerification(id);
       
-      if (!verification) {
+      // Queued and failed verifications have no verdict to label
+      if (!verification || verification.apiKeyId !== req.apiKey.id || verification.status !== 'completed') {
         return res.status(404).json({
           success: false,
           error: 'Verification not found'
         });
       }
       
-      res.json({
+      const { feedback, replaced } = await feedbackService.submitFeedback(verification, req.body);
+      
+      res.status(replaced ? 200 : 201).json({
         success: true,
         data: {
-          verificationId: verification.id,
-          challengeId: verification.challengeId,
-          status: verification.status,
-          isHuman: verification.isHuman,
-          confidence: verification.confidence,
-          submittedAt: verification.submittedAt,
-          processedAt: verification.processedAt,
-          expiresAt: verification.expiresAt
+          ...feedback,
+          // The verdict the label is scored against
+          verdict: {
+            isHuman: verification.isHuman,
+            confidence: verification.confidence,
+            detectionMethod: verification.detectionMethod
+          }
         }
       });
     } catch (error) {
@@ -271,26 +301,34 @@ router.get('/:id',
 
 /**
  * POST /api/v1/verification/validate-token
- * Validate a verification token (for website integration)
+ * Validate a verification token (for website backend validation)
  */
 router.post('/validate-token',
   authenticateApiKey,
-  validateRequest(Joi.object({
-    token: Joi.string().required()
-  }), 'body'),
+  validateRequest(validateTokenSchema, 'body'),
   async (req, res, next) => {
     try {
-      const { token } = req.body;
-      const validation = await verificationService.validateToken(token);
+      const { token, allowReuse, expectedAction, expectedHostname } = req.body;
+      const result = await verificationService.validateToken(token, {
+        apiKeyId: req.apiKey.id,
+        allowReuse,
+        expectedAction,
+        expectedHostname
+      });
       
       res.json({
         success: true,
         data: {
-          valid: validation.valid,
-          isHuman: validation.isHuman,
-          confidence: validation.confidence,
-          verifiedAt: validation.verifiedAt,
-          expiresAt: validation.expiresAt
+          valid: result.valid,
+          reason: result.reason,
+          isHuman: result.isHuman,
+          confidence: result.confidence,
+          reasonCodes: result.reasonCodes,
+          riskScore: result.riskScore,
+          expiresAt: result.expiresAt,
+          verificationId: result.verificationId,
+          action: result.action,
+          hostname: result.hostname
         }
       });
     } catch (error) {
@@ -299,4 +337,60 @@ router.post('/validate-token',
   }
 );
 
+/**
+ * POST /api/v1/verification/bulk-validate
+ * Validate multiple tokens at once
+ */
+router.post('/bulk-validate',
+  authenticateApiKey,
+  validateRequest(bulkValidateSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { tokens, allowReuse, expectedAction, expectedHostname } = req.body;
+      
+      const results = await Promise.all(
+        tokens.map(async (token) => {
+          try {
+            const result = await verificationService.validateToken(token, {
+              apiKeyId: req.apiKey.id,
+              allowReuse,
+              expectedAction,
+              expectedHostname
+            });
+            return { token, ...result };
+          } catch (error) {
+            return { token, valid: false, error: error.message };
+          }
+        })
+      );
+      
+      res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+function formatVerification(verification) {
+  return {
+    verificationId: verification.id,
+    challengeId: verification.challengeId,
+    status: verification.status,
+    isHuman: verification.isHuman,
+    confidence: verification.confidence,
+    reasonCodes: verification.reasonCodes,
+    riskScore: verification.riskScore,
+    detectionMethod: verification.detectionMethod,
+    deviceProfile: verification.deviceProfile,
+    error: verification.error,
+    submittedAt: verification.submittedAt,
+    processedAt: verification.processedAt,
+    expiresAt: verification.expiresAt,
+    token: verification.token
+  };
+}
+
 module.exports = router;
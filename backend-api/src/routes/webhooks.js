@@ -0,0 +1,187 @@
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+
+const config = require('../config');
+const { authenticateApiKey } = require('../middleware/auth');
+const webhookService = require('../services/webhookService');
+const { validateRequest } = require('../middleware/validation');
+
+// Validation schemas
+const createWebhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: config.isProduction ? ['https'] : ['http', 'https'] }).max(2000).required(),
+  events: Joi.array().items(Joi.string().valid(...webhookService.events)).min(1).unique().required()
+});
+
+const webhookParamsSchema = Joi.object({
+  id: Joi.string().uuid().required()
+});
+
+const deliveryParamsSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  deliveryId: Joi.string().uuid().required()
+});
+
+const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivering', 'delivered', 'dead_letter').optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+/**
+ * POST /api/v1/webhooks
+ * Subscribe a URL to webhook events for the calling API key
+ */
+router.post('/',
+  authenticateApiKey,
+  validateRequest(createWebhookSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { url, events } = req.body;
+      
+      try {
+        await webhookService.checkUrl(url);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Webhook URL is not allowed: ${error.message}`
+        });
+      }
+      
+      const subscription = await webhookService.createSubscription({
+        apiKeyId: req.apiKey.id,
+        url,
+        events
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          id: subscription.id,
+          url: subscription.url,
+          events: subscription.events,
+          secret: subscription.secret, // Only returned once during creation
+          createdAt: subscription.createdAt
+        },
+        message: 'Webhook created. Store the secret securely to verify signatures; it will not be shown again.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/webhooks
+ * List the calling API key's webhook subscriptions (without secrets)
+ */
+router.get('/',
+  authenticateApiKey,
+  async (req, res, next) => {
+    try {
+      const subscriptions = await webhookService.getSubscriptions(req.apiKey.id);
+      
+      res.json({
+        success: true,
+        data: subscriptions.map(subscription => ({
+          id: subscription.id,
+          url: subscription.url,
+          events: subscription.events,
+          createdAt: subscription.createdAt
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Delete a webhook subscription; queued deliveries are not sent
+ */
+router.delete('/:id',
+  authenticateApiKey,
+  validateRequest(webhookParamsSchema, 'params'),
+  async (req, res, next) => {
+    try {
+      const deleted = await webhookService.deleteSubscription(req.apiKey.id, req.params.id);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Delivery log, newest first; filter with ?status=dead_letter for the dead-letter list
+ */
+router.get('/:id/deliveries',
+  authenticateApiKey,
+  validateRequest(webhookParamsSchema, 'params'),
+  validateRequest(deliveriesQuerySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const subscription = await webhookService.getSubscription(req.apiKey.id, req.params.id);
+      
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+      
+      const deliveries = await webhookService.getDeliveries(subscription.id, req.query);
+      
+      res.json({
+        success: true,
+        data: deliveries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Queue a delivered or dead-lettered delivery again
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver',
+  authenticateApiKey,
+  validateRequest(deliveryParamsSchema, 'params'),
+  async (req, res, next) => {
+    try {
+      const subscription = await webhookService.getSubscription(req.apiKey.id, req.params.id);
+      const queued = subscription && subscription.isActive &&
+        await webhookService.redeliver(subscription.id, req.params.deliveryId);
+      
+      if (!queued) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found or still pending'
+        });
+      }
+      
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const tokenService = require('../services/tokenService');
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying verification tokens offline
+ */
+router.get('/jwks.json', (req, res, next) => {
+  try {
+    // Verifiers should refetch when they see an unknown kid
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(tokenService.getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
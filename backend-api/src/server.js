@@ -3,24 +3,32 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
-const { v4: uuidv4 } = require('uuid');
-require('dotenv').config();
+
+// Loads and validates the environment; throws before anything else starts on bad config
+const config = require('./config');
 
 const challengeRoutes = require('./routes/challenges');
 const verificationRoutes = require('./routes/verification');
 const apiKeyRoutes = require('./routes/apiKeys');
+const analyticsRoutes = require('./routes/analytics');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const wellKnownRoutes = require('./routes/wellKnown');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
+const { attachChallengeStream } = require('./websocket/challengeStream');
+const { startAnalyticsRollup } = require('./jobs/analyticsRollup');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
 const database = require('./database/connection');
 const redisClient = require('./cache/redis');
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 // Configure logging
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: config.logging.level,
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
@@ -31,15 +39,15 @@ const logger = winston.createLogger({
       format: winston.format.simple()
     }),
     new winston.transports.File({ 
-      filename: process.env.LOG_FILE || 'logs/app.log' 
+      filename: config.logging.file
     })
   ]
 });
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
   message: {
     error: 'Too many requests from this IP, please try again later.'
   },
@@ -50,7 +58,7 @@ const limiter = rateLimit({
 // Middleware
 app.use(helmet());
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+  origin: config.server.corsOrigin,
   credentials: true
 }));
 app.use(limiter);
@@ -68,9 +76,13 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use(`/api/${process.env.API_VERSION || 'v1'}/challenges`, challengeRoutes);
-app.use(`/api/${process.env.API_VERSION || 'v1'}/verification`, verificationRoutes);
-app.use(`/api/${process.env.API_VERSION || 'v1'}/api-keys`, apiKeyRoutes);
+app.use(`/api/${config.server.apiVersion}/challenges`, challengeRoutes);
+app.use(`/api/${config.server.apiVersion}/verification`, verificationRoutes);
+app.use(`/api/${config.server.apiVersion}/api-keys`, apiKeyRoutes);
+app.use(`/api/${config.server.apiVersion}/analytics`, analyticsRoutes);
+app.use(`/api/${config.server.apiVersion}/webhooks`, webhookRoutes);
+app.use(`/api/${config.server.apiVersion}/admin`, adminRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -108,10 +120,19 @@ async function startServer() {
     await redisClient.ping();
     logger.info('Redis connection established');
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`WeightCha API Server running on port ${PORT}`);
-      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info(`Environment: ${config.env}`);
     });
+    
+    // Real-time challenge streaming (/ws/challenge/:id)
+    attachChallengeStream(server, logger);
+
+    // Daily usage rollups (verification_analytics)
+    startAnalyticsRollup(logger);
+    
+    // Webhook deliveries and challenge.expired events
+    startWebhookDispatcher(logger);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
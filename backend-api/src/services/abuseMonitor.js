@@ -0,0 +1,52 @@
+const redisClient = require('../cache/redis');
+const config = require('../config');
+const webhookService = require('./webhookService');
+
+/**
+ * Abuse Monitor
+ * Counts verification outcomes per API key in fixed windows and emits an
+ * `abuse.bot_rate_spike` webhook the first time a window's bot rate crosses
+ * BOT_RATE_ALERT_THRESHOLD with at least BOT_RATE_ALERT_MIN_VERIFICATIONS verifications.
+ */
+class AbuseMonitor {
+  async recordOutcome(apiKeyId, isHuman) {
+    if (!apiKeyId) return;
+
+    const { threshold, minVerifications, windowMinutes } = config.webhooks.botRateAlert;
+    const windowMs = windowMinutes * 60 * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const prefix = `abuse:${apiKeyId}:${windowStart}`;
+    const ttl = windowMinutes * 60 * 2;
+
+    const total = await redisClient.incr(`${prefix}:total`);
+    const bots = isHuman ? parseInt(await redisClient.get(`${prefix}:bots`), 10) || 0 : await redisClient.incr(`${prefix}:bots`);
+
+    // Counters are unavailable while Redis is down; alerts resume when it is back
+    if (total === null || bots === null) return;
+
+    if (total === 1) {
+      await redisClient.expire(`${prefix}:total`, ttl);
+    }
+    if (!isHuman && bots === 1) {
+      await redisClient.expire(`${prefix}:bots`, ttl);
+    }
+
+    const botRate = bots / total;
+    if (total < minVerifications || botRate < threshold) return;
+
+    // One alert per key and window
+    const first = await redisClient.setNX(`${prefix}:alerted`, ttl, new Date().toISOString());
+    if (!first) return;
+
+    await webhookService.emit(apiKeyId, 'abuse.bot_rate_spike', {
+      windowStart: new Date(windowStart).toISOString(),
+      windowMinutes,
+      verifications: total,
+      botCount: bots,
+      botRate,
+      threshold
+    });
+  }
+}
+
+module.exports = new AbuseMonitor();
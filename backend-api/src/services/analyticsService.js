@@ -0,0 +1,152 @@
+const database = require('../database/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Analytics Service
+ * Rolls verifications up into verification_analytics (one row per UTC day, API key,
+ * detection method and device profile) and serves per-key usage from those rollups,
+ * so usage queries do not scan the verifications table.
+ */
+class AnalyticsService {
+  /**
+   * Aggregate one UTC day of verifications. Idempotent: re-running a day overwrites its rows,
+   * so the current day can be rolled up repeatedly as verifications arrive.
+   */
+  async rollupDay(day) {
+    const date = toDateString(day);
+    const start = new Date(`${date}T00:00:00.000Z`);
+    const end = new Date(start.getTime() + DAY_MS);
+
+    const result = await database.raw(
+      `INSERT INTO verification_analytics (
+         date, api_key_id, detection_method, device_type,
+         success_count, failure_count, avg_confidence, unique_sessions, updated_at
+       )
+       SELECT $1::date,
+              api_key_id,
+              COALESCE(detection_method, 'unknown'),
+              COALESCE(device_profile, 'unknown'),
+              COUNT(CASE WHEN is_human = true THEN 1 END),
+              COUNT(CASE WHEN is_human = false THEN 1 END),
+              AVG(confidence),
+              COUNT(DISTINCT challenge_id),
+              CURRENT_TIMESTAMP
+       FROM verifications
+       WHERE api_key_id IS NOT NULL AND submitted_at >= $2 AND submitted_at < $3
+       GROUP BY api_key_id, COALESCE(detection_method, 'unknown'), COALESCE(device_profile, 'unknown')
+       ON CONFLICT (date, api_key_id, detection_method, device_type)
+       DO UPDATE SET
+         success_count = EXCLUDED.success_count,
+         failure_count = EXCLUDED.failure_count,
+         avg_confidence = EXCLUDED.avg_confidence,
+         unique_sessions = EXCLUDED.unique_sessions,
+         updated_at = CURRENT_TIMESTAMP`,
+      [date, start, end]
+    );
+
+    return { date, rows: result.rowCount };
+  }
+
+  /**
+   * Roll up every UTC day from `from` to `to`, inclusive
+   */
+  async rollupRange(from, to) {
+    const results = [];
+    for (let day = new Date(`${toDateString(from)}T00:00:00.000Z`); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+      results.push(await this.rollupDay(day));
+    }
+    return results;
+  }
+
+  /**
+   * Yesterday and today, so verifications submitted just before midnight are not missed
+   */
+  async rollupRecent() {
+    const now = new Date();
+    return this.rollupRange(new Date(now.getTime() - DAY_MS), now);
+  }
+
+  /**
+   * Usage of an API key between two UTC dates (inclusive), read from the rollups
+   */
+  async getUsage(apiKeyId, { from, to }) {
+    const result = await database.raw(
+      `SELECT to_char(date, 'YYYY-MM-DD') AS day, detection_method, device_type,
+              success_count, failure_count, avg_confidence, updated_at
+       FROM verification_analytics
+       WHERE api_key_id = $1 AND date >= $2::date AND date <= $3::date
+       ORDER BY date`,
+      [apiKeyId, toDateString(from), toDateString(to)]
+    );
+
+    const totals = createUsageAccumulator();
+    const daily = new Map();
+    const byDetectionMethod = {};
+    const byDeviceType = {};
+    let rolledUpAt = null;
+
+    result.rows.forEach(row => {
+      const counts = {
+        human: row.success_count,
+        bot: row.failure_count,
+        confidenceSum: (parseFloat(row.avg_confidence) || 0) * (row.success_count + row.failure_count)
+      };
+
+      if (!daily.has(row.day)) {
+        daily.set(row.day, createUsageAccumulator());
+      }
+
+      addUsageCounts(totals, counts);
+      addUsageCounts(daily.get(row.day), counts);
+      addUsageCounts(byDetectionMethod[row.detection_method] ||
+        (byDetectionMethod[row.detection_method] = createUsageAccumulator()), counts);
+      addUsageCounts(byDeviceType[row.device_type] ||
+        (byDeviceType[row.device_type] = createUsageAccumulator()), counts);
+
+      if (!rolledUpAt || row.updated_at > rolledUpAt) {
+        rolledUpAt = row.updated_at;
+      }
+    });
+
+    return {
+      from: toDateString(from),
+      to: toDateString(to),
+      ...summarizeUsage(totals),
+      byDetectionMethod: mapValues(byDetectionMethod, summarizeUsage),
+      byDeviceType: mapValues(byDeviceType, summarizeUsage),
+      daily: Array.from(daily, ([date, usage]) => ({ date, ...summarizeUsage(usage) })),
+      rolledUpAt
+    };
+  }
+}
+
+function toDateString(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function createUsageAccumulator() {
+  return { human: 0, bot: 0, confidenceSum: 0 };
+}
+
+function addUsageCounts(usage, counts) {
+  usage.human += counts.human;
+  usage.bot += counts.bot;
+  usage.confidenceSum += counts.confidenceSum;
+}
+
+function summarizeUsage(usage) {
+  const total = usage.human + usage.bot;
+  return {
+    totalRequests: total,
+    humanVerifications: usage.human,
+    botDetections: usage.bot,
+    averageConfidence: total > 0 ? usage.confidenceSum / total : null
+  };
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+module.exports = new AnalyticsService();
@@ -118,30 +118,6 @@ class ApiKeyService {
     return prefix + randomBytes.toString('hex');
   }
 
-  async getUsageStats(keyId, startDate, endDate) {
-    let query = database('verifications')
-      .where('api_key_id', keyId);
-    
-    if (startDate) {
-      query = query.where('submitted_at', '>=', startDate);
-    }
-    
-    if (endDate) {
-      query = query.where('submitted_at', '<=', endDate);
-    }
-    
-    const results = await query.select(
-      database.raw('COUNT(*) as total_requests'),
-      database.raw('COUNT(CASE WHEN is_human = true THEN 1 END) as human_verifications'),
-      database.raw('COUNT(CASE WHEN is_human = false THEN 1 END) as bot_detections'),
-      database.raw('AVG(confidence) as avg_confidence'),
-      database.raw('MIN(submitted_at) as first_request'),
-      database.raw('MAX(submitted_at) as last_request')
-    );
-    
-    return results[0];
-  }
-
   async getApiKeyByHash(keyHash) {
     const rows = await database('api_keys')
       .select('*')
@@ -0,0 +1,207 @@
+const database = require('../database/database');
+const challengeService = require('./challengeService');
+const HumanPatternAnalyzer = require('./humanPatternAnalyzer');
+
+const BATCH_SIZE = 200;
+
+// Scoring takes a few ms per trace; the event loop gets a turn after every chunk so a
+// request-time backtest does not stall the other requests
+const REPLAY_CHUNK_SIZE = 10;
+
+// Changed verdicts listed individually in a report; the counts cover all of them
+const MAX_LISTED_CHANGES = 100;
+
+/**
+ * Backtest Service
+ * Replays stored submissions (pressure_data joined with their verification and challenge)
+ * through a candidate HumanPatternAnalyzer configuration and reports how the recorded
+ * verdicts would change: flips, confidence deltas, and a breakdown per detection method.
+ */
+class BacktestService {
+  /**
+   * Build the analyzer for a candidate config. Throws on unknown config entries.
+   */
+  createCandidate(overrides = {}) {
+    return new HumanPatternAnalyzer(overrides);
+  }
+
+  /**
+   * @param {HumanPatternAnalyzer} candidate From createCandidate
+   * @param {Object} filters from/to (submission time), apiKeyId, detectionMethod and limit (most recent first)
+   */
+  async run(candidate, { from, to, apiKeyId, detectionMethod, limit = 1000 }) {
+    const report = {
+      from,
+      to,
+      apiKeyId: apiKeyId || null,
+      detectionMethod: detectionMethod || null,
+      analyzerVersion: candidate.version,
+      configHash: candidate.configHash,
+      confidenceThreshold: candidate.confidenceThreshold,
+      replayed: 0,
+      // Stored before motion and device info were kept with the samples; replayed without them
+      incompleteInputs: 0,
+      changed: 0,
+      humanToBot: 0,
+      botToHuman: 0,
+      confidence: createDeltaAccumulator(),
+      byDetectionMethod: {},
+      changes: []
+    };
+
+    for (let offset = 0; offset < limit; offset += BATCH_SIZE) {
+      const rows = await this.loadSubmissions({ from, to, apiKeyId, detectionMethod }, {
+        offset,
+        limit: Math.min(BATCH_SIZE, limit - offset)
+      });
+
+      for (let i = 0; i < rows.length; i += REPLAY_CHUNK_SIZE) {
+        rows.slice(i, i + REPLAY_CHUNK_SIZE).forEach(row => this.replay(candidate, row, report));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      if (rows.length < BATCH_SIZE) break;
+    }
+
+    return {
+      ...report,
+      confidence: summarizeDeltas(report.confidence),
+      byDetectionMethod: Object.fromEntries(Object.entries(report.byDetectionMethod).map(([method, counts]) => [method, {
+        replayed: counts.replayed,
+        humanToBot: counts.humanToBot,
+        botToHuman: counts.botToHuman,
+        recordedHumanRate: counts.replayed > 0 ? counts.recordedHuman / counts.replayed : null,
+        candidateHumanRate: counts.replayed > 0 ? counts.candidateHuman / counts.replayed : null,
+        confidence: summarizeDeltas(counts.confidence)
+      }]))
+    };
+  }
+
+  async loadSubmissions({ from, to, apiKeyId, detectionMethod }, { offset, limit }) {
+    const params = [from, to];
+    const conditions = ['v.submitted_at >= $1', 'v.submitted_at < $2'];
+
+    if (apiKeyId) {
+      params.push(apiKeyId);
+      conditions.push(`v.api_key_id = $${params.length}`);
+    }
+
+    if (detectionMethod) {
+      params.push(detectionMethod);
+      conditions.push(`v.detection_method = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+
+    const result = await database.raw(
+      `SELECT v.id, v.is_human, v.confidence, v.detection_method, v.submitted_at,
+              v.analysis_details, v.server_elapsed_ms,
+              p.pressure_samples, p.motion_samples, p.device_info,
+              c.type AS challenge_type, c.difficulty AS challenge_difficulty,
+              c.duration AS challenge_duration, c.expected_pattern, c.config AS challenge_config
+       FROM verifications v
+       JOIN pressure_data p ON p.verification_id = v.id
+       LEFT JOIN challenges c ON c.id = v.challenge_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY v.submitted_at DESC, v.id
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Score one stored submission with the candidate and add the outcome to the report
+   */
+  replay(candidate, row, report) {
+    const challengeConfig = parseJson(row.challenge_config) || (row.challenge_type
+      ? challengeService.generateChallengeConfig(row.challenge_type, row.challenge_difficulty, row.challenge_duration)
+      : null);
+    // Replay matches depend on what was submitted before, so the recorded match is reused
+    const analysis = parseJson(row.analysis_details);
+
+    const result = candidate.analyzePattern({
+      pressureData: parseJson(row.pressure_samples) || [],
+      motionData: parseJson(row.motion_samples) || [],
+      deviceInfo: parseJson(row.device_info) || {},
+      detectionMethod: row.detection_method || 'unknown',
+      challengeType: row.challenge_type || null,
+      expectedPattern: parseJson(row.expected_pattern),
+      challengeConfig,
+      replayMatch: analysis ? analysis.replay : null,
+      // Not recorded before trace integrity checks; the elapsed-time check is skipped then
+      serverElapsedMs: row.server_elapsed_ms
+    });
+
+    const recorded = { isHuman: row.is_human, confidence: parseFloat(row.confidence) || 0 };
+    const method = row.detection_method || 'unknown';
+    // Verifications without a verdict (insufficient_sensor) count as not human, with no confidence
+    const delta = (result.confidence || 0) - recorded.confidence;
+    const counts = report.byDetectionMethod[method] || (report.byDetectionMethod[method] = {
+      replayed: 0,
+      humanToBot: 0,
+      botToHuman: 0,
+      recordedHuman: 0,
+      candidateHuman: 0,
+      confidence: createDeltaAccumulator()
+    });
+
+    report.replayed++;
+    counts.replayed++;
+    if (row.device_info === null) report.incompleteInputs++;
+    if (recorded.isHuman) counts.recordedHuman++;
+    if (result.isHuman) counts.candidateHuman++;
+    addDelta(report.confidence, delta);
+    addDelta(counts.confidence, delta);
+
+    if (Boolean(result.isHuman) === Boolean(recorded.isHuman)) return;
+
+    const flip = recorded.isHuman ? 'humanToBot' : 'botToHuman';
+    report.changed++;
+    report[flip]++;
+    counts[flip]++;
+
+    if (report.changes.length < MAX_LISTED_CHANGES) {
+      report.changes.push({
+        verificationId: row.id,
+        detectionMethod: method,
+        submittedAt: row.submitted_at,
+        recorded,
+        candidate: {
+          isHuman: result.isHuman,
+          confidence: result.confidence,
+          reasonCodes: result.reasonCodes
+        }
+      });
+    }
+  }
+}
+
+// JSON columns come back parsed, older rows may hold JSON text
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : (value || null);
+}
+
+function createDeltaAccumulator() {
+  return { count: 0, sum: 0, absSum: 0, maxIncrease: 0, maxDecrease: 0 };
+}
+
+function addDelta(accumulator, delta) {
+  accumulator.count++;
+  accumulator.sum += delta;
+  accumulator.absSum += Math.abs(delta);
+  accumulator.maxIncrease = Math.max(accumulator.maxIncrease, delta);
+  accumulator.maxDecrease = Math.min(accumulator.maxDecrease, delta);
+}
+
+function summarizeDeltas(accumulator) {
+  return {
+    meanDelta: accumulator.count > 0 ? accumulator.sum / accumulator.count : null,
+    meanAbsDelta: accumulator.count > 0 ? accumulator.absSum / accumulator.count : null,
+    maxIncrease: accumulator.maxIncrease,
+    maxDecrease: accumulator.maxDecrease
+  };
+}
+
+module.exports = new BacktestService();
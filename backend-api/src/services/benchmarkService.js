@@ -0,0 +1,130 @@
+const config = require('../config');
+const HumanPatternAnalyzer = require('./humanPatternAnalyzer');
+const { ATTACK_FAMILIES, generateTrace } = require('../utils/botTraces');
+const { createSeededRandom } = require('../utils/seededRandom');
+const { createFingerprint, compareFingerprints } = require('../utils/traceFingerprint');
+
+/**
+ * Benchmark Service
+ * Scores synthetic attack traces (utils/botTraces.js) with an analyzer and reports the
+ * detection rate (share not verified as human) per attack family. Traces answered with
+ * insufficient_sensor get no verdict, so they are counted on their own and left out of the
+ * detection rate. Traces are scored without a challenge, so the numbers measure the
+ * trace-level detectors and cutoffs.
+ * The same seed always generates the same traces, so reports from two configs compare directly.
+ */
+class BenchmarkService {
+  /**
+   * Build the analyzer for a candidate config (backtest config format). Throws on unknown config entries.
+   */
+  createCandidate(overrides = {}) {
+    return new HumanPatternAnalyzer(overrides);
+  }
+
+  /**
+   * @param {HumanPatternAnalyzer} analyzer From createCandidate
+   * @param {Object} options count per family, seed, families (default all) and replayMaxDistance
+   */
+  run(analyzer, { count = 200, seed = 1, families = Object.keys(ATTACK_FAMILIES), replayMaxDistance = config.analyzer.replay.maxDistance } = {}) {
+    const report = {
+      analyzerVersion: analyzer.version,
+      configHash: analyzer.configHash,
+      seed,
+      count,
+      generated: 0,
+      scored: 0,
+      detected: 0,
+      // Families with scored traces of which none was detected
+      evading: [],
+      families: {}
+    };
+
+    families.forEach(family => {
+      // Seeded per family, so a family's traces do not depend on which others are run
+      const random = createSeededRandom(seed * 1000 + familySeed(family));
+      const stats = {
+        description: ATTACK_FAMILIES[family] ? ATTACK_FAMILIES[family].description : null,
+        generated: 0,
+        scored: 0,
+        detected: 0,
+        flagged: 0,
+        insufficientSensor: 0,
+        confidenceSum: 0,
+        reasonCodes: {}
+      };
+
+      for (let i = 0; i < count; i++) {
+        const trace = generateTrace(family, random);
+        const result = analyzer.analyzePattern({
+          ...trace,
+          replayMatch: trace.recording ? matchRecording(trace, replayMaxDistance) : null
+        });
+
+        stats.generated++;
+        if (result.status === 'insufficient_sensor') {
+          stats.insufficientSensor++;
+        } else {
+          stats.scored++;
+          stats.confidenceSum += result.confidence || 0;
+          if (!result.isHuman) stats.detected++;
+        }
+        if ((result.reasonCodes || []).length > 0) stats.flagged++;
+        (result.reasonCodes || []).forEach(code => {
+          stats.reasonCodes[code] = (stats.reasonCodes[code] || 0) + 1;
+        });
+      }
+
+      report.generated += stats.generated;
+      report.scored += stats.scored;
+      report.detected += stats.detected;
+      if (stats.scored > 0 && stats.detected === 0) report.evading.push(family);
+      report.families[family] = {
+        description: stats.description,
+        generated: stats.generated,
+        scored: stats.scored,
+        detected: stats.detected,
+        // Of the traces that got a verdict; null when none did
+        detectionRate: stats.scored > 0 ? stats.detected / stats.scored : null,
+        // Given at least one reason code, whatever the verdict
+        flaggedRate: stats.generated > 0 ? stats.flagged / stats.generated : null,
+        insufficientSensorRate: stats.generated > 0 ? stats.insufficientSensor / stats.generated : null,
+        // insufficient_sensor traces have no confidence
+        meanConfidence: stats.scored > 0 ? stats.confidenceSum / stats.scored : null,
+        reasonCodes: stats.reasonCodes
+      };
+    });
+
+    return {
+      ...report,
+      detectionRate: report.scored > 0 ? report.detected / report.scored : null
+    };
+  }
+}
+
+function familySeed(family) {
+  let hash = 0;
+  for (let i = 0; i < family.length; i++) {
+    hash = (hash * 31 + family.charCodeAt(i)) % 1000;
+  }
+  return hash;
+}
+
+/**
+ * What the replay detector would report if the recording had been submitted earlier
+ */
+function matchRecording(trace, maxDistance) {
+  const fingerprint = createFingerprint(trace.pressureData);
+  const recorded = createFingerprint(trace.recording.pressureData);
+  if (!fingerprint || !recorded) {
+    return { checked: false };
+  }
+
+  const distance = compareFingerprints(fingerprint, recorded);
+  return {
+    checked: true,
+    matched: distance !== null && distance <= maxDistance,
+    distance
+  };
+}
+
+module.exports = new BenchmarkService();
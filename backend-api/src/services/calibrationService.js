@@ -0,0 +1,179 @@
+const database = require('../database/database');
+const HumanPatternAnalyzer = require('./humanPatternAnalyzer');
+
+// Candidate cutoffs are evaluated in steps of 0.01 from 0 to 1
+const ROC_STEPS = 100;
+
+/**
+ * Calibration Service
+ * Derives confidence cutoffs from feedback-labeled verifications. Scores are the stored
+ * base confidence (before any browser boost); for each candidate cutoff the ROC gives the
+ * false accept rate (labeled bots at or above it) and false reject rate (labeled humans below it).
+ *
+ * The resulting calibration file is loaded by HumanPatternAnalyzer (ANALYZER_CALIBRATION_FILE):
+ * each detection method gets its own cutoff, and device profiles shift it by how far their
+ * cutoff is from the overall one. Calibrated cutoffs are medium-difficulty cutoffs.
+ */
+class CalibrationService {
+  /**
+   * Labeled verifications submitted between `from` and `to`, optionally limited to one analyzer version
+   */
+  async loadLabeledScores({ from, to, analyzerVersion }) {
+    const params = [from, to];
+    let versionCondition = '';
+    if (analyzerVersion) {
+      params.push(analyzerVersion);
+      versionCondition = 'AND v.analyzer_version = $3';
+    }
+
+    const result = await database.raw(
+      `SELECT f.label, v.analysis_details,
+              COALESCE(v.detection_method, 'unknown') AS detection_method,
+              COALESCE(v.device_profile, 'unknown') AS device_profile
+       FROM verification_feedback f
+       JOIN verifications v ON v.id = f.verification_id
+       WHERE v.submitted_at >= $1 AND v.submitted_at < $2 ${versionCondition}`,
+      params
+    );
+
+    const samples = [];
+    result.rows.forEach(row => {
+      const analysis = typeof row.analysis_details === 'string'
+        ? JSON.parse(row.analysis_details || '{}')
+        : (row.analysis_details || {});
+      const score = analysis.composite ? analysis.composite.baseConfidence : undefined;
+
+      // Verifications rejected before scoring (e.g. too few samples) have no score to calibrate
+      if (typeof score !== 'number') return;
+
+      samples.push({
+        score,
+        isHuman: row.label === 'human',
+        detectionMethod: row.detection_method,
+        deviceProfile: row.device_profile
+      });
+    });
+
+    return samples;
+  }
+
+  /**
+   * Build a calibration from labeled scores. Segments with fewer than `minPerClass` labeled
+   * humans or bots are reported but get no cutoff of their own.
+   */
+  calibrate(samples, { targetFalseAcceptRate = 0.01, minPerClass = 20, from = null, to = null } = {}) {
+    const options = { targetFalseAcceptRate, minPerClass };
+    const overall = this.evaluateSegment(samples, options);
+
+    if (!overall.calibrated) {
+      throw new Error(`Calibration needs at least ${minPerClass} labeled humans and ${minPerClass} labeled bots ` +
+        `(have ${overall.humans} and ${overall.bots})`);
+    }
+
+    const detectionMethods = this.evaluateGroups(samples, 'detectionMethod', options);
+    const deviceProfiles = this.evaluateGroups(samples, 'deviceProfile', options);
+    const createdAt = new Date();
+
+    return {
+      // Sortable, so the newest of several calibration files is easy to find
+      version: createdAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z'),
+      createdAt: createdAt.toISOString(),
+      analyzerVersion: HumanPatternAnalyzer.VERSION,
+      from,
+      to,
+      targetFalseAcceptRate,
+      minPerClass,
+      cutoffs: {
+        default: overall.cutoff,
+        detectionMethods: calibratedCutoffs(detectionMethods),
+        deviceProfiles: calibratedCutoffs(deviceProfiles)
+      },
+      segments: {
+        overall,
+        detectionMethods,
+        deviceProfiles
+      }
+    };
+  }
+
+  evaluateGroups(samples, key, options) {
+    const groups = {};
+    samples.forEach(sample => {
+      (groups[sample[key]] || (groups[sample[key]] = [])).push(sample);
+    });
+
+    return Object.fromEntries(Object.entries(groups)
+      .map(([name, groupSamples]) => [name, this.evaluateSegment(groupSamples, options)]));
+  }
+
+  /**
+   * ROC, AUC, equal error rate and recommended cutoff for one group of labeled scores.
+   * The cutoff is the lowest one whose false accept rate meets the target, so as few
+   * humans as possible are rejected; when none does, the one with the fewest total errors.
+   */
+  evaluateSegment(samples, { targetFalseAcceptRate, minPerClass }) {
+    const humanScores = samples.filter(sample => sample.isHuman).map(sample => sample.score);
+    const botScores = samples.filter(sample => !sample.isHuman).map(sample => sample.score);
+    const segment = {
+      humans: humanScores.length,
+      bots: botScores.length,
+      calibrated: humanScores.length >= minPerClass && botScores.length >= minPerClass
+    };
+
+    if (humanScores.length === 0 || botScores.length === 0) {
+      return { ...segment, roc: [] };
+    }
+
+    const roc = [];
+    for (let step = 0; step <= ROC_STEPS; step++) {
+      const threshold = step / ROC_STEPS;
+      roc.push({
+        threshold,
+        falseAcceptRate: botScores.filter(score => score >= threshold).length / botScores.length,
+        falseRejectRate: humanScores.filter(score => score < threshold).length / humanScores.length
+      });
+    }
+
+    const meetingTarget = roc.find(point => point.falseAcceptRate <= targetFalseAcceptRate);
+    const chosen = meetingTarget || roc.reduce((best, point) =>
+      point.falseAcceptRate + point.falseRejectRate < best.falseAcceptRate + best.falseRejectRate ? point : best);
+    const equalError = roc.reduce((best, point) =>
+      Math.abs(point.falseAcceptRate - point.falseRejectRate) < Math.abs(best.falseAcceptRate - best.falseRejectRate) ? point : best);
+
+    return {
+      ...segment,
+      auc: calculateAuc(roc),
+      equalErrorRate: (equalError.falseAcceptRate + equalError.falseRejectRate) / 2,
+      cutoff: chosen.threshold,
+      targetMet: Boolean(meetingTarget),
+      falseAcceptRate: chosen.falseAcceptRate,
+      falseRejectRate: chosen.falseRejectRate,
+      roc
+    };
+  }
+}
+
+/**
+ * Area under the ROC curve (true accept rate of humans against false accept rate of bots)
+ */
+function calculateAuc(roc) {
+  // From "reject everyone" (0, 0) up to the lowest cutoff, which accepts the most
+  const points = [{ x: 0, y: 0 }, ...roc.slice().reverse().map(point => ({
+    x: point.falseAcceptRate,
+    y: 1 - point.falseRejectRate
+  })), { x: 1, y: 1 }];
+
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y) / 2;
+  }
+  return area;
+}
+
+function calibratedCutoffs(segments) {
+  return Object.fromEntries(Object.entries(segments)
+    .filter(([, segment]) => segment.calibrated)
+    .map(([name, segment]) => [name, segment.cutoff]));
+}
+
+module.exports = new CalibrationService();
@@ -1,6 +1,10 @@
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const database = require('../database/connection');
 const redisClient = require('../cache/redis');
+const config = require('../config');
+const webhookService = require('./webhookService');
+const { generatePattern, describePattern } = require('../utils/challengePatterns');
 
 class ChallengeService {
   constructor() {
@@ -28,9 +32,9 @@ class ChallengeService {
     };
   }
 
-  async createChallenge({ type, difficulty, duration, metadata, apiKeyId }) {
+  async createChallenge({ type, difficulty, duration, action, hostname, metadata, apiKeyId }) {
     const challengeId = uuidv4();
-    const expiryMinutes = parseInt(process.env.CHALLENGE_EXPIRY_MINUTES) || 5;
+    const expiryMinutes = config.challenges.expiryMinutes;
     const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
     
     const challengeConfig = this.challengeTypes[type];
@@ -38,13 +42,25 @@ class ChallengeService {
       throw new Error(`Invalid challenge type: ${type}`);
     }
     
+    const challengeDuration = duration || challengeConfig.defaultDuration;
+    const pattern = generatePattern(type, challengeDuration);
+    
+    // Snapshot difficulty-scaled requirements so later tuning does not change issued challenges
+    const challengeSettings = this.generateChallengeConfig(type, difficulty, challengeDuration);
+    
     const challenge = {
       id: challengeId,
       type,
       difficulty,
-      duration: duration || challengeConfig.defaultDuration,
-      instructions: challengeConfig.instructions.replace('{duration}', duration || challengeConfig.defaultDuration),
+      duration: challengeDuration,
+      instructions: describePattern(pattern),
+      pattern,
+      config: challengeSettings,
+      // Bound into the verification token so it is only accepted for this site action
+      action: action || null,
+      hostname: hostname ? hostname.toLowerCase() : null,
       status: 'pending',
+      streamToken: crypto.randomBytes(24).toString('hex'),
       apiKeyId,
       metadata: metadata || {},
       createdAt: new Date(),
@@ -58,7 +74,12 @@ class ChallengeService {
       difficulty: challenge.difficulty,
       duration: challenge.duration,
       instructions: challenge.instructions,
+      expected_pattern: JSON.stringify(challenge.pattern),
+      config: JSON.stringify(challenge.config),
+      action: challenge.action,
+      hostname: challenge.hostname,
       status: challenge.status,
+      stream_token: challenge.streamToken,
       api_key_id: challenge.apiKeyId,
       metadata: JSON.stringify(challenge.metadata),
       created_at: challenge.createdAt,
@@ -99,7 +120,12 @@ class ChallengeService {
       difficulty: row.difficulty,
       duration: row.duration,
       instructions: row.instructions,
+      pattern: row.expected_pattern || null, // JSONB columns are parsed by pg
+      config: row.config || null,
+      action: row.action,
+      hostname: row.hostname,
       status: row.status,
+      streamToken: row.stream_token,
       apiKeyId: row.api_key_id,
       metadata: JSON.parse(row.metadata || '{}'),
       createdAt: row.created_at,
@@ -130,6 +156,31 @@ class ChallengeService {
     return result > 0;
   }
 
+  /**
+   * Mark pending challenges past their expiry as expired and emit challenge.expired.
+   * The UPDATE claims each challenge once, so concurrent sweeps do not emit twice.
+   */
+  async expireChallenges() {
+    const rows = await database.raw(
+      `UPDATE challenges SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND expires_at < CURRENT_TIMESTAMP
+       RETURNING id, type, action, hostname, api_key_id, expires_at`
+    );
+    
+    for (const row of rows) {
+      await redisClient.del(`challenge:${row.id}`);
+      await webhookService.emit(row.api_key_id, 'challenge.expired', {
+        challengeId: row.id,
+        type: row.type,
+        action: row.action,
+        hostname: row.hostname,
+        expiredAt: row.expires_at
+      });
+    }
+    
+    return rows.length;
+  }
+
   async updateChallengeStatus(challengeId, status) {
     await database('challenges')
       .where('id', challengeId)
@@ -149,6 +200,16 @@ class ChallengeService {
     }
   }
 
+  isValidStreamToken(challenge, token) {
+    if (!challenge.streamToken || typeof token !== 'string') {
+      return false;
+    }
+    
+    const expected = Buffer.from(challenge.streamToken);
+    const provided = Buffer.from(token);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
   getDifficultyMultiplier(difficulty) {
     const multipliers = {
       easy: 0.7,
@@ -158,6 +219,15 @@ class ChallengeService {
     return multipliers[difficulty] || 1.0;
   }
 
+  getConfidenceThreshold(difficulty) {
+    const thresholds = {
+      easy: 0.55,
+      medium: 0.65,
+      hard: 0.75
+    };
+    return thresholds[difficulty] || 0.65;
+  }
+
   generateChallengeConfig(type, difficulty, duration) {
     const config = this.challengeTypes[type];
     const multiplier = this.getDifficultyMultiplier(difficulty);
@@ -167,38 +237,43 @@ class ChallengeService {
       difficulty,
       duration,
       requiredSamples: Math.floor(config.requiredSamples * multiplier),
-      instructions: config.instructions.replace('{duration}', duration),
+      confidenceThreshold: this.getConfidenceThreshold(difficulty),
       thresholds: this.generateThresholds(type, difficulty)
     };
   }
 
   generateThresholds(type, difficulty) {
+    // `comparison` matches the analyzer's thresholdMetrics: a trace must reach a min threshold
+    // and stay under a max one. `limit` is the strictest value a genuine trace still meets.
     const baseThresholds = {
       pressure_pattern: {
-        minVariance: 0.1,
-        maxVariance: 0.3,
-        consistencyThreshold: 0.8
+        minVariance: { value: 0.1, comparison: 'min', limit: 0.1 },
+        maxVariance: { value: 0.3, comparison: 'max', limit: 0.25 },
+        consistencyThreshold: { value: 0.8, comparison: 'min', limit: 0.85 }
       },
       rhythm_test: {
-        timingAccuracy: 0.7,
-        patternMatching: 0.8
+        timingAccuracy: { value: 0.7, comparison: 'min', limit: 0.75 },
+        patternMatching: { value: 0.8, comparison: 'min', limit: 0.85 }
       },
       sustained_pressure: {
-        stabilityThreshold: 0.85,
-        movementSmoothnessThreshold: 0.7
+        stabilityThreshold: { value: 0.85, comparison: 'min', limit: 0.86 },
+        movementSmoothnessThreshold: { value: 0.7, comparison: 'min', limit: 0.8 }
       },
       progressive_pressure: {
-        rampConsistency: 0.8,
-        finalPressureRatio: 0.9
+        rampConsistency: { value: 0.8, comparison: 'min', limit: 0.9 },
+        finalPressureRatio: { value: 0.85, comparison: 'min', limit: 0.88 }
       }
     };
 
-    const thresholds = baseThresholds[type] || {};
     const difficultyMultiplier = this.getDifficultyMultiplier(difficulty);
+    const thresholds = {};
     
-    // Adjust thresholds based on difficulty
-    Object.keys(thresholds).forEach(key => {
-      thresholds[key] = Math.min(0.95, thresholds[key] * difficultyMultiplier);
+    // Harder difficulties raise min thresholds and lower max thresholds, up to their limit
+    Object.entries(baseThresholds[type] || {}).forEach(([key, { value, comparison, limit }]) => {
+      const scaled = comparison === 'max'
+        ? Math.max(limit, value / difficultyMultiplier)
+        : Math.min(limit, value * difficultyMultiplier);
+      thresholds[key] = Math.round(scaled * 1000) / 1000;
     });
     
     return thresholds;
@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database/database');
+
+const FEEDBACK_LABELS = ['human', 'bot'];
+
+/**
+ * Feedback Service
+ * Ground-truth labels reported by sites after the fact (a chargeback bot, a confirmed
+ * customer, ...) and precision/recall of the recorded verdicts against them.
+ * Bot detection is the positive class: a true positive is a labeled bot that was rejected.
+ */
+class FeedbackService {
+  constructor() {
+    this.labels = FEEDBACK_LABELS;
+  }
+
+  /**
+   * Label a verification. A verification has one label; reporting again replaces it.
+   * Returns the feedback and whether it replaced an earlier label.
+   */
+  async submitFeedback(verification, { label, source, notes }) {
+    const result = await database.raw(
+      `INSERT INTO verification_feedback (id, verification_id, api_key_id, label, source, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (verification_id) DO UPDATE SET
+         label = EXCLUDED.label,
+         source = EXCLUDED.source,
+         notes = EXCLUDED.notes,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *, (xmax <> 0) AS replaced`,
+      [uuidv4(), verification.id, verification.apiKeyId, label, source || null, notes || null]
+    );
+
+    const row = result.rows[0];
+    return {
+      feedback: this.formatFeedback(row),
+      replaced: row.replaced
+    };
+  }
+
+  /**
+   * Confusion matrix, precision and recall of labeled verifications submitted between
+   * `from` and `to`, overall and per detection method. Omit apiKeyId for every key.
+   */
+  async getReport({ apiKeyId, from, to }) {
+    const params = [from, to];
+    let keyCondition = '';
+    if (apiKeyId) {
+      params.push(apiKeyId);
+      keyCondition = 'AND v.api_key_id = $3';
+    }
+
+    const result = await database.raw(
+      `SELECT COALESCE(v.detection_method, 'unknown') AS detection_method,
+              COUNT(CASE WHEN f.label = 'bot' AND v.is_human = false THEN 1 END) AS true_positives,
+              COUNT(CASE WHEN f.label = 'human' AND v.is_human = false THEN 1 END) AS false_positives,
+              COUNT(CASE WHEN f.label = 'bot' AND v.is_human = true THEN 1 END) AS false_negatives,
+              COUNT(CASE WHEN f.label = 'human' AND v.is_human = true THEN 1 END) AS true_negatives
+       FROM verification_feedback f
+       JOIN verifications v ON v.id = f.verification_id
+       WHERE v.submitted_at >= $1 AND v.submitted_at < $2 ${keyCondition}
+       GROUP BY 1
+       ORDER BY 1`,
+      params
+    );
+
+    const totals = createConfusionMatrix();
+    const byDetectionMethod = {};
+
+    result.rows.forEach(row => {
+      const counts = {
+        truePositives: parseInt(row.true_positives, 10),
+        falsePositives: parseInt(row.false_positives, 10),
+        falseNegatives: parseInt(row.false_negatives, 10),
+        trueNegatives: parseInt(row.true_negatives, 10)
+      };
+
+      addConfusionCounts(totals, counts);
+      addConfusionCounts(byDetectionMethod[row.detection_method] = createConfusionMatrix(), counts);
+    });
+
+    return {
+      from,
+      to,
+      ...summarizeConfusion(totals),
+      byDetectionMethod: Object.fromEntries(Object.entries(byDetectionMethod)
+        .map(([method, counts]) => [method, summarizeConfusion(counts)]))
+    };
+  }
+
+  formatFeedback(row) {
+    return {
+      id: row.id,
+      verificationId: row.verification_id,
+      label: row.label,
+      source: row.source,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+function createConfusionMatrix() {
+  return { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+}
+
+function addConfusionCounts(matrix, counts) {
+  Object.keys(matrix).forEach(key => {
+    matrix[key] += counts[key];
+  });
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function summarizeConfusion(matrix) {
+  const { truePositives: tp, falsePositives: fp, falseNegatives: fn, trueNegatives: tn } = matrix;
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+
+  return {
+    labeled: tp + fp + fn + tn,
+    labeledBots: tp + fn,
+    labeledHumans: fp + tn,
+    confusion: matrix,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null,
+    accuracy: ratio(tp + tn, tp + fp + fn + tn),
+    // Real users who were rejected, and labeled bots that got through
+    falseRejectRate: ratio(fp, fp + tn),
+    falseAcceptRate: ratio(fn, tp + fn)
+  };
+}
+
+module.exports = new FeedbackService();
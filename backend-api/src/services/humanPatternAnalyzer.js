@@ -4,29 +4,61 @@
  * to determine if interaction is from a human or bot
  */
 
+const { scorePattern } = require('../utils/challengePatterns');
+const typeAnalyzer = require('../utils/humanPatternAnalyzer');
+const { calculateRiskScore, rejectingCodes } = require('../utils/reasonCodes');
+const { arrayMax, arrayMin } = require('../utils/arrayMath');
+const { readForce, preprocessTrace } = require('../utils/tracePreprocessor');
+const { welchSpectrum, bandPower, bandDensity, spectralEntropy } = require('../utils/spectralAnalysis');
+const crypto = require('crypto');
+
+// Bump when the scoring logic changes; threshold and weight changes are captured by the config hash
+const ANALYZER_VERSION = '1.7.7';
+
+// Config sections a candidate analyzer may override, e.g. for a backtest or shadow scoring
+const CONFIG_SECTIONS = ['patterns', 'browserPatterns', 'deviceProfiles', 'weights'];
+const CONFIG_VALUES = ['defaultConfidenceThreshold', 'confidenceThreshold', 'calibration'];
+
 class HumanPatternAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} [overrides] Replaces entries of `patterns`, `browserPatterns`, `deviceProfiles`
+   *   and `weights` (object entries are merged, so `{ patterns: { pressureVariance: { max: 0.2 } } }`
+   *   keeps the default min), `defaultConfidenceThreshold`, `confidenceThreshold` and `calibration`
+   */
+  constructor(overrides = {}) {
     this.patterns = {
       // Human characteristics
       pressureVariance: { min: 0.01, max: 0.15 },
       timingIrregularity: { min: 0.05, max: 0.25 },
       naturalRhythm: { min: 0.3, max: 0.8 },
+      tremor: { minHz: 8, maxHz: 12, minProminence: 2, minPower: 1e-7 }, // Physiological tremor band, its peak over the neighbouring bands and the power below which it is rounding noise
+      spectralEntropy: { min: 0.15, max: 0.85 }, // Near 1 is white noise, near 0 a pure oscillation
       
       // Bot characteristics (to detect and reject)
-      linearProgression: { threshold: 0.95 },
-      perfectTiming: { threshold: 0.98 },
-      mechanicalPattern: { threshold: 0.9 }
+      linearProgression: { threshold: 0.995 }, // R² of the pressure build-up; human ramps wobble below this
+      replayedTrace: { penalty: 0.3 }, // Subtracted when the trace nearly duplicates a recent submission
+
+      // Timeline checks run before scoring; `penalty` is subtracted per failed soft check
+      traceIntegrity: { minSpanRatio: 0.5, maxSpanRatio: 2, clockToleranceMs: 1000, penalty: 0.15 },
+
+      // Below either minimum the pressure carries no usable force information (see assessSensorQuality)
+      sensorQuality: { minDistinctValues: 4, minEffectiveBits: 1.5 },
+
+      // Fixed rate the signal analyzers see, and the pressure below which a sample is idle (see utils/tracePreprocessor.js)
+      preprocessing: { sampleRateHz: 60, idleThreshold: 0.02 }
     };
     
     // Browser-specific detection patterns
+    // Sample rates are the median event rate each API can plausibly deliver; `maxValueStep` is the
+    // coarsest pressure resolution expected from methods that read an analog sensor
     this.browserPatterns = {
-      webHID: { accuracy: 0.95, confidenceBoost: 0.1 },
-      forceTouch: { accuracy: 0.90, confidenceBoost: 0.08 },
-      pointerEvents: { accuracy: 0.75, confidenceBoost: 0.05 },
-      motionSensors: { accuracy: 0.60, confidenceBoost: 0.02 }
+      webHID: { accuracy: 0.95, confidenceBoost: 0.1, minSampleRateHz: 20, maxSampleRateHz: 1000, maxValueStep: 0.02 },
+      forceTouch: { accuracy: 0.90, confidenceBoost: 0.08, minSampleRateHz: 5, maxSampleRateHz: 240, maxValueStep: 0.02 },
+      pointerEvents: { accuracy: 0.75, confidenceBoost: 0.05, minSampleRateHz: 5, maxSampleRateHz: 1000 },
+      motionSensors: { accuracy: 0.60, confidenceBoost: 0.02, minSampleRateHz: 10, maxSampleRateHz: 250 }
     };
 
-    // Device-specific calibration profiles
+    // Device-specific calibration profiles; `pressureMultiplier` maps each device's pressure range onto the reference range
     this.deviceProfiles = {
       'MacBook Pro 16" 2021': { pressureMultiplier: 1.2, sensitivity: 0.95 },
       'MacBook Pro 14" 2021': { pressureMultiplier: 1.15, sensitivity: 0.93 },
@@ -37,6 +69,95 @@ class HumanPatternAnalyzer {
       'iPad Pro 12.9"': { pressureMultiplier: 0.8, sensitivity: 0.70 },
       'generic': { pressureMultiplier: 1.0, sensitivity: 0.65 }
     };
+
+    // Metrics checked by the per-type thresholds from ChallengeService.generateThresholds
+    this.thresholdMetrics = {
+      minVariance: { metric: 'pressureVariation', comparison: 'min' },
+      maxVariance: { metric: 'pressureVariation', comparison: 'max' },
+      consistencyThreshold: { metric: 'patternScore', comparison: 'min' },
+      timingAccuracy: { metric: 'timingAccuracy', comparison: 'min' },
+      patternMatching: { metric: 'patternMatching', comparison: 'min' },
+      stabilityThreshold: { metric: 'stability', comparison: 'min' },
+      movementSmoothnessThreshold: { metric: 'movementSmoothness', comparison: 'min' },
+      rampConsistency: { metric: 'rampConsistency', comparison: 'min' },
+      finalPressureRatio: { metric: 'finalPressureRatio', comparison: 'min' }
+    };
+
+    // Weight of each sub-score in the composite confidence; analyses that did not run are left out
+    this.weights = {
+      pressure: 0.35,
+      timing: 0.25,
+      motion: 0.15,
+      device: 0.10,
+      biometric: 0.15,
+      spectral: 0.15,
+      challenge: 0.20,
+      pattern: 0.20 // Only present when the challenge has a target pattern
+    };
+
+    // Used when a challenge carries no snapshotted config
+    this.defaultConfidenceThreshold = 0.65;
+
+    // When set, replaces every challenge's cutoff (used by candidate configs)
+    this.confidenceThreshold = null;
+
+    // Cutoffs derived from labeled verifications (scripts/calibrate.js); replaces the browser boosts
+    this.calibration = null;
+
+    this.applyOverrides(overrides);
+
+    this.version = ANALYZER_VERSION;
+    this.configHash = this.calculateConfigHash();
+  }
+
+  /**
+   * Merge config overrides into the defaults. Unknown sections and entries throw,
+   * so a typo in a candidate config is not silently scored as the defaults.
+   */
+  applyOverrides(overrides) {
+    for (const [section, values] of Object.entries(overrides || {})) {
+      if (section === 'calibration') {
+        const cutoffs = values && values.cutoffs;
+        if (values && !(cutoffs && typeof cutoffs.default === 'number' && cutoffs.detectionMethods && cutoffs.deviceProfiles)) {
+          throw new Error('Calibration is missing cutoffs.default, cutoffs.detectionMethods or cutoffs.deviceProfiles');
+        }
+
+        // Only the cutoffs score anything; the ROC report in the file is for people
+        this.calibration = values ? { version: values.version, cutoffs } : null;
+        continue;
+      }
+
+      if (CONFIG_VALUES.includes(section)) {
+        this[section] = values;
+        continue;
+      }
+
+      if (!CONFIG_SECTIONS.includes(section)) {
+        throw new Error(`Unknown analyzer config section '${section}'`);
+      }
+
+      for (const [name, value] of Object.entries(values || {})) {
+        const current = this[section][name];
+        if (current === undefined) {
+          throw new Error(`Unknown ${section} entry '${name}'`);
+        }
+
+        this[section][name] = typeof current === 'object' ? { ...current, ...value } : value;
+      }
+    }
+  }
+
+  /**
+   * Short hash of every tunable setting, recorded with each verification so a result
+   * can be traced back to the thresholds that produced it
+   */
+  calculateConfigHash() {
+    const settings = {};
+    [...CONFIG_SECTIONS, ...CONFIG_VALUES].forEach(key => {
+      settings[key] = this[key];
+    });
+
+    return crypto.createHash('sha256').update(stableStringify(settings)).digest('hex').slice(0, 16);
   }
 
   /**
@@ -49,26 +170,103 @@ class HumanPatternAnalyzer {
       const deviceInfo = verificationData.deviceInfo || {};
       const detectionMethod = verificationData.detectionMethod || 'unknown';
       const motionData = verificationData.motionData || [];
+      const challengeType = verificationData.challengeType || null;
+      const expectedPattern = verificationData.expectedPattern || null;
+      const challengeConfig = verificationData.challengeConfig || null;
+      // Set by the verification service from recent submissions (services/replayDetector.js)
+      const replayMatch = verificationData.replayMatch || null;
+      // Server clock time from challenge creation to submission
+      const serverElapsedMs = typeof verificationData.serverElapsedMs === 'number' ? verificationData.serverElapsedMs : null;
+      const requiredSamples = Math.max(5, (challengeConfig && challengeConfig.requiredSamples) || 0);
       
-      if (!pressureData || pressureData.length < 5) {
+      if (!pressureData || pressureData.length < requiredSamples) {
         return {
           isHuman: false,
           confidence: 0,
           reason: 'Insufficient pressure data',
+          reasonCodes: ['INSUFFICIENT_SAMPLES'],
+          riskScore: calculateRiskScore(0, ['INSUFFICIENT_SAMPLES']),
+          sampleCount: pressureData ? pressureData.length : 0,
+          requiredSamples,
+          analyzerVersion: this.version,
+          configHash: this.configHash,
           analysis: null
         };
       }
 
       // Get device profile for calibration
       const deviceProfile = this.getDeviceProfile(deviceInfo);
+      // Methods without a profile (touchEvents, unknown) are held to the Pointer Events sample rates
       const browserPattern = this.browserPatterns[detectionMethod] || this.browserPatterns.pointerEvents;
 
+      // A fabricated timeline is rejected before scoring
+      const integrityAnalysis = this.analyzeTraceIntegrity(pressureData, browserPattern, challengeConfig, expectedPattern, serverElapsedMs);
+      if (!integrityAnalysis.passed) {
+        return {
+          isHuman: false,
+          confidence: 0,
+          reason: 'Trace timeline failed integrity checks',
+          reasonCodes: integrityAnalysis.reasonCodes,
+          riskScore: calculateRiskScore(0, integrityAnalysis.reasonCodes),
+          detectionMethod,
+          deviceProfile: deviceProfile.name,
+          analyzerVersion: this.version,
+          configHash: this.configHash,
+          analysis: { integrity: integrityAnalysis }
+        };
+      }
+
+      // Hardware that cannot report force gets no verdict rather than a bot verdict, so sites
+      // can offer another challenge. Force-sensing methods must deliver force (analyzeMethodConsistency).
+      const sensorAnalysis = this.assessSensorQuality(pressureData);
+      if (!sensorAnalysis.usable && browserPattern.maxValueStep === undefined) {
+        return {
+          isHuman: null,
+          status: 'insufficient_sensor',
+          confidence: null,
+          reason: 'The device reported no usable force information',
+          reasonCodes: ['INSUFFICIENT_SENSOR'],
+          riskScore: null,
+          detectionMethod,
+          deviceProfile: deviceProfile.name,
+          analyzerVersion: this.version,
+          configHash: this.configHash,
+          analysis: { integrity: integrityAnalysis, sensor: sensorAnalysis }
+        };
+      }
+
+      // The client picks its own method, so the claim only counts when the evidence agrees with it
+      const methodAnalysis = this.analyzeMethodConsistency(detectionMethod, deviceInfo, pressureData, motionData,
+        integrityAnalysis.characteristics.sampleRateHz);
+      const claimedThreshold = this.resolveConfidenceThreshold(challengeConfig, detectionMethod, deviceProfile.name);
+      // A contradicted claim must not earn its method's (possibly lower) calibrated cutoff
+      const confidenceThreshold = methodAnalysis.consistent
+        ? claimedThreshold
+        : Math.max(claimedThreshold, this.resolveConfidenceThreshold(challengeConfig, null, deviceProfile.name));
+      // Calibrated cutoffs already account for how each method scores. Only methods with a profile
+      // are checked against their evidence, so only they can earn a boost.
+      const browserBoost = this.calibration || !methodAnalysis.consistent || !methodAnalysis.verified
+        ? 0
+        : browserPattern.confidenceBoost;
+
+      // The stages above examine the recording as submitted; the signal analyzers see the trace
+      // trimmed, scaled to the device's pressure range and resampled to a fixed rate. Timing and
+      // challenge-type checks measure event timing itself, so they get the trimmed events instead.
+      // Challenge targets are set in submitted units, so the challenge checks score the unscaled trace.
+      const trace = preprocessTrace(pressureData, deviceProfile, this.patterns.preprocessing);
+
       // Perform multiple analyses
-      const pressureAnalysis = this.analyzePressurePattern(pressureData, deviceProfile);
-      const timingAnalysis = this.analyzeTimingPattern(pressureData);
+      const pressureAnalysis = this.analyzePressurePattern(trace.samples);
+      const timingAnalysis = this.analyzeTimingPattern(trace.events);
       const motionAnalysis = this.analyzeMotionPattern(motionData);
       const deviceAnalysis = this.analyzeDeviceCharacteristics(deviceInfo);
-      const biometricAnalysis = this.analyzeBiometricSignature(pressureData, motionData);
+      const biometricAnalysis = this.analyzeBiometricSignature(trace.samples, motionData);
+      const spectralAnalysis = this.analyzeSpectralSignature(trace.samples, trace.characteristics.sampleRateHz);
+      const challengeAnalysis = challengeType ? this.analyzeChallengeType(trace.rawEvents, challengeType, expectedPattern) : null;
+      const patternAnalysis = expectedPattern ? this.analyzeTargetPattern(trace.rawSamples, expectedPattern) : null;
+      const thresholdAnalysis = challengeConfig && challengeConfig.thresholds
+        ? this.evaluateChallengeThresholds(challengeConfig.thresholds, trace.rawSamples, patternAnalysis)
+        : null;
 
       // Calculate composite confidence score
       const baseConfidence = this.calculateCompositeConfidence({
@@ -76,28 +274,74 @@ class HumanPatternAnalyzer {
         timing: timingAnalysis,
         motion: motionAnalysis,
         device: deviceAnalysis,
-        biometric: biometricAnalysis
+        biometric: biometricAnalysis,
+        spectral: spectralAnalysis,
+        challenge: challengeAnalysis,
+        pattern: patternAnalysis
+      });
+
+      // Apply browser-specific adjustments, and the penalty for a replayed recording
+      const replayed = Boolean(replayMatch && replayMatch.matched);
+      const replayPenalty = replayed ? this.patterns.replayedTrace.penalty : 0;
+      const integrityPenalty = integrityAnalysis.reasonCodes.length * this.patterns.traceIntegrity.penalty;
+      const adjustedConfidence = Math.max(0, Math.min(1.0, baseConfidence + browserBoost) - replayPenalty - integrityPenalty);
+
+      const reasonCodes = this.deriveReasonCodes({
+        integrity: integrityAnalysis,
+        pressure: pressureAnalysis,
+        timing: timingAnalysis,
+        method: methodAnalysis,
+        challenge: challengeAnalysis,
+        pattern: patternAnalysis,
+        thresholds: thresholdAnalysis,
+        replayed,
+        belowCutoff: adjustedConfidence < confidenceThreshold
       });
 
-      // Apply browser-specific adjustments
-      const adjustedConfidence = Math.min(1.0, baseConfidence + browserPattern.confidenceBoost);
-      const isHuman = adjustedConfidence >= 0.65; // Threshold for human classification
+      // Mechanical signatures such as timer-driven sampling reject the trace whatever its confidence
+      const rejectedBy = rejectingCodes(reasonCodes);
+
+      // Difficulty-specific cutoff; the challenge's type checks, target pattern and thresholds must also be met
+      const isHuman = adjustedConfidence >= confidenceThreshold &&
+        rejectedBy.length === 0 &&
+        (!challengeAnalysis || challengeAnalysis.passed) &&
+        (!patternAnalysis || patternAnalysis.matched) &&
+        (!thresholdAnalysis || thresholdAnalysis.passed);
 
       return {
         isHuman,
         confidence: adjustedConfidence,
+        reasonCodes,
+        riskScore: calculateRiskScore(adjustedConfidence, reasonCodes),
         detectionMethod,
         deviceProfile: deviceProfile.name,
+        analyzerVersion: this.version,
+        configHash: this.configHash,
         analysis: {
+          integrity: integrityAnalysis,
+          sensor: sensorAnalysis,
+          preprocessing: trace.characteristics,
           pressure: pressureAnalysis,
           timing: timingAnalysis,
           motion: motionAnalysis,
           device: deviceAnalysis,
           biometric: biometricAnalysis,
+          spectral: spectralAnalysis,
+          method: methodAnalysis,
+          challenge: challengeAnalysis,
+          pattern: patternAnalysis,
+          thresholds: thresholdAnalysis,
+          replay: replayMatch,
           composite: {
             baseConfidence,
             adjustedConfidence,
-            browserBoost: browserPattern.confidenceBoost
+            browserBoost,
+            replayPenalty,
+            integrityPenalty,
+            confidenceThreshold,
+            rejectedBy,
+            calibrationVersion: this.calibration ? this.calibration.version : null,
+            weights: this.weights
           }
         },
         timestamp: new Date().toISOString()
@@ -109,27 +353,163 @@ class HumanPatternAnalyzer {
         isHuman: false,
         confidence: 0,
         reason: 'Analysis error',
+        reasonCodes: ['ANALYSIS_FAILED'],
+        riskScore: calculateRiskScore(0, ['ANALYSIS_FAILED']),
+        analyzerVersion: this.version,
+        configHash: this.configHash,
         error: error.message
       };
     }
   }
 
   /**
-   * Analyze pressure patterns for human characteristics
+   * Check that the client timestamps describe a plausible recording: strictly ordered, at a
+   * sample rate the detection method can deliver, about as long as the challenge asked for
+   * (the target pattern's span, which can be much shorter than the challenge duration),
+   * and no longer than the server saw pass between issuing the challenge and the submission.
+   * Out-of-order timestamps and a trace longer than the elapsed time cannot come from a real
+   * recording and fail the stage; the other checks are returned as penalized reason codes.
    */
-  analyzePressurePattern(pressureData, deviceProfile) {
-    const pressures = pressureData.map(d => d.pressure || d.weight || 0);
-    const weights = pressureData.map(d => d.weight || d.pressure * 100 || 0);
+  analyzeTraceIntegrity(pressureData, browserPattern, challengeConfig, expectedPattern, serverElapsedMs) {
+    const { minSpanRatio, maxSpanRatio, clockToleranceMs } = this.patterns.traceIntegrity;
+    const timestamps = pressureData.map(d => d.timestamp);
+
+    let backwardSteps = 0;
+    let duplicateTimestamps = 0;
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+      const interval = timestamps[i] - timestamps[i - 1];
+      if (!Number.isFinite(interval) || interval < 0) backwardSteps++;
+      else if (interval === 0) duplicateTimestamps++;
+      else intervals.push(interval);
+    }
+
+    const spanMs = timestamps[timestamps.length - 1] - timestamps[0];
+    const sampleRateHz = intervals.length > 0 ? 1000 / this.calculateMedian(intervals) : null;
+    const challengeMs = challengeConfig && challengeConfig.duration ? challengeConfig.duration * 1000 : null;
+    const expectedSpanMs = this.expectedSpanMs(expectedPattern, challengeMs);
+
+    const characteristics = {
+      backwardSteps,
+      duplicateTimestamps,
+      spanMs,
+      sampleRateHz,
+      challengeMs,
+      expectedSpanMs,
+      serverElapsedMs
+    };
+
+    const checks = [
+      this.flagCheck('monotonicTimestamps', backwardSteps === 0, 0),
+      this.rangeCheck('sampleRateHz', sampleRateHz,
+        { min: browserPattern.minSampleRateHz, max: browserPattern.maxSampleRateHz }, 0)
+    ];
+    if (challengeMs !== null) {
+      checks.push(this.rangeCheck('spanMs', spanMs, { min: expectedSpanMs * minSpanRatio, max: challengeMs * maxSpanRatio }, 0));
+    }
+    if (serverElapsedMs !== null) {
+      checks.push(this.rangeCheck('spanWithinElapsedMs', spanMs, { max: serverElapsedMs + clockToleranceMs }, 0));
+    }
+
+    const failed = name => checks.some(check => check.name === name && !check.passed);
+    const fatalCodes = [];
+    const reasonCodes = [];
+
+    if (failed('monotonicTimestamps')) fatalCodes.push('TIMESTAMPS_NOT_MONOTONIC');
+    if (failed('spanWithinElapsedMs')) fatalCodes.push('TRACE_EXCEEDS_ELAPSED_TIME');
+    if (failed('sampleRateHz')) reasonCodes.push('IMPLAUSIBLE_SAMPLE_RATE');
+    if (failed('spanMs')) reasonCodes.push('DURATION_MISMATCH');
+
+    return {
+      passed: fatalCodes.length === 0,
+      reasonCodes: [...fatalCodes, ...reasonCodes],
+      characteristics,
+      checks
+    };
+  }
+
+  /**
+   * How long the target pattern takes to perform: the taps, ramp or hold only fill part of
+   * the challenge duration. Without a pattern, the challenge duration.
+   */
+  expectedSpanMs(expectedPattern, challengeMs) {
+    switch (expectedPattern && expectedPattern.kind) {
+      case 'tap_rhythm':
+        return expectedPattern.intervals.reduce((a, b) => a + b, 0);
+      case 'pressure_ramp':
+        return expectedPattern.rampMs;
+      case 'hold':
+        return expectedPattern.holdMs;
+      default:
+        return challengeMs;
+    }
+  }
+
+  /**
+   * Measure how much force information the pressure values carry. Many trackpads and mice only
+   * report 0 and 0.5 through Pointer Events, which says nothing about the finger:
+   * - quantization: the number of distinct contact values and the smallest step between them
+   * - noise floor: the median change between consecutive contact samples (0 for a flat or
+   *   stepped signal; a real sensor always moves a little)
+   * - effective bit depth: the Shannon entropy of the contact values, in bits
+   */
+  assessSensorQuality(pressureData) {
+    const { minDistinctValues, minEffectiveBits } = this.patterns.sensorQuality;
+    const contactPressures = pressureData.map(readForce).filter(p => p > 0);
+
+    const histogram = new Map();
+    contactPressures.forEach(p => histogram.set(p, (histogram.get(p) || 0) + 1));
+    const distinctValues = [...histogram.keys()].sort((a, b) => a - b);
+
+    let valueStep = null;
+    for (let i = 1; i < distinctValues.length; i++) {
+      const step = distinctValues[i] - distinctValues[i - 1];
+      if (valueStep === null || step < valueStep) valueStep = step;
+    }
+
+    const changes = [];
+    for (let i = 1; i < contactPressures.length; i++) {
+      changes.push(Math.abs(contactPressures[i] - contactPressures[i - 1]));
+    }
+
+    let effectiveBits = 0;
+    histogram.forEach(count => {
+      const share = count / contactPressures.length;
+      effectiveBits -= share * Math.log2(share);
+    });
+
+    const characteristics = {
+      contactSamples: contactPressures.length,
+      distinctValues: distinctValues.length,
+      valueStep,
+      noiseFloor: this.calculateMedian(changes),
+      effectiveBits
+    };
+
+    const checks = [
+      this.rangeCheck('distinctValues', distinctValues.length, { min: minDistinctValues }, 0),
+      this.rangeCheck('effectiveBits', effectiveBits, { min: minEffectiveBits }, 0)
+    ];
+
+    return {
+      usable: checks.every(check => check.passed),
+      characteristics,
+      checks
+    };
+  }
+
+  /**
+   * Analyze pressure patterns for human characteristics (of a preprocessed trace)
+   */
+  analyzePressurePattern(pressureData) {
+    const calibratedPressures = pressureData.map(d => d.pressure);
     
-    if (pressures.length === 0) {
+    if (calibratedPressures.length === 0) {
       return { score: 0, characteristics: {} };
     }
-
-    // Apply device-specific calibration
-    const calibratedPressures = pressures.map(p => p * deviceProfile.pressureMultiplier);
     
     // Calculate pressure characteristics
-    const maxPressure = Math.max(...calibratedPressures);
+    const maxPressure = arrayMax(calibratedPressures);
     const avgPressure = calibratedPressures.reduce((a, b) => a + b, 0) / calibratedPressures.length;
     const variance = this.calculateVariance(calibratedPressures);
     const naturalness = this.calculateNaturalness(calibratedPressures);
@@ -142,38 +522,26 @@ class HumanPatternAnalyzer {
       naturalness,
       hasGradualIncrease: this.hasGradualPressureIncrease(calibratedPressures),
       hasNaturalRelease: this.hasNaturalPressureRelease(calibratedPressures),
+      hasReleasePhase: this.hasReleasePhase(calibratedPressures),
+      rampLinearity: this.calculateRampLinearity(calibratedPressures),
       smoothnessScore: this.calculateSmoothness(calibratedPressures)
     };
 
     // Score based on human-like characteristics
-    let score = 0;
-    
-    // Variance check (humans have natural variance)
-    if (variance >= this.patterns.pressureVariance.min && variance <= this.patterns.pressureVariance.max) {
-      score += 0.25;
-    }
-    
-    // Naturalness check
-    if (naturalness >= this.patterns.naturalRhythm.min) {
-      score += 0.25;
-    }
-    
-    // Gradual pressure application (not instant)
-    if (characteristics.hasGradualIncrease) {
-      score += 0.2;
-    }
-    
-    // Natural pressure release
-    if (characteristics.hasNaturalRelease) {
-      score += 0.2;
-    }
-    
-    // Smoothness (not robotic)
-    if (characteristics.smoothnessScore > 0.3 && characteristics.smoothnessScore < 0.9) {
-      score += 0.1;
-    }
+    const checks = [
+      // Variance check (humans have natural variance)
+      this.rangeCheck('variance', variance, this.patterns.pressureVariance, 0.25),
+      // Naturalness check
+      this.rangeCheck('naturalness', naturalness, { min: this.patterns.naturalRhythm.min }, 0.25),
+      // Gradual pressure application (not instant)
+      this.flagCheck('hasGradualIncrease', characteristics.hasGradualIncrease, 0.2),
+      // Natural pressure release
+      this.flagCheck('hasNaturalRelease', characteristics.hasNaturalRelease, 0.2),
+      // Smoothness (not robotic)
+      this.rangeCheck('smoothnessScore', characteristics.smoothnessScore, { min: 0.3, max: 0.9, exclusive: true }, 0.1)
+    ];
 
-    return { score, characteristics };
+    return { score: this.sumChecks(0, checks), characteristics, checks };
   }
 
   /**
@@ -201,29 +569,21 @@ class HumanPatternAnalyzer {
       intervalVariance,
       rhythmicity,
       totalDuration: timestamps[timestamps.length - 1] - timestamps[0],
+      isTooRegular: intervals.length >= 3 && intervalVariance < this.patterns.timingIrregularity.min,
       hasNaturalTiming: intervalVariance > 0.05 && intervalVariance < 0.5
     };
 
     // Score timing naturalness
-    let score = 0;
-    
-    // Natural timing irregularity (not perfectly regular)
-    if (intervalVariance >= this.patterns.timingIrregularity.min && 
-        intervalVariance <= this.patterns.timingIrregularity.max) {
-      score += 0.4;
-    }
-    
-    // Reasonable duration (not too fast or slow)
-    if (characteristics.totalDuration > 500 && characteristics.totalDuration < 15000) {
-      score += 0.3;
-    }
-    
-    // Natural rhythm
-    if (rhythmicity >= this.patterns.naturalRhythm.min && rhythmicity <= this.patterns.naturalRhythm.max) {
-      score += 0.3;
-    }
+    const checks = [
+      // Natural timing irregularity (not perfectly regular)
+      this.rangeCheck('intervalVariance', intervalVariance, this.patterns.timingIrregularity, 0.4),
+      // Reasonable duration (not too fast or slow)
+      this.rangeCheck('totalDuration', characteristics.totalDuration, { min: 500, max: 15000, exclusive: true }, 0.3),
+      // Natural rhythm
+      this.rangeCheck('rhythmicity', rhythmicity, this.patterns.naturalRhythm, 0.3)
+    ];
 
-    return { score, characteristics };
+    return { score: this.sumChecks(0, checks), characteristics, checks };
   }
 
   /**
@@ -231,7 +591,7 @@ class HumanPatternAnalyzer {
    */
   analyzeMotionPattern(motionData) {
     if (!motionData || motionData.length === 0) {
-      return { score: 0.5, characteristics: { available: false } }; // Neutral if no motion data
+      return { score: 0.5, characteristics: { available: false }, checks: [] }; // Neutral if no motion data
     }
 
     // Analyze accelerometer and gyroscope data
@@ -241,12 +601,6 @@ class HumanPatternAnalyzer {
       z: d.acceleration?.z || 0
     }));
 
-    const rotations = motionData.map(d => ({
-      alpha: d.rotation?.alpha || 0,
-      beta: d.rotation?.beta || 0,
-      gamma: d.rotation?.gamma || 0
-    }));
-
     // Calculate motion characteristics
     const motionMagnitude = accelerations.map(a => 
       Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z)
@@ -263,23 +617,15 @@ class HumanPatternAnalyzer {
       available: true
     };
 
-    // Score motion naturalness
-    let score = 0.5; // Default neutral score
-    
-    if (characteristics.hasSubtleMovement) {
-      score += 0.2; // Humans cause subtle device movement
-    }
-    
-    if (characteristics.hasNaturalVariation) {
-      score += 0.2; // Natural variation in movement
-    }
-    
-    // Penalize if motion is too perfect (robotic)
-    if (motionVariance < 0.0001) {
-      score -= 0.3;
-    }
+    // Score motion naturalness from a neutral 0.5
+    const checks = [
+      this.flagCheck('hasSubtleMovement', characteristics.hasSubtleMovement, 0.2), // Humans cause subtle device movement
+      this.flagCheck('hasNaturalVariation', characteristics.hasNaturalVariation, 0.2), // Natural variation in movement
+      // Penalize if motion is too perfect (robotic)
+      this.rangeCheck('motionVariance', motionVariance, { min: 0.0001 }, 0, -0.3)
+    ];
 
-    return { score, characteristics };
+    return { score: this.sumChecks(0.5, checks), characteristics, checks };
   }
 
   /**
@@ -293,29 +639,26 @@ class HumanPatternAnalyzer {
       browserSupport: deviceInfo.browserSupport || []
     };
 
-    let score = 0.5; // Default neutral score
-    
-    // Check for known device types
-    if (characteristics.trackpadType !== 'unknown' && characteristics.trackpadType !== 'generic') {
-      score += 0.2;
-    }
-    
-    // Check for realistic user agent
-    if (characteristics.userAgent.includes('Macintosh') || 
-        characteristics.userAgent.includes('Windows') ||
-        characteristics.userAgent.includes('iPad')) {
-      score += 0.2;
-    }
-    
-    // Check for reasonable screen dimensions
     const screen = characteristics.screen;
-    if (screen.width && screen.height && 
-        screen.width > 800 && screen.height > 600 &&
-        screen.width < 8000 && screen.height < 8000) {
-      score += 0.1;
-    }
 
-    return { score, characteristics };
+    // Score from a neutral 0.5
+    const checks = [
+      // Check for known device types
+      this.flagCheck('knownTrackpad',
+        characteristics.trackpadType !== 'unknown' && characteristics.trackpadType !== 'generic', 0.2),
+      // Check for realistic user agent
+      this.flagCheck('realisticUserAgent',
+        characteristics.userAgent.includes('Macintosh') ||
+        characteristics.userAgent.includes('Windows') ||
+        characteristics.userAgent.includes('iPad'), 0.2),
+      // Check for reasonable screen dimensions
+      this.flagCheck('reasonableScreen',
+        Boolean(screen.width && screen.height &&
+          screen.width > 800 && screen.height > 600 &&
+          screen.width < 8000 && screen.height < 8000), 0.1)
+    ];
+
+    return { score: this.sumChecks(0.5, checks), characteristics, checks };
   }
 
   /**
@@ -333,46 +676,353 @@ class HumanPatternAnalyzer {
       complexity: this.calculateComplexity(pressureData, motionData)
     };
 
-    let score = 0.5;
-    
-    // High complexity indicates human behavior
-    if (characteristics.complexity > 0.3) {
-      score += 0.3;
+    // Score from a neutral 0.5
+    const checks = [
+      // High complexity indicates human behavior
+      this.rangeCheck('complexity', characteristics.complexity, { min: 0.3, exclusive: true }, 0.3),
+      // Reasonable uniqueness (not too random, not too regular)
+      this.rangeCheck('uniqueness', characteristics.uniqueness, { min: 0.2, max: 0.8, exclusive: true }, 0.2)
+    ];
+
+    return { score: this.sumChecks(0.5, checks), characteristics, checks };
+  }
+
+  /**
+   * Frequency-domain features of the resampled pressure. A finger holding pressure shows
+   * physiological tremor, a small involuntary oscillation at about 8-12 Hz, that smooth
+   * synthetic traces lack; noise added to make a trace look irregular spreads its power
+   * evenly over all frequencies instead.
+   * - tremor prominence: power per bin in the tremor band over the geometric mean of the bands
+   *   on either side, so a spectrum that simply falls with frequency does not count as a peak
+   * - spectral entropy: how evenly the power spreads from 1 Hz up to the Nyquist frequency
+   * Traces shorter than one Welch segment (about a second) get no score and are left out of the composite.
+   */
+  analyzeSpectralSignature(pressureData, sampleRateHz) {
+    const { minHz, maxHz, minProminence, minPower } = this.patterns.tremor;
+    const nyquistHz = sampleRateHz / 2;
+    const spectrum = nyquistHz > maxHz ? welchSpectrum(pressureData.map(d => d.pressure), sampleRateHz) : null;
+
+    if (!spectrum) {
+      return { score: null, characteristics: { available: false }, checks: [] };
     }
-    
-    // Reasonable uniqueness (not too random, not too regular)
-    if (characteristics.uniqueness > 0.2 && characteristics.uniqueness < 0.8) {
-      score += 0.2;
+
+    const resolutionHz = spectrum.frequencies[1];
+    const tremorDensity = bandDensity(spectrum, minHz, maxHz);
+    const lowerDensity = bandDensity(spectrum, minHz / 2, minHz - resolutionHz / 2);
+    const upperDensity = bandDensity(spectrum, maxHz + resolutionHz / 2, Math.min(2 * maxHz, nyquistHz));
+    const neighbourDensity = lowerDensity && upperDensity ? Math.sqrt(lowerDensity * upperDensity) : null;
+    const totalPower = bandPower(spectrum, 1, nyquistHz);
+
+    let dominantFrequencyHz = null;
+    spectrum.frequencies.forEach((frequency, k) => {
+      if (frequency >= 1 && (dominantFrequencyHz === null ||
+          spectrum.power[k] > spectrum.power[spectrum.frequencies.indexOf(dominantFrequencyHz)])) {
+        dominantFrequencyHz = frequency;
+      }
+    });
+
+    const characteristics = {
+      available: true,
+      segments: spectrum.segments,
+      resolutionHz,
+      tremorBandPower: bandPower(spectrum, minHz, maxHz),
+      tremorShare: totalPower > 0 ? bandPower(spectrum, minHz, maxHz) / totalPower : null,
+      tremorProminence: tremorDensity !== null && neighbourDensity ? tremorDensity / neighbourDensity : null,
+      spectralEntropy: spectralEntropy(spectrum, 1, nyquistHz),
+      dominantFrequencyHz
+    };
+
+    // Below the power floor the band holds only rounding noise, whose shape means nothing
+    const measurable = characteristics.tremorBandPower >= minPower;
+    const checks = [
+      this.rangeCheck('tremorBandPower', characteristics.tremorBandPower, { min: minPower }, 0),
+      // Humans show a tremor peak
+      this.rangeCheck('tremorProminence', measurable ? characteristics.tremorProminence : null, { min: minProminence }, 0.5),
+      // Neither a pure oscillation nor white noise
+      this.rangeCheck('spectralEntropy', measurable ? characteristics.spectralEntropy : null, this.patterns.spectralEntropy, 0.5)
+    ];
+
+    return { score: this.sumChecks(0, checks), characteristics, checks };
+  }
+
+  /**
+   * Check that the claimed detection method fits the browser and the submitted data: the user
+   * agent, the capabilities the SDK reported in `browserSupport`, the pressure values (devices
+   * without a pressure sensor only report 0, 0.5 and 1), their resolution, and the event rate
+   */
+  analyzeMethodConsistency(detectionMethod, deviceInfo, pressureData, motionData = [], sampleRateHz = null) {
+    const userAgent = deviceInfo.userAgent || '';
+    const browserSupport = Array.isArray(deviceInfo.browserSupport) ? deviceInfo.browserSupport : [];
+    const browserPattern = this.browserPatterns[detectionMethod];
+    const issues = [];
+
+    if (detectionMethod === 'webHID' && userAgent && !/Chrome|Chromium|Edg\//.test(userAgent)) {
+      issues.push('webHID claimed by a non-Chromium browser');
+    }
+
+    if (detectionMethod === 'forceTouch' && userAgent && !(/Macintosh/.test(userAgent) && /Safari/.test(userAgent) && !/Chrome|Chromium/.test(userAgent))) {
+      issues.push('forceTouch claimed outside Safari on macOS');
+    }
+
+    // The SDK lists every capability it detected; a method it did not detect cannot have been used
+    if (browserPattern && browserSupport.length > 0 && !browserSupport.includes(detectionMethod)) {
+      issues.push(`${detectionMethod} claimed but the browser only reported ${browserSupport.join(', ')}`);
+    }
+
+    if (detectionMethod === 'motionSensors' && motionData.length === 0) {
+      issues.push('motionSensors claimed without motion samples');
+    }
+
+    const contactPressures = pressureData.map(readForce).filter(p => p > 0);
+    const distinctValues = [...new Set(contactPressures)].sort((a, b) => a - b);
+    let valueStep = null;
+    for (let i = 1; i < distinctValues.length; i++) {
+      const step = distinctValues[i] - distinctValues[i - 1];
+      if (valueStep === null || step < valueStep) valueStep = step;
+    }
+    const ternaryValuesOnly = contactPressures.length > 0 && contactPressures.every(p => p === 0.5 || p === 1);
+
+    if (['webHID', 'forceTouch', 'pointerEvents'].includes(detectionMethod) && contactPressures.length > 0) {
+      // Pressure-capable methods report varying pressure; a constant 0.5 is the pointer default for mice
+      if (distinctValues.length === 1) {
+        issues.push(`${detectionMethod} reported a constant pressure of ${distinctValues[0]}`);
+      } else if (ternaryValuesOnly) {
+        issues.push(`${detectionMethod} only reported 0, 0.5 and 1, as devices without a pressure sensor do`);
+      }
+    }
+
+    // Skipped for 0/0.5/1-only values, which are reported above
+    if (browserPattern && browserPattern.maxValueStep !== undefined && !ternaryValuesOnly &&
+        valueStep !== null && valueStep > browserPattern.maxValueStep) {
+      issues.push(`${detectionMethod} pressure resolution of ${Math.round(valueStep * 1000) / 1000} is coarser than its sensor`);
+    }
+
+    if (browserPattern && sampleRateHz !== null &&
+        (sampleRateHz < browserPattern.minSampleRateHz || sampleRateHz > browserPattern.maxSampleRateHz)) {
+      issues.push(`${Math.round(sampleRateHz)} Hz is not an event rate ${detectionMethod} delivers`);
     }
 
-    return { score, characteristics };
+    return {
+      consistent: issues.length === 0,
+      // Whether the method has a profile to check the claim against
+      verified: Boolean(browserPattern),
+      issues,
+      characteristics: {
+        browserSupport,
+        distinctValues: distinctValues.length,
+        valueStep,
+        ternaryValuesOnly,
+        sampleRateHz
+      }
+    };
   }
 
   /**
-   * Calculate composite confidence from all analyses
+   * Map analyzer sub-scores to the documented reason codes (utils/reasonCodes.js)
    */
-  calculateCompositeConfidence(analyses) {
-    const weights = {
-      pressure: 0.35,
-      timing: 0.25,
-      motion: 0.15,
-      device: 0.10,
-      biometric: 0.15
+  deriveReasonCodes({ integrity, pressure, timing, method, challenge, pattern, thresholds, replayed, belowCutoff }) {
+    const codes = [...integrity.reasonCodes];
+    const pressureCharacteristics = pressure.characteristics;
+
+    if (timing.characteristics.isTooRegular) {
+      codes.push('TIMING_TOO_REGULAR');
+    }
+
+    if (pressureCharacteristics.rampLinearity >= this.patterns.linearProgression.threshold) {
+      codes.push('LINEAR_PRESSURE_RAMP');
+    }
+
+    if (pressureCharacteristics.hasReleasePhase === false) {
+      codes.push('NO_RELEASE_PHASE');
+    }
+
+    if (pressureCharacteristics.hasGradualIncrease === false) {
+      codes.push('ABRUPT_PRESSURE_ONSET');
+    }
+
+    if (pressureCharacteristics.variance < this.patterns.pressureVariance.min) {
+      codes.push('PRESSURE_TOO_UNIFORM');
+    }
+
+    if (!method.consistent) {
+      codes.push('METHOD_MISMATCH');
+    }
+
+    if (replayed) {
+      codes.push('REPLAYED_TRACE');
+    }
+
+    if (pattern && !pattern.matched) {
+      codes.push('PATTERN_NOT_FOLLOWED');
+    }
+
+    if (challenge && !challenge.passed) {
+      codes.push('CHALLENGE_NOT_COMPLETED');
+    }
+
+    if (thresholds && !thresholds.passed) {
+      codes.push('THRESHOLDS_NOT_MET');
+    }
+
+    if (belowCutoff) {
+      codes.push('LOW_CONFIDENCE');
+    }
+
+    return codes;
+  }
+
+  /**
+   * Run the checks specific to the issued challenge type (taps for rhythm_test, ramp for progressive_pressure, ...)
+   */
+  analyzeChallengeType(pressureData, challengeType, expectedPattern) {
+    const result = typeAnalyzer.analyzeByType(pressureData, { type: challengeType, pattern: expectedPattern });
+
+    return {
+      score: typeAnalyzer.calculateOverallConfidence(result),
+      passed: result.passed !== false,
+      characteristics: result
     };
+  }
 
+  /**
+   * Analyze how closely the trace follows the challenge's randomized target pattern
+   */
+  analyzeTargetPattern(pressureData, expectedPattern) {
+    const result = scorePattern(expectedPattern, pressureData);
+
+    return {
+      score: result.score,
+      matched: result.matched,
+      characteristics: {
+        kind: result.kind,
+        ...result.metrics,
+        observed: result.observed
+      }
+    };
+  }
+
+  /**
+   * Check the challenge's difficulty-scaled per-type thresholds.
+   * Thresholds whose metric is unavailable (e.g. no position data) are reported but not enforced.
+   */
+  evaluateChallengeThresholds(thresholds, pressureData, patternAnalysis) {
+    const activePressures = pressureData
+      .map(d => d.pressure || 0)
+      .filter(p => p > 0.05);
+    const meanPressure = activePressures.length > 0
+      ? activePressures.reduce((a, b) => a + b, 0) / activePressures.length
+      : 0;
+
+    const metrics = {
+      ...(patternAnalysis ? patternAnalysis.characteristics : {}),
+      patternScore: patternAnalysis ? patternAnalysis.score : undefined,
+      pressureVariation: meanPressure > 0 ? Math.sqrt(this.calculateVariance(activePressures)) / meanPressure : 0,
+      movementSmoothness: this.calculateMovementSmoothness(pressureData)
+    };
+
+    const checks = Object.entries(thresholds).map(([name, threshold]) => {
+      const spec = this.thresholdMetrics[name];
+      const value = spec ? metrics[spec.metric] : undefined;
+
+      if (typeof value !== 'number') {
+        return { name, threshold, value: null, evaluated: false, passed: true };
+      }
+
+      const passed = spec.comparison === 'max' ? value <= threshold : value >= threshold;
+      return { name, threshold, value, comparison: spec.comparison, evaluated: true, passed };
+    });
+
+    return {
+      passed: checks.every(check => check.passed),
+      checks
+    };
+  }
+
+  /**
+   * Cutoff the adjusted confidence must reach. Uncalibrated, that is the challenge's difficulty
+   * cutoff. Calibrated, it is the detection method's cutoff (or the calibration default), shifted
+   * by the device profile's offset from the default and by the difficulty's offset from medium.
+   */
+  resolveConfidenceThreshold(challengeConfig, detectionMethod, deviceProfileName) {
+    if (this.confidenceThreshold !== null) {
+      return this.confidenceThreshold;
+    }
+
+    const challengeThreshold = (challengeConfig && challengeConfig.confidenceThreshold) || this.defaultConfidenceThreshold;
+    if (!this.calibration) {
+      return challengeThreshold;
+    }
+
+    const { cutoffs } = this.calibration;
+    const methodCutoff = cutoffs.detectionMethods[detectionMethod] !== undefined
+      ? cutoffs.detectionMethods[detectionMethod]
+      : cutoffs.default;
+    const profileOffset = cutoffs.deviceProfiles[deviceProfileName] !== undefined
+      ? cutoffs.deviceProfiles[deviceProfileName] - cutoffs.default
+      : 0;
+    const difficultyOffset = challengeThreshold - this.defaultConfidenceThreshold;
+
+    return Math.min(1, Math.max(0, methodCutoff + profileOffset + difficultyOffset));
+  }
+
+  /**
+   * Calculate composite confidence from all analyses
+   */
+  calculateCompositeConfidence(analyses) {
     let weightedSum = 0;
     let totalWeight = 0;
 
     for (const [type, analysis] of Object.entries(analyses)) {
       if (analysis && typeof analysis.score === 'number') {
-        weightedSum += analysis.score * weights[type];
-        totalWeight += weights[type];
+        weightedSum += analysis.score * this.weights[type];
+        totalWeight += this.weights[type];
       }
     }
 
     return totalWeight > 0 ? weightedSum / totalWeight : 0;
   }
 
+  /**
+   * Break a stored analysis down into each signal's weighted contribution to the base confidence.
+   * Uses the weights recorded with the analysis, so older verifications are explained as they were scored.
+   */
+  explainAnalysis(analysis) {
+    if (!analysis) {
+      return { signals: {}, composite: null };
+    }
+
+    const composite = analysis.composite || {};
+    const weights = composite.weights || this.weights;
+    const scored = Object.keys(weights).filter(type => analysis[type] && typeof analysis[type].score === 'number');
+    const totalWeight = scored.reduce((sum, type) => sum + weights[type], 0);
+
+    const signals = {};
+    scored.forEach(type => {
+      const { score, checks } = analysis[type];
+      signals[type] = {
+        score,
+        weight: weights[type],
+        // Share of the base confidence; the contributions add up to baseConfidence
+        contribution: totalWeight > 0 ? (score * weights[type]) / totalWeight : 0,
+        checks: checks || null // Not recorded for verifications analyzed before checks were added
+      };
+    });
+
+    return {
+      signals,
+      composite: {
+        baseConfidence: composite.baseConfidence,
+        browserBoost: composite.browserBoost,
+        replayPenalty: composite.replayPenalty || 0,
+        integrityPenalty: composite.integrityPenalty || 0,
+        adjustedConfidence: composite.adjustedConfidence,
+        confidenceThreshold: composite.confidenceThreshold,
+        rejectedBy: composite.rejectedBy || [], // Not recorded for verifications analyzed before rejecting codes were added
+        weights
+      }
+    };
+  }
+
   /**
    * Get device profile for calibration
    */
@@ -407,6 +1057,23 @@ class HumanPatternAnalyzer {
     return { ...profile, name: deviceName };
   }
 
+  // Helper methods for scoring checks
+  rangeCheck(name, value, { min, max, exclusive = false }, points, penalty = 0) {
+    const aboveMin = min === undefined || (exclusive ? value > min : value >= min);
+    const belowMax = max === undefined || (exclusive ? value < max : value <= max);
+    const passed = typeof value === 'number' && aboveMin && belowMax;
+
+    return { name, value, min, max, passed, points: passed ? points : penalty };
+  }
+
+  flagCheck(name, value, points) {
+    return { name, value: Boolean(value), expected: true, passed: Boolean(value), points: value ? points : 0 };
+  }
+
+  sumChecks(base, checks) {
+    return checks.reduce((score, check) => score + check.points, base);
+  }
+
   // Helper methods for calculations
   calculateVariance(values) {
     if (values.length === 0) return 0;
@@ -415,6 +1082,13 @@ class HumanPatternAnalyzer {
     return squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
   }
 
+  calculateMedian(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
   calculateNaturalness(values) {
     // Measure how "natural" the pressure curve looks
     if (values.length < 3) return 0;
@@ -440,8 +1114,7 @@ class HumanPatternAnalyzer {
     if (values.length < 3) return false;
     
     // Check if pressure builds up gradually (not instant)
-    const first = values[0];
-    const peak = Math.max(...values);
+    const peak = arrayMax(values);
     const gradualThreshold = peak * 0.3;
     
     let gradualPoints = 0;
@@ -456,7 +1129,7 @@ class HumanPatternAnalyzer {
     if (values.length < 3) return false;
     
     // Check if pressure releases gradually (not instant drop)
-    const peak = Math.max(...values);
+    const peak = arrayMax(values);
     const peakIndex = values.indexOf(peak);
     
     if (peakIndex >= values.length - 2) return true; // Peak at end is OK
@@ -475,6 +1148,37 @@ class HumanPatternAnalyzer {
     return gradualRelease;
   }
 
+  hasReleasePhase(values) {
+    if (values.length < 3) return false;
+
+    // The finger lifts at the end, so the trace should finish well below its peak
+    const peak = arrayMax(values);
+    return peak > 0 && values[values.length - 1] <= peak * 0.25;
+  }
+
+  calculateRampLinearity(values) {
+    // R² of a straight line through the build-up from first contact to the peak
+    const start = values.findIndex(v => v > 0.05);
+    const peakIndex = values.indexOf(arrayMax(values));
+    if (start < 0 || peakIndex - start < 5) return null;
+
+    const ramp = values.slice(start, peakIndex + 1);
+    const n = ramp.length;
+    const xMean = (n - 1) / 2;
+    const yMean = ramp.reduce((a, b) => a + b, 0) / n;
+
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    ramp.forEach((y, x) => {
+      sxy += (x - xMean) * (y - yMean);
+      sxx += (x - xMean) * (x - xMean);
+      syy += (y - yMean) * (y - yMean);
+    });
+
+    return syy > 0 ? (sxy * sxy) / (sxx * syy) : null;
+  }
+
   calculateSmoothness(values) {
     if (values.length < 2) return 0;
     
@@ -491,6 +1195,24 @@ class HumanPatternAnalyzer {
     return maxChange > 0 ? 1 - (avgChange / maxChange) : 1;
   }
 
+  calculateMovementSmoothness(pressureData) {
+    const positions = pressureData.filter(d => d.position).map(d => d.position);
+    if (positions.length < 3) return null;
+
+    // Smooth movement covers similar distances between consecutive samples
+    const distances = [];
+    for (let i = 1; i < positions.length; i++) {
+      const dx = positions[i].x - positions[i - 1].x;
+      const dy = positions[i].y - positions[i - 1].y;
+      distances.push(Math.sqrt(dx * dx + dy * dy));
+    }
+
+    const mean = distances.reduce((a, b) => a + b, 0) / distances.length;
+    if (mean === 0) return 0;
+
+    return Math.max(0, 1 - Math.sqrt(this.calculateVariance(distances)) / mean);
+  }
+
   calculateRhythmicity(intervals) {
     if (intervals.length < 3) return 0;
     
@@ -503,7 +1225,7 @@ class HumanPatternAnalyzer {
 
   createPressureSignature(pressureData) {
     // Create a simplified signature of the pressure pattern
-    const pressures = pressureData.map(d => d.pressure || d.weight || 0);
+    const pressures = pressureData.map(d => d.pressure);
     const normalized = this.normalizeArray(pressures);
     
     // Create signature points (simplified curve)
@@ -543,7 +1265,7 @@ class HumanPatternAnalyzer {
     if (combined.length === 0) return 0;
     
     const variance = this.calculateVariance(combined);
-    const range = Math.max(...combined) - Math.min(...combined);
+    const range = arrayMax(combined) - arrayMin(combined);
     
     return Math.min(1, variance * range);
   }
@@ -551,7 +1273,7 @@ class HumanPatternAnalyzer {
   calculateComplexity(pressureData, motionData) {
     // Measure overall complexity of the interaction
     const pressureComplexity = pressureData.length > 0 ? 
-      this.calculateVariance(pressureData.map(d => d.pressure || d.weight || 0)) : 0;
+      this.calculateVariance(pressureData.map(d => d.pressure)) : 0;
     
     const motionComplexity = motionData && motionData.length > 0 ?
       this.calculateVariance(motionData.map(d => {
@@ -564,8 +1286,8 @@ class HumanPatternAnalyzer {
 
   normalizeArray(arr) {
     if (arr.length === 0) return [];
-    const min = Math.min(...arr);
-    const max = Math.max(...arr);
+    const min = arrayMin(arr);
+    const max = arrayMax(arr);
     const range = max - min;
     
     if (range === 0) return arr.map(() => 0);
@@ -574,4 +1296,17 @@ class HumanPatternAnalyzer {
   }
 }
 
+// JSON with sorted keys, so equal configs hash the same regardless of key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+HumanPatternAnalyzer.VERSION = ANALYZER_VERSION;
+
 module.exports = HumanPatternAnalyzer;
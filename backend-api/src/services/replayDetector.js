@@ -0,0 +1,98 @@
+const redisClient = require('../cache/redis');
+const config = require('../config');
+const { createFingerprint, compareFingerprints, lshBuckets } = require('../utils/traceFingerprint');
+
+// Most recent traces read from each bucket; a replay farm reusing one recording fills its buckets
+const BUCKET_SCAN_LIMIT = 20;
+
+/**
+ * Replay Detector
+ * Finds submissions whose pressure trace nearly duplicates one submitted recently under any
+ * API key, as produced by bots that record one human and replay the trace with small jitter.
+ * Fingerprints are kept in Redis for REPLAY_WINDOW_HOURS, indexed by LSH bucket.
+ */
+class ReplayDetector {
+  /**
+   * Nearest recent trace within REPLAY_MAX_DISTANCE. Returns { checked: false } when
+   * detection is off, the trace is too short to fingerprint, or Redis is unavailable.
+   */
+  async check(pressureData, apiKeyId) {
+    const { enabled, maxDistance, windowHours } = config.analyzer.replay;
+    const fingerprint = enabled ? createFingerprint(pressureData || []) : null;
+    if (!fingerprint) {
+      return { checked: false };
+    }
+
+    try {
+      const since = Date.now() - windowHours * 60 * 60 * 1000;
+      const candidateIds = new Set();
+
+      for (const bucket of lshBuckets(fingerprint.vector, maxDistance)) {
+        const members = await redisClient.zRevRangeByScore(`replay:lsh:${bucket}`, '+inf', since, BUCKET_SCAN_LIMIT);
+        members.forEach(id => candidateIds.add(id));
+      }
+
+      let best = null;
+      for (const id of candidateIds) {
+        const stored = await redisClient.get(`replay:trace:${id}`);
+        if (!stored) continue;
+
+        const candidate = JSON.parse(stored);
+        const distance = compareFingerprints(fingerprint, candidate);
+        if (distance !== null && (!best || distance < best.distance)) {
+          best = { id, distance, candidate };
+        }
+      }
+
+      const matched = Boolean(best && best.distance <= maxDistance);
+      const sameApiKey = matched && best.candidate.apiKeyId === apiKeyId;
+
+      return {
+        checked: true,
+        matched,
+        distance: best ? Math.round(best.distance * 10000) / 10000 : null,
+        sameApiKey,
+        // Other keys' verification ids are not disclosed
+        matchedVerificationId: sameApiKey ? best.id : null,
+        matchedAt: matched ? best.candidate.createdAt : null,
+        candidates: candidateIds.size
+      };
+    } catch (error) {
+      console.error('Replay check failed:', error);
+      return { checked: false };
+    }
+  }
+
+  /**
+   * Remember a submitted trace so later replays of it are found
+   */
+  async index(verificationId, pressureData, apiKeyId) {
+    const { enabled, maxDistance, windowHours } = config.analyzer.replay;
+    const fingerprint = enabled ? createFingerprint(pressureData || []) : null;
+    if (!fingerprint) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      const windowSeconds = windowHours * 60 * 60;
+
+      await redisClient.setEx(`replay:trace:${verificationId}`, windowSeconds, JSON.stringify({
+        ...fingerprint,
+        apiKeyId,
+        createdAt: new Date(now).toISOString()
+      }));
+
+      for (const bucket of lshBuckets(fingerprint.vector, maxDistance)) {
+        const key = `replay:lsh:${bucket}`;
+        await redisClient.zAdd(key, now, verificationId);
+        await redisClient.zRemRangeByScore(key, '-inf', now - windowSeconds * 1000);
+        await redisClient.expire(key, windowSeconds);
+      }
+    } catch (error) {
+      console.error('Replay indexing failed:', error);
+    }
+  }
+}
+
+module.exports = new ReplayDetector();
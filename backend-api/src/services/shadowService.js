@@ -0,0 +1,175 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../database/database');
+const config = require('../config');
+const HumanPatternAnalyzer = require('./humanPatternAnalyzer');
+
+/**
+ * Shadow Service
+ * Scores live submissions with a candidate analyzer config (SHADOW_ANALYZER_CONFIG_FILE, same
+ * format as a backtest config) next to the live analyzer. Shadow results are stored in
+ * shadow_verifications and never affect the verdict; compare them before promoting the candidate.
+ */
+class ShadowService {
+  constructor() {
+    const { configFile } = config.analyzer.shadow;
+
+    // A broken candidate config fails at startup rather than silently disabling shadow scoring
+    this.analyzer = configFile
+      ? new HumanPatternAnalyzer(JSON.parse(fs.readFileSync(configFile, 'utf8')))
+      : null;
+  }
+
+  /**
+   * The candidate being shadowed, or null when shadow scoring is off
+   */
+  getCandidate() {
+    if (!this.analyzer) {
+      return null;
+    }
+
+    return {
+      analyzerVersion: this.analyzer.version,
+      configHash: this.analyzer.configHash,
+      sampleRate: config.analyzer.shadow.sampleRate
+    };
+  }
+
+  /**
+   * Score a submission with the candidate and store the result next to the live verdict.
+   * Never throws: shadow scoring must not fail or change the live verification.
+   */
+  async record(verificationData, verification, liveConfigHash) {
+    if (!this.analyzer || Math.random() >= config.analyzer.shadow.sampleRate) {
+      return null;
+    }
+
+    try {
+      const result = this.analyzer.analyzePattern(verificationData);
+
+      // No verdict to compare when the candidate finds the device cannot report force
+      if (result.status === 'insufficient_sensor') {
+        return result;
+      }
+
+      await database('shadow_verifications').insert({
+        id: uuidv4(),
+        verification_id: verification.id,
+        api_key_id: verification.apiKeyId || null,
+        detection_method: verification.detectionMethod,
+        analyzer_version: result.analyzerVersion,
+        config_hash: result.configHash,
+        is_human: result.isHuman,
+        confidence: result.confidence,
+        reason_codes: JSON.stringify(result.reasonCodes || []),
+        live_config_hash: liveConfigHash,
+        live_is_human: verification.isHuman,
+        live_confidence: verification.confidence,
+        created_at: new Date()
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Shadow scoring failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Agreement between each shadowed candidate and the live analyzer over a time range
+   */
+  async getComparison({ from, to }) {
+    const result = await database.raw(
+      `SELECT config_hash, analyzer_version, live_config_hash,
+              COALESCE(detection_method, 'unknown') AS detection_method,
+              COUNT(*) AS compared,
+              COUNT(CASE WHEN live_is_human = true AND is_human = false THEN 1 END) AS human_to_bot,
+              COUNT(CASE WHEN live_is_human = false AND is_human = true THEN 1 END) AS bot_to_human,
+              COUNT(CASE WHEN live_is_human = true THEN 1 END) AS live_human,
+              COUNT(CASE WHEN is_human = true THEN 1 END) AS shadow_human,
+              SUM(confidence - live_confidence) AS delta_sum,
+              SUM(ABS(confidence - live_confidence)) AS abs_delta_sum,
+              MIN(created_at) AS first_scored_at,
+              MAX(created_at) AS last_scored_at
+       FROM shadow_verifications
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY 1, 2, 3, 4
+       ORDER BY MAX(created_at) DESC`,
+      [from, to]
+    );
+
+    const candidates = new Map();
+
+    result.rows.forEach(row => {
+      // A candidate is compared separately against each live config it ran next to
+      const key = `${row.config_hash}:${row.live_config_hash}`;
+      if (!candidates.has(key)) {
+        candidates.set(key, {
+          configHash: row.config_hash,
+          analyzerVersion: row.analyzer_version,
+          liveConfigHash: row.live_config_hash,
+          firstScoredAt: row.first_scored_at,
+          lastScoredAt: row.last_scored_at,
+          totals: createComparisonAccumulator(),
+          byDetectionMethod: {}
+        });
+      }
+
+      const candidate = candidates.get(key);
+      const counts = {
+        compared: parseInt(row.compared, 10),
+        humanToBot: parseInt(row.human_to_bot, 10),
+        botToHuman: parseInt(row.bot_to_human, 10),
+        liveHuman: parseInt(row.live_human, 10),
+        shadowHuman: parseInt(row.shadow_human, 10),
+        deltaSum: parseFloat(row.delta_sum) || 0,
+        absDeltaSum: parseFloat(row.abs_delta_sum) || 0
+      };
+
+      addComparisonCounts(candidate.totals, counts);
+      addComparisonCounts(candidate.byDetectionMethod[row.detection_method] ||
+        (candidate.byDetectionMethod[row.detection_method] = createComparisonAccumulator()), counts);
+
+      if (row.first_scored_at < candidate.firstScoredAt) candidate.firstScoredAt = row.first_scored_at;
+      if (row.last_scored_at > candidate.lastScoredAt) candidate.lastScoredAt = row.last_scored_at;
+    });
+
+    return {
+      from,
+      to,
+      shadow: this.getCandidate(),
+      candidates: Array.from(candidates.values(), ({ totals, byDetectionMethod, ...candidate }) => ({
+        ...candidate,
+        ...summarizeComparison(totals),
+        byDetectionMethod: Object.fromEntries(Object.entries(byDetectionMethod)
+          .map(([method, counts]) => [method, summarizeComparison(counts)]))
+      }))
+    };
+  }
+}
+
+function createComparisonAccumulator() {
+  return { compared: 0, humanToBot: 0, botToHuman: 0, liveHuman: 0, shadowHuman: 0, deltaSum: 0, absDeltaSum: 0 };
+}
+
+function addComparisonCounts(accumulator, counts) {
+  Object.keys(accumulator).forEach(key => {
+    accumulator[key] += counts[key];
+  });
+}
+
+function summarizeComparison(counts) {
+  const { compared } = counts;
+  return {
+    compared,
+    agreementRate: compared > 0 ? (compared - counts.humanToBot - counts.botToHuman) / compared : null,
+    humanToBot: counts.humanToBot,
+    botToHuman: counts.botToHuman,
+    liveHumanRate: compared > 0 ? counts.liveHuman / compared : null,
+    shadowHumanRate: compared > 0 ? counts.shadowHuman / compared : null,
+    meanConfidenceDelta: compared > 0 ? counts.deltaSum / compared : null,
+    meanAbsConfidenceDelta: compared > 0 ? counts.absDeltaSum / compared : null
+  };
+}
+
+module.exports = new ShadowService();
@@ -1,18 +1,268 @@
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
 const database = require('../database/database');
 const redisClient = require('../cache/redis');
+const config = require('../config');
 const challengeService = require('./challengeService');
+const tokenService = require('./tokenService');
+const webhookService = require('./webhookService');
+const abuseMonitor = require('./abuseMonitor');
+const shadowService = require('./shadowService');
+const replayDetector = require('./replayDetector');
 const HumanPatternAnalyzer = require('./humanPatternAnalyzer');
 
+const STATS_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const VERIFICATION_QUEUE_KEY = 'verification:queue';
+// Jobs a worker has taken but not finished, and when each was taken (verificationId -> ms)
+const VERIFICATION_PROCESSING_KEY = 'verification:processing';
+const VERIFICATION_CLAIMS_KEY = 'verification:processing:claims';
+// Deliveries before a job that keeps outliving its workers is failed
+const MAX_QUEUE_ATTEMPTS = 3;
+
 class VerificationService {
   constructor() {
-    this.analyzer = new HumanPatternAnalyzer();
+    const { calibrationFile } = config.analyzer;
+    this.analyzer = new HumanPatternAnalyzer(calibrationFile
+      ? { calibration: JSON.parse(fs.readFileSync(calibrationFile, 'utf8')) }
+      : {});
   }
 
   async submitVerification({ challengeId, pressureData, motionData, deviceInfo, detectionMethod, clientInfo, apiKeyId }) {
-    const verificationId = uuidv4();
+    const challenge = await this.claimChallenge(challengeId);
+    
+    return this.runVerification(uuidv4(), challenge, {
+      pressureData,
+      motionData,
+      deviceInfo,
+      detectionMethod,
+      clientInfo,
+      apiKeyId,
+      submittedAt: new Date()
+    });
+  }
+
+  /**
+   * Queue a submission for a verification worker instead of analyzing it inline.
+   * Returns the queued verification; its status moves through queued -> processing -> completed
+   * (or failed) and every change is published to verification:events:<id>.
+   */
+  async enqueueVerification({ challengeId, pressureData, motionData, deviceInfo, detectionMethod, clientInfo, apiKeyId }) {
+    const challenge = await this.claimChallenge(challengeId);
+    
+    const verification = {
+      id: uuidv4(),
+      challengeId: challenge.id,
+      status: 'queued',
+      submittedAt: new Date(),
+      apiKeyId
+    };
+    
+    await this.setVerificationStatus(verification);
+    
+    const queued = await redisClient.lPush(VERIFICATION_QUEUE_KEY, JSON.stringify({
+      verificationId: verification.id,
+      challengeId,
+      pressureData,
+      motionData,
+      deviceInfo,
+      detectionMethod,
+      clientInfo,
+      apiKeyId,
+      submittedAt: verification.submittedAt
+    }));
+    
+    if (!queued) {
+      // Release the challenge so the client can retry
+      await redisClient.del(`verification:${verification.id}`);
+      await challengeService.updateChallengeStatus(challengeId, 'pending');
+      throw new Error('Verification queue is unavailable');
+    }
+    
+    return verification;
+  }
+
+  /**
+   * Take the oldest queued submission, or null when the queue is empty. The job stays on the
+   * processing list until acknowledgeVerification is called with its receipt, so a worker that
+   * dies mid-analysis does not lose it (see requeueStaleVerifications).
+   * @returns {Promise<{ job: Object, receipt: string } | null>}
+   */
+  async dequeueVerification() {
+    const receipt = await redisClient.lMove(VERIFICATION_QUEUE_KEY, VERIFICATION_PROCESSING_KEY, 'RIGHT', 'LEFT');
+    if (!receipt) {
+      return null;
+    }
+    
+    let job;
+    try {
+      job = JSON.parse(receipt);
+    } catch (error) {
+      await redisClient.lRem(VERIFICATION_PROCESSING_KEY, 1, receipt);
+      throw error;
+    }
+    
+    await redisClient.hSet(VERIFICATION_CLAIMS_KEY, job.verificationId, String(Date.now()));
+    return { job, receipt };
+  }
+
+  /**
+   * Remove a finished (completed or failed) job from the processing list
+   */
+  async acknowledgeVerification(job, receipt) {
+    await redisClient.lRem(VERIFICATION_PROCESSING_KEY, 1, receipt);
+    await redisClient.hDel(VERIFICATION_CLAIMS_KEY, job.verificationId);
+  }
+
+  /**
+   * Put jobs whose worker has held them longer than the claim timeout back at the head of the
+   * queue; after MAX_QUEUE_ATTEMPTS deliveries the verification and its challenge are failed.
+   * Safe to run from several workers at once. Returns the number of jobs requeued.
+   */
+  async requeueStaleVerifications() {
+    const now = Date.now();
+    const cutoff = now - config.verification.queue.claimTimeoutSeconds * 1000;
+    // Claims are read first, so every claim belongs to a job already on the list below
+    const claims = await redisClient.hGetAll(VERIFICATION_CLAIMS_KEY);
+    const receipts = await redisClient.lRange(VERIFICATION_PROCESSING_KEY, 0, -1);
+    const held = new Set();
+    let requeued = 0;
+    
+    for (const receipt of receipts) {
+      let job;
+      try {
+        job = JSON.parse(receipt);
+      } catch (error) {
+        await redisClient.lRem(VERIFICATION_PROCESSING_KEY, 1, receipt);
+        continue;
+      }
+      held.add(job.verificationId);
+      
+      const claimedAt = Number(claims[job.verificationId]);
+      if (!claimedAt) {
+        // The worker stopped between taking the job and recording the claim; start the clock now
+        await redisClient.hSet(VERIFICATION_CLAIMS_KEY, job.verificationId, String(now));
+        continue;
+      }
+      if (claimedAt > cutoff) {
+        continue;
+      }
+      
+      // Whoever removes the entry owns the requeue
+      if (!(await redisClient.lRem(VERIFICATION_PROCESSING_KEY, 1, receipt))) {
+        continue;
+      }
+      await redisClient.hDel(VERIFICATION_CLAIMS_KEY, job.verificationId);
+      
+      const attempts = (job.attempts || 1) + 1;
+      if (attempts > MAX_QUEUE_ATTEMPTS) {
+        await this.setVerificationStatus({ ...this.queuedState(job), status: 'failed', error: 'Verification timed out' });
+        await challengeService.updateChallengeStatus(job.challengeId, 'failed');
+        continue;
+      }
+      
+      await redisClient.rPush(VERIFICATION_QUEUE_KEY, JSON.stringify({ ...job, attempts }));
+      await this.setVerificationStatus({ ...this.queuedState(job), status: 'queued' });
+      requeued++;
+    }
+    
+    // Claims left behind by jobs acknowledged while this ran
+    for (const verificationId of Object.keys(claims)) {
+      if (!held.has(verificationId)) {
+        await redisClient.hDel(VERIFICATION_CLAIMS_KEY, verificationId);
+      }
+    }
+    
+    return requeued;
+  }
+
+  queuedState(job) {
+    return {
+      id: job.verificationId,
+      challengeId: job.challengeId,
+      submittedAt: job.submittedAt,
+      apiKeyId: job.apiKeyId
+    };
+  }
+
+  /**
+   * Analyze a queued submission (called by the verification worker)
+   */
+  async processQueuedVerification(job) {
+    const queued = this.queuedState(job);
+    
+    // A redelivered job whose previous worker stopped after storing the result has nothing left to do
+    if (job.attempts) {
+      const stored = await database('verifications').select('id').where('id', job.verificationId).limit(1);
+      if (stored.length > 0) {
+        await redisClient.del(`verification:${job.verificationId}`);
+        const verification = await this.getVerification(job.verificationId);
+        await this.publishStatus(verification);
+        return verification;
+      }
+    }
+    
+    await this.setVerificationStatus({ ...queued, status: 'processing' });
+    
+    try {
+      const challenge = await challengeService.getChallenge(job.challengeId);
+      if (!challenge) {
+        throw new Error('Challenge not found');
+      }
+      
+      const verification = await this.runVerification(job.verificationId, challenge, {
+        ...job,
+        submittedAt: new Date(job.submittedAt)
+      });
+      await this.publishStatus(verification);
+      
+      return verification;
+    } catch (error) {
+      await this.setVerificationStatus({ ...queued, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Call listener with the verification's current state and every later status change.
+   * Returns an unsubscribe function.
+   */
+  async watchVerification(verificationId, listener) {
+    // Subscribe before reading the current state so no change is missed in between
+    const unsubscribe = await redisClient.subscribe(`verification:events:${verificationId}`, (message) => {
+      listener(JSON.parse(message));
+    });
+    
+    if (!unsubscribe) {
+      throw new Error('Verification events are unavailable');
+    }
     
+    const current = await this.getVerification(verificationId);
+    if (current) {
+      listener(current);
+    }
+    
+    return unsubscribe;
+  }
+
+  async setVerificationStatus(verification) {
+    await redisClient.setEx(
+      `verification:${verification.id}`,
+      config.verification.expiryMinutes * 60,
+      JSON.stringify(verification)
+    );
+    await this.publishStatus(verification);
+  }
+
+  async publishStatus(verification) {
+    // Subscribers get the public result, not the analysis details or raw samples
+    const { analysisDetails, rawData, ...event } = verification;
+    await redisClient.publish(`verification:events:${verification.id}`, JSON.stringify(event));
+  }
+
+  /**
+   * Check that a challenge can take a submission and move it to processing
+   */
+  async claimChallenge(challengeId) {
     // Get challenge details
     const challenge = await challengeService.getChallenge(challengeId);
     if (!challenge) {
@@ -30,32 +280,60 @@ class VerificationService {
     // Update challenge status to processing
     await challengeService.updateChallengeStatus(challengeId, 'processing');
     
+    return challenge;
+  }
+
+  /**
+   * Analyze a submission for a claimed challenge, then store and cache the result
+   */
+  async runVerification(verificationId, challenge, { pressureData, motionData, deviceInfo, detectionMethod, clientInfo, apiKeyId, submittedAt }) {
+    const challengeId = challenge.id;
+    let verificationData;
+    let verification;
+    
     try {
       // Prepare verification data for analysis
-      const verificationData = {
+      verificationData = {
         pressureData: pressureData || [],
         motionData: motionData || [],
         deviceInfo: deviceInfo || {},
         detectionMethod: detectionMethod || 'unknown',
         challengeType: challenge.type,
-        challengeDifficulty: challenge.difficulty
+        challengeDifficulty: challenge.difficulty,
+        expectedPattern: challenge.pattern,
+        // Challenges issued before configs were snapshotted get the current defaults
+        challengeConfig: challenge.config ||
+          challengeService.generateChallengeConfig(challenge.type, challenge.difficulty, challenge.duration),
+        // Server clock, so the client cannot claim a longer recording than it had time for
+        serverElapsedMs: challenge.createdAt ? submittedAt - new Date(challenge.createdAt) : null
       };
 
+      // Checked against recent traces before this one is indexed, so it cannot match itself
+      verificationData.replayMatch = await replayDetector.check(verificationData.pressureData, apiKeyId);
+
       // Analyze pattern for human characteristics
       const analysisResult = this.analyzer.analyzePattern(verificationData);
       
-      const verification = {
+      verification = {
         id: verificationId,
         challengeId,
-        status: 'completed',
+        // 'insufficient_sensor' when the device cannot report force; there is no verdict then
+        status: analysisResult.status || 'completed',
         isHuman: analysisResult.isHuman,
         confidence: analysisResult.confidence,
+        reasonCodes: analysisResult.reasonCodes || [],
+        riskScore: analysisResult.riskScore,
         detectionMethod: analysisResult.detectionMethod,
         deviceProfile: analysisResult.deviceProfile,
+        analyzerVersion: analysisResult.analyzerVersion,
+        analyzerConfigHash: analysisResult.configHash,
+        serverElapsedMs: verificationData.serverElapsedMs,
+        action: challenge.action || null,
+        hostname: challenge.hostname || null,
         analysisDetails: analysisResult.analysis,
-        submittedAt: new Date(),
+        submittedAt,
         processedAt: new Date(),
-        expiresAt: new Date(Date.now() + (parseInt(process.env.VERIFICATION_EXPIRY_MINUTES) || 30) * 60 * 1000),
+        expiresAt: new Date(Date.now() + config.verification.expiryMinutes * 60 * 1000),
         apiKeyId,
         clientInfo: clientInfo || {},
         rawData: {
@@ -65,8 +343,8 @@ class VerificationService {
         }
       };
       
-      // Generate verification token
-      verification.token = this.generateVerificationToken(verification);
+      // Generate verification token; without a verdict there is nothing for a backend to validate
+      verification.token = verification.status === 'completed' ? this.generateVerificationToken(verification) : null;
       
       // Store in database
       await database('verifications').insert({
@@ -75,6 +353,13 @@ class VerificationService {
         status: verification.status,
         is_human: verification.isHuman,
         confidence: verification.confidence,
+        reason_codes: JSON.stringify(verification.reasonCodes),
+        risk_score: verification.riskScore,
+        detection_method: verification.detectionMethod,
+        device_profile: verification.deviceProfile,
+        analyzer_version: verification.analyzerVersion,
+        analyzer_config_hash: verification.analyzerConfigHash,
+        server_elapsed_ms: verification.serverElapsedMs,
         analysis_details: JSON.stringify(verification.analysisDetails),
         submitted_at: verification.submittedAt,
         processed_at: verification.processedAt,
@@ -83,34 +368,79 @@ class VerificationService {
         client_info: JSON.stringify(verification.clientInfo),
         verification_token: verification.token
       });
-      
-      // Store pressure data separately for analytics
-      await database('pressure_data').insert({
-        id: uuidv4(),
-        verification_id: verification.id,
-        challenge_id: verification.challengeId,
-        pressure_samples: JSON.stringify(pressureData),
-        sample_count: pressureData.length,
-        created_at: new Date()
-      });
-      
-      // Cache verification result
-      await redisClient.setEx(
-        `verification:${verificationId}`,
-        30 * 60, // 30 minutes
-        JSON.stringify(verification)
-      );
-      
-      // Update challenge status
-      await challengeService.updateChallengeStatus(challengeId, 'completed');
-      
-      return verification;
-      
     } catch (error) {
       // Update challenge status to failed
       await challengeService.updateChallengeStatus(challengeId, 'failed');
+      await webhookService.emit(apiKeyId, 'verification.failed', {
+        verificationId,
+        challengeId,
+        error: error.message
+      });
       throw error;
     }
+    
+    // The verification is stored; a failing follow-up from here on is logged and does not fail it
+    
+    // Store pressure data separately for analytics
+    await this.afterStore(verification.id, 'pressure data insert', () => database('pressure_data').insert({
+      id: uuidv4(),
+      verification_id: verification.id,
+      challenge_id: verification.challengeId,
+      pressure_samples: JSON.stringify(pressureData),
+      // Kept with the samples so backtests can replay the full submission
+      motion_samples: JSON.stringify(verificationData.motionData),
+      device_info: JSON.stringify(verificationData.deviceInfo),
+      sample_count: pressureData.length,
+      created_at: new Date()
+    }));
+    await this.afterStore(verification.id, 'cache', () => redisClient.setEx(
+      `verification:${verificationId}`,
+      config.verification.expiryMinutes * 60,
+      JSON.stringify(verification)
+    ));
+    await this.afterStore(verification.id, 'challenge status update',
+      () => challengeService.updateChallengeStatus(challengeId, 'completed'));
+    
+    // Unsupported devices get no verdict, so sites are told separately to offer another challenge
+    const event = verification.status === 'completed' ? 'verification.completed' : 'verification.insufficient_sensor';
+    await this.afterStore(verification.id, `${event} webhook`, () => webhookService.emit(apiKeyId, event, {
+      verificationId: verification.id,
+      challengeId,
+      status: verification.status,
+      isHuman: verification.isHuman,
+      confidence: verification.confidence,
+      reasonCodes: verification.reasonCodes,
+      riskScore: verification.riskScore,
+      detectionMethod: verification.detectionMethod,
+      deviceProfile: verification.deviceProfile,
+      action: verification.action,
+      hostname: verification.hostname,
+      submittedAt: verification.submittedAt,
+      processedAt: verification.processedAt
+    }));
+    await this.afterStore(verification.id, 'replay index',
+      () => replayDetector.index(verification.id, verificationData.pressureData, apiKeyId));
+    
+    // Unsupported devices are neither humans nor bots
+    if (verification.status === 'completed') {
+      await this.afterStore(verification.id, 'abuse monitoring',
+        () => abuseMonitor.recordOutcome(apiKeyId, verification.isHuman));
+      await this.afterStore(verification.id, 'shadow scoring',
+        () => shadowService.record(verificationData, verification, verification.analyzerConfigHash));
+    }
+    
+    return verification;
+  }
+
+  /**
+   * Run a follow-up of a stored verification; a failure is logged instead of failing the verification
+   */
+  async afterStore(verificationId, step, action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Verification ${verificationId}: ${step} failed:`, error);
+    }
   }
 
   async getVerification(verificationId) {
@@ -137,13 +467,21 @@ class VerificationService {
       status: row.status,
       isHuman: row.is_human,
       confidence: row.confidence,
+      reasonCodes: row.reason_codes || [], // JSONB columns are parsed by pg
+      riskScore: row.risk_score !== null ? parseFloat(row.risk_score) : null,
+      detectionMethod: row.detection_method,
+      deviceProfile: row.device_profile,
+      analyzerVersion: row.analyzer_version,
+      analyzerConfigHash: row.analyzer_config_hash,
+      serverElapsedMs: row.server_elapsed_ms,
       analysisDetails: JSON.parse(row.analysis_details || '{}'),
       submittedAt: row.submitted_at,
       processedAt: row.processed_at,
       expiresAt: row.expires_at,
       apiKeyId: row.api_key_id,
       clientInfo: JSON.parse(row.client_info || '{}'),
-      token: row.verification_token
+      token: row.verification_token,
+      usedAt: row.used_at
     };
     
     // Cache for future requests
@@ -155,33 +493,127 @@ class VerificationService {
     return verification;
   }
 
-  async validateToken(token) {
-    try {
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get verification details
-      const verification = await this.getVerification(decoded.verificationId);
-      
-      if (!verification) {
-        return { valid: false };
-      }
-      
-      // Check if verification has expired
-      if (new Date() > verification.expiresAt) {
-        return { valid: false };
+  /**
+   * Explain how a verification was scored: each signal's score, weight and
+   * contribution, the checks behind it, and the stored samples for charting
+   */
+  async explainVerification(verificationId) {
+    const verification = await this.getVerification(verificationId);
+    if (!verification) {
+      return null;
+    }
+
+    const analysis = verification.analysisDetails || null;
+    const { signals, composite } = this.analyzer.explainAnalysis(analysis);
+
+    const rows = await database('pressure_data')
+      .select('pressure_samples', 'sample_count')
+      .where('verification_id', verificationId)
+      .limit(1);
+
+    let pressureSamples = [];
+    if (rows.length > 0) {
+      const stored = rows[0].pressure_samples;
+      pressureSamples = typeof stored === 'string' ? JSON.parse(stored) : (stored || []);
+    }
+
+    return {
+      verification,
+      signals,
+      composite,
+      method: analysis ? analysis.method : null,
+      challenge: analysis ? analysis.challenge : null,
+      pattern: analysis ? analysis.pattern : null,
+      thresholds: analysis ? analysis.thresholds : null,
+      samples: {
+        pressure: pressureSamples,
+        count: pressureSamples.length
       }
-      
-      return {
-        valid: true,
-        isHuman: verification.isHuman,
-        confidence: verification.confidence,
-        verifiedAt: verification.processedAt,
-        expiresAt: verification.expiresAt
-      };
-      
+    };
+  }
+
+  /**
+   * Validate a verification token for the API key that submitted it. Tokens are single-use:
+   * the first successful validation consumes it unless allowReuse is set.
+   */
+  async validateToken(token, { apiKeyId, allowReuse = false, expectedAction, expectedHostname } = {}) {
+    let decoded;
+    try {
+      // Verify JWT token (keyring key by kid, or the legacy shared secret)
+      decoded = tokenService.verify(token, { issuer: 'weightcha-api', subject: 'verification' });
     } catch (error) {
-      return { valid: false };
+      return { valid: false, reason: 'invalid_token' };
+    }
+    
+    // Get verification details
+    const verification = await this.getVerification(decoded.verificationId);
+    
+    // Another key's token is reported as missing, and never consumed
+    if (!verification || verification.apiKeyId !== apiKeyId) {
+      return { valid: false, reason: 'not_found' };
+    }
+    
+    // Check if verification has expired
+    if (new Date() > new Date(verification.expiresAt)) {
+      return { valid: false, reason: 'expired', verificationId: verification.id };
+    }
+    
+    // Check the signed binding before consuming, so a mismatched submit does not burn the token
+    const action = decoded.action || null;
+    const hostname = decoded.hostname || null;
+    
+    if (expectedAction && action !== expectedAction) {
+      return { valid: false, reason: 'action_mismatch', verificationId: verification.id, action };
+    }
+    
+    if (expectedHostname && hostname !== expectedHostname.toLowerCase()) {
+      return { valid: false, reason: 'hostname_mismatch', verificationId: verification.id, hostname };
+    }
+    
+    if (!allowReuse && !(await this.consumeToken(verification))) {
+      return { valid: false, reason: 'already_used', verificationId: verification.id };
+    }
+    
+    return {
+      valid: true,
+      isHuman: verification.isHuman,
+      confidence: verification.confidence,
+      reasonCodes: verification.reasonCodes || [],
+      riskScore: verification.riskScore,
+      verifiedAt: verification.processedAt,
+      expiresAt: verification.expiresAt,
+      verificationId: verification.id,
+      action,
+      hostname
+    };
+  }
+
+  /**
+   * Atomically mark a verification's token as used. Returns false when it was already used.
+   * Redis rejects replays quickly; the used_at column is the durable record and covers Redis outages.
+   */
+  async consumeToken(verification) {
+    const usedAt = new Date();
+    const ttl = Math.max(1, Math.ceil((new Date(verification.expiresAt) - usedAt) / 1000));
+    
+    const claimed = await redisClient.setNX(`verification:used:${verification.id}`, ttl, usedAt.toISOString());
+    if (claimed === false) {
+      return false;
+    }
+    
+    try {
+      const result = await database.raw(
+        'UPDATE verifications SET used_at = $1 WHERE id = $2 AND used_at IS NULL',
+        [usedAt, verification.id]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      // Redis already holds the claim, so the token stays single-use
+      if (claimed) {
+        console.error('Failed to record token use:', error);
+        return true;
+      }
+      throw error;
     }
   }
 
@@ -191,37 +623,120 @@ class VerificationService {
       challengeId: verification.challengeId,
       isHuman: verification.isHuman,
       confidence: verification.confidence,
-      processedAt: verification.processedAt
+      processedAt: verification.processedAt,
+      action: verification.action,
+      hostname: verification.hostname
     };
     
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    return tokenService.sign(payload, {
+      expiresIn: config.jwt.expiresIn,
       issuer: 'weightcha-api',
       subject: 'verification'
     });
   }
 
-  async getVerificationStats(apiKeyId, startDate, endDate) {
-    const query = database('verifications')
-      .where('api_key_id', apiKeyId);
-    
-    if (startDate) {
-      query.where('submitted_at', '>=', startDate);
+  /**
+   * Verification totals for an API key over [from, to), with a timeline bucketed by
+   * granularity (hour/day/week/month, in UTC). Totals and every bucket are broken
+   * down by detection method and device profile.
+   */
+  async getVerificationStats(apiKeyId, { from, to, granularity = 'day' }) {
+    if (!STATS_GRANULARITIES.includes(granularity)) {
+      throw new Error(`Unsupported granularity: ${granularity}`);
     }
-    
-    if (endDate) {
-      query.where('submitted_at', '<=', endDate);
-    }
-    
-    const results = await query.select(
-      database.raw('COUNT(*) as total_verifications'),
-      database.raw('COUNT(CASE WHEN is_human = true THEN 1 END) as human_count'),
-      database.raw('COUNT(CASE WHEN is_human = false THEN 1 END) as bot_count'),
-      database.raw('AVG(confidence) as avg_confidence')
+
+    const result = await database.raw(
+      `SELECT date_trunc($2, submitted_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket,
+              COALESCE(detection_method, 'unknown') AS detection_method,
+              COALESCE(device_profile, 'unknown') AS device_profile,
+              COUNT(*) AS total,
+              COUNT(CASE WHEN is_human = true THEN 1 END) AS human_count,
+              COUNT(CASE WHEN status = 'insufficient_sensor' THEN 1 END) AS insufficient_sensor_count,
+              SUM(confidence) AS confidence_sum
+       FROM verifications
+       WHERE api_key_id = $1 AND submitted_at >= $3 AND submitted_at < $4
+       GROUP BY 1, 2, 3
+       ORDER BY 1`,
+      [apiKeyId, granularity, from, to]
     );
-    
-    return results[0];
+
+    const totals = createStatsAccumulator();
+    const timeline = new Map();
+
+    result.rows.forEach(row => {
+      const counts = {
+        total: parseInt(row.total, 10),
+        human: parseInt(row.human_count, 10),
+        insufficientSensor: parseInt(row.insufficient_sensor_count, 10),
+        confidenceSum: parseFloat(row.confidence_sum) || 0
+      };
+      const timestamp = new Date(row.bucket).toISOString();
+
+      if (!timeline.has(timestamp)) {
+        timeline.set(timestamp, createStatsAccumulator());
+      }
+
+      [totals, timeline.get(timestamp)].forEach(stats => {
+        addStatsCounts(stats, counts);
+        addStatsCounts(stats.byDetectionMethod[row.detection_method] ||
+          (stats.byDetectionMethod[row.detection_method] = createStatsAccumulator(false)), counts);
+        addStatsCounts(stats.byDeviceProfile[row.device_profile] ||
+          (stats.byDeviceProfile[row.device_profile] = createStatsAccumulator(false)), counts);
+      });
+    });
+
+    const { verifications: totalVerifications, ...summary } = summarizeStats(totals);
+
+    return {
+      from,
+      to,
+      granularity,
+      totalVerifications,
+      ...summary,
+      timeline: Array.from(timeline, ([timestamp, stats]) => ({ timestamp, ...summarizeStats(stats) }))
+    };
   }
 }
 
+function createStatsAccumulator(withBreakdowns = true) {
+  const stats = { total: 0, human: 0, insufficientSensor: 0, confidenceSum: 0 };
+  if (withBreakdowns) {
+    stats.byDetectionMethod = {};
+    stats.byDeviceProfile = {};
+  }
+  return stats;
+}
+
+function addStatsCounts(stats, counts) {
+  stats.total += counts.total;
+  stats.human += counts.human;
+  stats.insufficientSensor += counts.insufficientSensor;
+  stats.confidenceSum += counts.confidenceSum;
+}
+
+function summarizeStats(stats) {
+  // Verifications of devices that cannot report force have no verdict or confidence
+  const scored = stats.total - stats.insufficientSensor;
+  const summary = {
+    verifications: stats.total,
+    humanCount: stats.human,
+    botCount: scored - stats.human,
+    insufficientSensorCount: stats.insufficientSensor,
+    successRate: stats.total > 0 ? stats.human / stats.total : 0,
+    botRate: stats.total > 0 ? (scored - stats.human) / stats.total : 0,
+    averageConfidence: scored > 0 ? stats.confidenceSum / scored : null
+  };
+
+  if (stats.byDetectionMethod) {
+    summary.byDetectionMethod = mapValues(stats.byDetectionMethod, summarizeStats);
+    summary.byDeviceProfile = mapValues(stats.byDeviceProfile, summarizeStats);
+  }
+
+  return summary;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
 module.exports = new VerificationService();
@@ -0,0 +1,328 @@
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const database = require('../database/database');
+const config = require('../config');
+const { assertPublicUrl, publicOnlyLookup } = require('../utils/networkAddress');
+
+const WEBHOOK_EVENTS = [
+  'verification.completed',
+  'verification.insufficient_sensor',
+  'verification.failed',
+  'challenge.expired',
+  'abuse.bot_rate_spike'
+];
+
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// A delivery stuck in 'delivering' this long belongs to a crashed dispatcher and is retried
+const DELIVERY_LOCK_SECONDS = 5 * 60;
+
+/**
+ * Webhook Service
+ * Per-API-key webhook subscriptions. Events are written to webhook_deliveries and
+ * sent by the dispatcher job (jobs/webhookDispatcher.js), which retries failures with
+ * exponential backoff and moves deliveries that keep failing to the dead-letter status.
+ *
+ * Requests carry `X-WeightCha-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>` where
+ * the HMAC of "<t>.<raw body>" is keyed with the subscription's secret.
+ *
+ * Subscription URLs may only reach public addresses (utils/networkAddress.js). They are
+ * checked when the subscription is created and again on every delivery, when the
+ * connection itself refuses hosts that have since been re-pointed at a private address.
+ */
+class WebhookService {
+  constructor() {
+    this.events = WEBHOOK_EVENTS;
+  }
+
+  /**
+   * Throw a BlockedAddressError when the URL's host does not resolve, or resolves to a private,
+   * loopback or link-local address
+   */
+  async checkUrl(url) {
+    await assertPublicUrl(url);
+  }
+
+  async createSubscription({ apiKeyId, url, events }) {
+    const subscription = {
+      id: uuidv4(),
+      apiKeyId,
+      url,
+      events,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      isActive: true,
+      createdAt: new Date()
+    };
+
+    await database('webhook_subscriptions').insert({
+      id: subscription.id,
+      api_key_id: apiKeyId,
+      url,
+      events: JSON.stringify(events),
+      secret: subscription.secret,
+      is_active: true,
+      created_at: subscription.createdAt,
+      updated_at: subscription.createdAt
+    });
+
+    return subscription;
+  }
+
+  async getSubscriptions(apiKeyId) {
+    const rows = await database('webhook_subscriptions')
+      .select('*')
+      .where('api_key_id', apiKeyId)
+      .where('is_active', true)
+      .orderBy('created_at', 'DESC');
+
+    return rows.map(row => this.formatSubscription(row));
+  }
+
+  async getSubscription(apiKeyId, subscriptionId) {
+    const rows = await database('webhook_subscriptions')
+      .select('*')
+      .where('id', subscriptionId)
+      .where('api_key_id', apiKeyId)
+      .limit(1);
+
+    return rows.length > 0 ? this.formatSubscription(rows[0]) : null;
+  }
+
+  /**
+   * Deactivate a subscription; its delivery log is kept
+   */
+  async deleteSubscription(apiKeyId, subscriptionId) {
+    const updated = await database('webhook_subscriptions')
+      .where('id', subscriptionId)
+      .where('api_key_id', apiKeyId)
+      .where('is_active', true)
+      .update({
+        is_active: false,
+        updated_at: new Date()
+      });
+
+    return updated > 0;
+  }
+
+  /**
+   * Queue an event for every active subscription of the API key that listens to it.
+   * Never throws: a webhook problem must not fail the verification that raised it.
+   */
+  async emit(apiKeyId, eventType, data) {
+    if (!apiKeyId) return 0;
+
+    try {
+      const event = {
+        id: uuidv4(),
+        type: eventType,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const result = await database.raw(
+        `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload)
+         SELECT uuid_generate_v4(), id, $2, $3, $4
+         FROM webhook_subscriptions
+         WHERE api_key_id = $1 AND is_active = true AND events @> $5::jsonb`,
+        [apiKeyId, event.id, eventType, JSON.stringify(event), JSON.stringify([eventType])]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      console.error(`Failed to queue ${eventType} webhook:`, error);
+      return 0;
+    }
+  }
+
+  async getDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+    const query = database('webhook_deliveries')
+      .select('*')
+      .where('subscription_id', subscriptionId);
+
+    if (status) {
+      query.where('status', status);
+    }
+
+    const rows = await query.orderBy('created_at', 'DESC').limit(limit);
+
+    return rows.map(row => ({
+      id: row.id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      lastAttemptAt: row.last_attempt_at,
+      nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Queue a delivered or dead-lettered delivery again, with a fresh set of attempts
+   */
+  async redeliver(subscriptionId, deliveryId) {
+    const result = await database.raw(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_at = NULL
+       WHERE id = $1 AND subscription_id = $2 AND status IN ('delivered', 'dead_letter')`,
+      [deliveryId, subscriptionId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Claim and send due deliveries. Safe to run on several instances at once.
+   */
+  async dispatchDue(limit = 20) {
+    const result = await database.raw(
+      `UPDATE webhook_deliveries d
+       SET status = 'delivering', locked_at = CURRENT_TIMESTAMP
+       FROM webhook_subscriptions s
+       WHERE s.id = d.subscription_id AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status = 'delivering' AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => $2))
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING d.id, d.event_id, d.event_type, d.payload, d.attempts, s.url, s.secret, s.is_active`,
+      [limit, DELIVERY_LOCK_SECONDS]
+    );
+
+    for (const delivery of result.rows) {
+      await this.deliver(delivery);
+    }
+
+    return result.rows.length;
+  }
+
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+
+    // Subscriptions deleted after the event was queued are not called
+    if (!delivery.is_active) {
+      return this.recordAttempt(delivery.id, { attempts, status: 'dead_letter', error: 'Subscription deleted' });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      // IP literals never reach the connect-time lookup, so the URL is checked up front as well
+      await assertPublicUrl(delivery.url);
+      statusCode = await this.post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WeightCha-Webhooks/1.0',
+        'X-WeightCha-Event': delivery.event_type,
+        'X-WeightCha-Delivery': delivery.id,
+        'X-WeightCha-Signature': `t=${timestamp},v1=${this.sign(delivery.secret, timestamp, body)}`
+      }, body);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      return this.recordAttempt(delivery.id, { attempts, status: 'delivered', statusCode });
+    }
+
+    if (attempts >= config.webhooks.maxAttempts) {
+      return this.recordAttempt(delivery.id, { attempts, status: 'dead_letter', statusCode, error });
+    }
+
+    return this.recordAttempt(delivery.id, {
+      attempts,
+      status: 'pending',
+      statusCode,
+      error,
+      nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attempts) * 1000)
+    });
+  }
+
+  /**
+   * POST the body and resolve with the response status. Redirects are not followed, and the
+   * connection only goes to public addresses.
+   */
+  post(url, headers, body) {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicOnlyLookup
+      }, (response) => {
+        clearTimeout(timer);
+        // The body is not used; drain it so the socket is released
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      const timer = setTimeout(() => {
+        request.destroy(new Error(`Timed out after ${config.webhooks.timeoutMs}ms`));
+      }, config.webhooks.timeoutMs);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  async recordAttempt(deliveryId, { attempts, status, statusCode = null, error = null, nextAttemptAt = null }) {
+    const now = new Date();
+
+    await database('webhook_deliveries')
+      .where('id', deliveryId)
+      .update({
+        status,
+        attempts,
+        last_status_code: statusCode,
+        last_error: error,
+        last_attempt_at: now,
+        next_attempt_at: nextAttemptAt,
+        locked_at: null,
+        delivered_at: status === 'delivered' ? now : null
+      });
+
+    return status;
+  }
+
+  /**
+   * Seconds before the next attempt: 30s, 1m, 2m, 4m, ... capped at an hour, with 10% jitter
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * Math.pow(2, attempts - 1));
+    return Math.round(delay * (1 + Math.random() * 0.1));
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  formatSubscription(row) {
+    return {
+      id: row.id,
+      apiKeyId: row.api_key_id,
+      url: row.url,
+      events: row.events, // JSONB columns are parsed by pg
+      isActive: row.is_active,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,27 @@
+/**
+ * Array Math
+ * Min/max over sample arrays with a single loop. `Math.max(...values)` copies every
+ * element onto the stack, which is slow for 10,000-sample traces and throws a
+ * RangeError for very large arrays.
+ */
+
+function arrayMax(values) {
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  return max;
+}
+
+function arrayMin(values) {
+  let min = Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+  }
+  return min;
+}
+
+module.exports = {
+  arrayMax,
+  arrayMin
+};
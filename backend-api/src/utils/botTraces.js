@@ -0,0 +1,208 @@
+/**
+ * Bot Traces
+ * Parameterized synthetic submissions imitating known attack families, in the same
+ * shape as a verification request (`pressureData`, `motionData`, `deviceInfo`,
+ * `detectionMethod`). Used by the detection benchmark (scripts/benchmark.js) to measure
+ * how many of each family the analyzer rejects.
+ *
+ * Every generator takes a uniform random source (see seededRandom.js), so a seed always
+ * produces the same traces, and options overriding its defaults.
+ */
+
+const { gaussian } = require('./seededRandom');
+
+const MAC_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+const DEFAULTS = {
+  durationMs: 5000,
+  intervalMs: 16,
+  detectionMethod: 'forceTouch',
+  userAgent: MAC_USER_AGENT
+};
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Sample timestamps over the duration; `jitterMs` is the standard deviation of each interval
+ */
+function createTimestamps(random, { durationMs, intervalMs, jitterMs = 0 }) {
+  const timestamps = [];
+  let time = 0;
+
+  while (time <= durationMs) {
+    timestamps.push(round(time));
+    time += Math.max(1, intervalMs + (jitterMs > 0 ? gaussian(random) * jitterMs : 0));
+  }
+
+  return timestamps;
+}
+
+/**
+ * Press, hold and release: pressure rises to `peak`, stays there and falls back to zero
+ */
+function pressEnvelope(t, { peak, riseFraction = 0.2, releaseFraction = 0.15 }) {
+  if (t < riseFraction) {
+    // Smoothstep rather than a straight line
+    const x = t / riseFraction;
+    return peak * x * x * (3 - 2 * x);
+  }
+  if (t > 1 - releaseFraction) {
+    const x = (1 - t) / releaseFraction;
+    return peak * x * x * (3 - 2 * x);
+  }
+  return peak;
+}
+
+function toSubmission(timestamps, pressures, options) {
+  return {
+    pressureData: timestamps.map((timestamp, i) => ({ timestamp, pressure: round(clamp(pressures[i])) })),
+    motionData: [],
+    deviceInfo: {
+      userAgent: options.userAgent,
+      browserSupport: [options.detectionMethod]
+    },
+    detectionMethod: options.detectionMethod
+  };
+}
+
+/**
+ * Pressure along a straight line from `start` to `end`, sampled at a fixed rate
+ */
+function linearRamp(random, overrides = {}) {
+  const options = { ...DEFAULTS, start: 0.1, end: 0.8, ...overrides };
+  const timestamps = createTimestamps(random, options);
+  const pressures = timestamps.map(time => options.start + (options.end - options.start) * (time / options.durationMs));
+
+  return toSubmission(timestamps, pressures, options);
+}
+
+/**
+ * A pure sine wave around `offset`
+ */
+function sineWave(random, overrides = {}) {
+  const options = { ...DEFAULTS, offset: 0.5, amplitude: 0.3, frequencyHz: 0.5 + random(), ...overrides };
+  const phase = random() * 2 * Math.PI;
+  const timestamps = createTimestamps(random, options);
+  const pressures = timestamps.map(time =>
+    options.offset + options.amplitude * Math.sin(2 * Math.PI * options.frequencyHz * (time / 1000) + phase));
+
+  return toSubmission(timestamps, pressures, options);
+}
+
+/**
+ * A smooth press with independent Gaussian noise added to every sample and interval:
+ * the usual way of making a scripted trace look less regular
+ */
+function gaussianHuman(random, overrides = {}) {
+  const options = { ...DEFAULTS, peak: 0.4 + random() * 0.3, noise: 0.03, jitterMs: 3, ...overrides };
+  const timestamps = createTimestamps(random, options);
+  const pressures = timestamps.map(time =>
+    pressEnvelope(time / options.durationMs, options) + gaussian(random) * options.noise);
+
+  return toSubmission(timestamps, pressures, options);
+}
+
+/**
+ * A plausible press with slowly wandering pressure, but every sample exactly `intervalMs` apart
+ */
+function perfectInterval(random, overrides = {}) {
+  const options = { ...DEFAULTS, peak: 0.4 + random() * 0.3, drift: 0.02, ...overrides, jitterMs: 0 };
+  const timestamps = createTimestamps(random, options);
+  let wander = 0;
+  const pressures = timestamps.map(time => {
+    // Correlated noise, as a tremor would produce
+    wander = wander * 0.9 + gaussian(random) * options.drift;
+    return pressEnvelope(time / options.durationMs, options) + wander;
+  });
+
+  return toSubmission(timestamps, pressures, options);
+}
+
+/**
+ * A recorded submission replayed with small timing and pressure jitter. Without a
+ * `recording` a gaussianHuman trace from the same random source stands in for it;
+ * the recording is returned so a benchmark can check the replay against it.
+ */
+function replayedWithJitter(random, overrides = {}) {
+  const options = { ...DEFAULTS, timingJitterMs: 2, pressureJitter: 0.01, ...overrides };
+  const recording = options.recording || gaussianHuman(random, overrides);
+  let previous = -Infinity;
+
+  const pressureData = recording.pressureData.map(sample => {
+    // Keep the order of the recorded samples
+    const timestamp = Math.max(previous + 1, sample.timestamp + gaussian(random) * options.timingJitterMs);
+    previous = timestamp;
+    return {
+      ...sample,
+      timestamp: round(timestamp),
+      pressure: round(clamp(sample.pressure + gaussian(random) * options.pressureJitter))
+    };
+  });
+
+  return { ...recording, pressureData, recording };
+}
+
+/**
+ * A mouse button held down: the Pointer Events default pressure of 0.5 for every sample
+ */
+function constantPointer(random, overrides = {}) {
+  const options = { ...DEFAULTS, detectionMethod: 'pointerEvents', pressure: 0.5, jitterMs: 1, ...overrides };
+  const timestamps = createTimestamps(random, options);
+
+  return toSubmission(timestamps, timestamps.map(() => options.pressure), options);
+}
+
+const ATTACK_FAMILIES = {
+  linearRamp: {
+    description: 'Pressure along a straight line at a fixed sample rate',
+    generate: linearRamp
+  },
+  sineWave: {
+    description: 'A pure sine wave',
+    generate: sineWave
+  },
+  gaussianHuman: {
+    description: 'A smooth press with Gaussian noise on pressure and timing',
+    generate: gaussianHuman
+  },
+  perfectInterval: {
+    description: 'A plausible press sampled at perfectly regular intervals',
+    generate: perfectInterval
+  },
+  replayedWithJitter: {
+    description: 'A recorded trace replayed with small timing and pressure jitter',
+    generate: replayedWithJitter
+  },
+  constantPointer: {
+    description: 'Constant 0.5 pointer pressure, as reported for a mouse button',
+    generate: constantPointer
+  }
+};
+
+/**
+ * One submission of an attack family
+ */
+function generateTrace(family, random, options = {}) {
+  const attack = ATTACK_FAMILIES[family];
+  if (!attack) {
+    throw new Error(`Unknown attack family: ${family}`);
+  }
+  return attack.generate(random, options);
+}
+
+module.exports = {
+  ATTACK_FAMILIES,
+  generateTrace,
+  linearRamp,
+  sineWave,
+  gaussianHuman,
+  perfectInterval,
+  replayedWithJitter,
+  constantPointer
+};
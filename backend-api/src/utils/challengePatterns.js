@@ -0,0 +1,291 @@
+/**
+ * Challenge Patterns
+ * Generates a random target pattern for each challenge and scores how closely
+ * a submitted pressure trace follows it. Patterns are generated server-side with
+ * a CSPRNG so a bot cannot learn a single fixed sequence per challenge type.
+ */
+
+const crypto = require('crypto');
+const typeAnalyzer = require('./humanPatternAnalyzer');
+
+// Challenge type -> pattern kind
+const PATTERN_KINDS = {
+  pressure_pattern: 'hold',
+  rhythm_test: 'tap_rhythm',
+  sustained_pressure: 'hold',
+  progressive_pressure: 'pressure_ramp'
+};
+
+// Minimum pattern score for a trace to count as following the pattern
+const MATCH_THRESHOLD = 0.5;
+
+// Pressure below this is treated as "not touching"
+const CONTACT_THRESHOLD = 0.05;
+
+// A pressure ramp ends at the last sample at or above this share of its peak
+const RAMP_END_RATIO = 0.95;
+
+function randomBetween(min, max, step = 1) {
+  const steps = Math.floor((max - min) / step);
+  return min + crypto.randomInt(steps + 1) * step;
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Generate the expected pattern for a challenge. The result is stored with the
+ * challenge and returned to the client as renderable parameters.
+ */
+function generatePattern(type, duration) {
+  const durationMs = duration * 1000;
+
+  switch (PATTERN_KINDS[type]) {
+    case 'tap_rhythm':
+      return generateTapRhythm(durationMs);
+    case 'pressure_ramp':
+      return generatePressureRamp(durationMs);
+    case 'hold':
+      return generateHold(type, durationMs);
+    default:
+      throw new Error(`No pattern generator for challenge type: ${type}`);
+  }
+}
+
+function generateTapRhythm(durationMs) {
+  const taps = randomBetween(3, 5);
+  const intervals = [];
+
+  for (let i = 1; i < taps; i++) {
+    // Mix short and long gaps so the rhythm is not a steady beat
+    intervals.push(crypto.randomInt(2) === 0 ? randomBetween(300, 500, 50) : randomBetween(800, 1200, 50));
+  }
+
+  // Keep the whole rhythm inside the challenge duration
+  const total = intervals.reduce((a, b) => a + b, 0);
+  const scale = total > durationMs * 0.8 ? (durationMs * 0.8) / total : 1;
+
+  return {
+    kind: 'tap_rhythm',
+    taps,
+    intervals: intervals.map(interval => Math.round(interval * scale)),
+    toleranceMs: 150
+  };
+}
+
+function generatePressureRamp(durationMs) {
+  const startPressure = randomBetween(10, 25) / 100;
+  const endPressure = randomBetween(60, 90) / 100;
+  // < 1 eases out (fast then slow), > 1 eases in (slow then fast)
+  const curve = [0.5, 1, 2][crypto.randomInt(3)];
+  const rampMs = Math.round(durationMs * randomBetween(60, 90) / 100);
+
+  const profile = [];
+  for (let i = 0; i <= 10; i++) {
+    const t = i / 10;
+    profile.push({ t, pressure: round(startPressure + (endPressure - startPressure) * Math.pow(t, curve)) });
+  }
+
+  return {
+    kind: 'pressure_ramp',
+    startPressure,
+    endPressure,
+    curve,
+    rampMs,
+    profile
+  };
+}
+
+function generateHold(type, durationMs) {
+  const ranges = type === 'sustained_pressure'
+    ? { pressure: [30, 60], hold: [70, 100] }
+    : { pressure: [20, 50], hold: [50, 90] };
+
+  return {
+    kind: 'hold',
+    targetPressure: randomBetween(ranges.pressure[0], ranges.pressure[1], 5) / 100,
+    tolerance: 0.1,
+    holdMs: Math.round(durationMs * randomBetween(ranges.hold[0], ranges.hold[1]) / 100)
+  };
+}
+
+/**
+ * Human readable instructions for a pattern
+ */
+function describePattern(pattern) {
+  switch (pattern.kind) {
+    case 'tap_rhythm': {
+      const rhythm = pattern.intervals.map(interval => (interval >= 600 ? 'pause-tap' : 'tap')).join('-');
+      return `Follow the rhythm pattern: tap-${rhythm} on your trackpad`;
+    }
+    case 'pressure_ramp':
+      return `Gradually increase pressure from ${Math.round(pattern.startPressure * 100)}% to ${Math.round(pattern.endPressure * 100)}% over ${round(pattern.rampMs / 1000, 1)} seconds`;
+    case 'hold':
+      return `Hold pressure at ${Math.round(pattern.targetPressure * 100)}% for ${round(pattern.holdMs / 1000, 1)} seconds`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Score how closely a pressure trace follows the expected pattern (0-1)
+ */
+function scorePattern(pattern, pressureData) {
+  const samples = pressureData
+    .map(d => ({ timestamp: d.timestamp, pressure: d.pressure || 0 }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let metrics;
+  switch (pattern.kind) {
+    case 'tap_rhythm':
+      metrics = scoreTapRhythm(pattern, samples);
+      break;
+    case 'pressure_ramp':
+      metrics = scorePressureRamp(pattern, samples);
+      break;
+    case 'hold':
+      metrics = scoreHold(pattern, samples);
+      break;
+    default:
+      return { kind: pattern.kind, score: 0, matched: false, metrics: {} };
+  }
+
+  const values = Object.values(metrics.scores);
+  const score = values.reduce((a, b) => a + b, 0) / values.length;
+
+  return {
+    kind: pattern.kind,
+    score,
+    matched: score >= MATCH_THRESHOLD,
+    metrics: metrics.scores,
+    observed: metrics.observed
+  };
+}
+
+function scoreTapRhythm(pattern, samples) {
+  const tapTimes = typeAnalyzer.detectTaps(samples).map(tap => tap.startTime);
+  const expectedTaps = pattern.taps;
+
+  const patternMatching = Math.max(0, 1 - Math.abs(tapTimes.length - expectedTaps) / expectedTaps);
+
+  // Compare the gap sequence tap by tap; missing gaps count as misses
+  const observedIntervals = [];
+  for (let i = 1; i < tapTimes.length; i++) {
+    observedIntervals.push(tapTimes[i] - tapTimes[i - 1]);
+  }
+
+  let hits = 0;
+  pattern.intervals.forEach((expected, i) => {
+    const observed = observedIntervals[i];
+    const tolerance = Math.max(pattern.toleranceMs, expected * 0.25);
+    if (observed !== undefined && Math.abs(observed - expected) <= tolerance) {
+      hits++;
+    }
+  });
+  const timingAccuracy = pattern.intervals.length > 0 ? hits / pattern.intervals.length : 0;
+
+  return {
+    scores: { patternMatching, timingAccuracy },
+    observed: { taps: tapTimes.length, intervals: observedIntervals }
+  };
+}
+
+function scorePressureRamp(pattern, samples) {
+  const contact = samples.filter(s => s.pressure > CONTACT_THRESHOLD);
+  const peak = contact.reduce((max, s) => Math.max(max, s.pressure), 0);
+  // The finger lifts after the ramp; stop at the last sample near the peak so the release is not scored
+  const active = contact.slice(0, contact.findLastIndex(s => s.pressure >= peak * RAMP_END_RATIO) + 1);
+  if (active.length < 3) {
+    return {
+      scores: { rampConsistency: 0, levelAccuracy: 0, durationAccuracy: 0, finalPressureRatio: 0 },
+      observed: { samples: active.length }
+    };
+  }
+
+  const start = active[0].timestamp;
+  const span = active[active.length - 1].timestamp - start;
+
+  // Sample the observed trace at the profile points
+  const observedProfile = pattern.profile.map(point => interpolateAt(active, start + point.t * span));
+  const expectedProfile = pattern.profile.map(point => point.pressure);
+
+  const rampConsistency = Math.max(0, correlation(observedProfile, expectedProfile));
+  const meanError = observedProfile.reduce((sum, p, i) => sum + Math.abs(p - expectedProfile[i]), 0) / observedProfile.length;
+  const levelAccuracy = Math.max(0, 1 - meanError / 0.5);
+  const durationAccuracy = Math.max(0, 1 - Math.abs(span - pattern.rampMs) / pattern.rampMs);
+
+  const tail = active.slice(-Math.max(1, Math.floor(active.length / 10)));
+  const finalPressure = tail.reduce((sum, s) => sum + s.pressure, 0) / tail.length;
+  const finalPressureRatio = peak > 0 ? finalPressure / peak : 0;
+
+  return {
+    scores: { rampConsistency, levelAccuracy, durationAccuracy, finalPressureRatio },
+    observed: { rampMs: span, peak, finalPressure }
+  };
+}
+
+function scoreHold(pattern, samples) {
+  const active = samples.filter(s => s.pressure > CONTACT_THRESHOLD);
+  if (active.length < 2) {
+    return {
+      scores: { durationAccuracy: 0, levelAccuracy: 0, stability: 0 },
+      observed: { samples: active.length }
+    };
+  }
+
+  const holdMs = active[active.length - 1].timestamp - active[0].timestamp;
+  const durationAccuracy = Math.max(0, 1 - Math.abs(holdMs - pattern.holdMs) / pattern.holdMs);
+
+  const withinTolerance = active.filter(s => Math.abs(s.pressure - pattern.targetPressure) <= pattern.tolerance).length;
+  const levelAccuracy = withinTolerance / active.length;
+
+  const pressures = active.map(s => s.pressure);
+  const mean = pressures.reduce((a, b) => a + b, 0) / pressures.length;
+  const stdDev = Math.sqrt(pressures.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / pressures.length);
+  const stability = mean > 0 ? Math.max(0, 1 - stdDev / mean) : 0;
+
+  return {
+    scores: { durationAccuracy, levelAccuracy, stability },
+    observed: { holdMs, meanPressure: mean }
+  };
+}
+
+function interpolateAt(samples, timestamp) {
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].timestamp >= timestamp) {
+      const prev = samples[i - 1];
+      const next = samples[i];
+      const span = next.timestamp - prev.timestamp;
+      if (span <= 0) return next.pressure;
+      return prev.pressure + (next.pressure - prev.pressure) * ((timestamp - prev.timestamp) / span);
+    }
+  }
+  return samples[samples.length - 1].pressure;
+}
+
+function correlation(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((x, y) => x + y, 0) / n;
+  const meanB = b.reduce((x, y) => x + y, 0) / n;
+
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += Math.pow(a[i] - meanA, 2);
+    varB += Math.pow(b[i] - meanB, 2);
+  }
+
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+module.exports = {
+  PATTERN_KINDS,
+  MATCH_THRESHOLD,
+  generatePattern,
+  describePattern,
+  scorePattern
+};
@@ -0,0 +1,23 @@
+/**
+ * Seconds from a jsonwebtoken-style lifetime ("24h", "30m", "45s", "7d" or a number of seconds)
+ */
+
+const DURATION_PATTERN = /^(\d+)\s*([smhd]?)$/;
+
+const UNIT_SECONDS = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+
+  const match = DURATION_PATTERN.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * UNIT_SECONDS[match[2]];
+}
+
+module.exports = {
+  DURATION_PATTERN,
+  parseDuration
+};
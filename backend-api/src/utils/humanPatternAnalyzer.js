@@ -1,17 +1,23 @@
 /**
  * Human Pattern Analyzer
- * Analyzes trackpad pressure data to detect human vs bot patterns
+ * Challenge-type-specific checks for trackpad pressure data. Used by the
+ * browser analyzer (services/humanPatternAnalyzer.js) for the challenge actually issued.
+ * Pressure values are normalized to 0-1.
  */
 
+const config = require('../config');
+const { arrayMax, arrayMin } = require('./arrayMath');
+
 class HumanPatternAnalyzer {
   constructor() {
     // Thresholds for human detection
     this.thresholds = {
-      minVariance: parseFloat(process.env.PRESSURE_VARIANCE_THRESHOLD) || 0.15,
-      minSamples: parseInt(process.env.MIN_PRESSURE_SAMPLES) || 50,
-      confidenceThreshold: parseFloat(process.env.HUMAN_PATTERN_CONFIDENCE_THRESHOLD) || 0.8,
-      maxPressure: 100.0, // Maximum expected pressure in grams
-      minPressure: 0.5,   // Minimum expected pressure in grams
+      minVariance: config.analyzer.pressureVarianceThreshold,
+      minSamples: config.analyzer.minPressureSamples,
+      confidenceThreshold: config.analyzer.confidenceThreshold,
+      maxPressure: 1.0,   // Maximum normalized pressure
+      minPressure: 0.05,  // Peak pressure must at least register as contact
+      minTapRange: 0.1    // Minimum press/release swing for tap detection
     };
   }
 
@@ -44,7 +50,7 @@ class HumanPatternAnalyzer {
       }
 
       // Run analysis based on challenge type
-      const analysisResult = await this.analyzeByType(pressureData, challenge);
+      const analysisResult = this.analyzeByType(pressureData, challenge);
       
       // Calculate overall confidence
       const overallConfidence = this.calculateOverallConfidence(analysisResult);
@@ -75,7 +81,11 @@ class HumanPatternAnalyzer {
     }
   }
 
-  async analyzeByType(pressureData, challenge) {
+  /**
+   * Run the checks for the challenge's type. Results carry `passed: false`
+   * when the trace cannot have followed the challenge at all.
+   */
+  analyzeByType(pressureData, challenge) {
     switch (challenge.type) {
       case 'pressure_pattern':
         return this.analyzePressurePattern(pressureData, challenge);
@@ -111,6 +121,7 @@ class HumanPatternAnalyzer {
     
     return {
       type: 'pressure_pattern',
+      passed: true,
       varianceScore,
       timingScore,
       naturalnessScore,
@@ -126,21 +137,24 @@ class HumanPatternAnalyzer {
   }
 
   analyzeRhythmTest(pressureData, challenge) {
-    const pressures = pressureData.map(d => d.pressure);
-    const timestamps = pressureData.map(d => d.timestamp);
-    
     // Detect tap events (pressure spikes)
     const taps = this.detectTaps(pressureData);
     
+    // A rhythm needs taps; allow one missed tap of the issued pattern
+    const expectedTaps = challenge.pattern && challenge.pattern.taps ? challenge.pattern.taps : 3;
+    const requiredTaps = Math.max(2, expectedTaps - 1);
+    
     // Analyze rhythm consistency
     const rhythmScore = this.analyzeRhythm(taps);
     
     // Human timing inconsistency (good thing!)
-    const humanTimingScore = this.analyzeHumanTiming(taps);
+    const humanTimingScore = this.analyzeHumanTiming(taps, challenge.pattern && challenge.pattern.intervals);
     
     return {
       type: 'rhythm_test',
+      passed: taps.length >= requiredTaps,
       tapCount: taps.length,
+      requiredTaps,
       rhythmScore,
       humanTimingScore,
       taps,
@@ -165,6 +179,7 @@ class HumanPatternAnalyzer {
     
     return {
       type: 'sustained_pressure',
+      passed: true,
       stabilityScore,
       movementScore,
       fluctuationScore,
@@ -190,6 +205,7 @@ class HumanPatternAnalyzer {
     
     return {
       type: 'progressive_pressure',
+      passed: true,
       progressionScore,
       smoothnessScore,
       finalPressureScore,
@@ -205,8 +221,8 @@ class HumanPatternAnalyzer {
     const mean = pressures.reduce((sum, p) => sum + p, 0) / pressures.length;
     const variance = pressures.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / pressures.length;
     const stdDev = Math.sqrt(variance);
-    const min = Math.min(...pressures);
-    const max = Math.max(...pressures);
+    const min = arrayMin(pressures);
+    const max = arrayMax(pressures);
     
     return {
       mean,
@@ -287,11 +303,11 @@ class HumanPatternAnalyzer {
   }
 
   analyzePressureRange(pressures) {
-    const min = Math.min(...pressures);
-    const max = Math.max(...pressures);
+    const min = arrayMin(pressures);
+    const max = arrayMax(pressures);
     
     // Check if pressures are in reasonable human range
-    if (min < this.thresholds.minPressure || max > this.thresholds.maxPressure) {
+    if (min < 0 || max < this.thresholds.minPressure || max > this.thresholds.maxPressure) {
       return 0.3;
     }
     
@@ -304,7 +320,15 @@ class HumanPatternAnalyzer {
     let inTap = false;
     let tapStart = null;
     
-    const pressureThreshold = 2.0; // Minimum pressure to consider a tap
+    // Thresholds are relative to the trace so they work across devices
+    const pressures = pressureData.map(d => d.pressure);
+    const min = pressures.reduce((a, b) => Math.min(a, b), Infinity);
+    const max = pressures.reduce((a, b) => Math.max(a, b), -Infinity);
+    if (max - min < this.thresholds.minTapRange) {
+      return taps;
+    }
+    const pressureThreshold = min + (max - min) * 0.5;
+    const releaseThreshold = min + (max - min) * 0.25;
     
     for (let i = 0; i < pressureData.length; i++) {
       const sample = pressureData[i];
@@ -322,7 +346,7 @@ class HumanPatternAnalyzer {
         // Update max pressure in current tap
         tapStart.maxPressure = sample.pressure;
         tapStart.maxTime = sample.timestamp;
-      } else if (inTap && sample.pressure <= pressureThreshold) {
+      } else if (inTap && sample.pressure <= releaseThreshold) {
         // End of tap
         inTap = false;
         taps.push({
@@ -353,7 +377,7 @@ class HumanPatternAnalyzer {
     return cv > 0.1 && cv < 0.5 ? 0.8 : 0.4;
   }
 
-  analyzeHumanTiming(taps) {
+  analyzeHumanTiming(taps, expectedIntervals) {
     // Humans can't maintain perfect timing
     const intervals = [];
     for (let i = 1; i < taps.length; i++) {
@@ -362,6 +386,15 @@ class HumanPatternAnalyzer {
     
     if (intervals.length < 2) return 0.5;
     
+    // For an issued rhythm, measure the jitter around each expected gap instead
+    if (expectedIntervals && expectedIntervals.length === intervals.length) {
+      const ratios = intervals.map((interval, i) => interval / expectedIntervals[i]);
+      const jitter = this.calculateStatistics(ratios).coefficientOfVariation;
+      
+      // Too exact is as suspicious as not following the rhythm
+      return jitter >= 0.02 && jitter <= 0.25 ? 0.9 : 0.4;
+    }
+    
     const stats = this.calculateStatistics(intervals);
     const cv = stats.coefficientOfVariation;
     
@@ -416,9 +449,11 @@ class HumanPatternAnalyzer {
     }
     
     const stats = this.calculateStatistics(fluctuations);
+    const meanPressure = pressures.reduce((sum, p) => sum + p, 0) / pressures.length;
+    const relativeFluctuation = meanPressure > 0 ? stats.mean / meanPressure : 0;
     
     // Humans have natural micro-fluctuations
-    return stats.mean > 0.1 && stats.mean < 2.0 ? 0.8 : 0.4;
+    return relativeFluctuation > 0.002 && relativeFluctuation < 0.1 ? 0.8 : 0.4;
   }
 
   analyzeProgression(pressures) {
@@ -450,7 +485,7 @@ class HumanPatternAnalyzer {
   }
 
   analyzeFinalPressure(pressures) {
-    const maxPressure = Math.max(...pressures);
+    const maxPressure = arrayMax(pressures);
     const finalPressure = pressures[pressures.length - 1];
     
     const ratio = finalPressure / maxPressure;
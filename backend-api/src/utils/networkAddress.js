@@ -0,0 +1,96 @@
+/**
+ * Network Address
+ * Keeps server-side requests to customer-supplied URLs (webhooks) off the private network:
+ * loopback, private, link-local (including cloud metadata at 169.254.169.254) and other
+ * non-public ranges are refused. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, family]) => blockList.addSubnet(network, prefix, family));
+
+class BlockedAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedAddressError';
+    this.code = 'EBLOCKEDADDRESS';
+  }
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve the URL's host and throw a BlockedAddressError unless every address it resolves to is public
+ * @returns {Promise<string[]>} The resolved addresses
+ */
+async function assertPublicUrl(url) {
+  const { hostname } = new URL(url);
+  // URL keeps the brackets of IPv6 literals
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    throw new BlockedAddressError(`${host} could not be resolved`);
+  }
+
+  const blocked = addresses.filter(address => !isPublicAddress(address));
+  if (blocked.length > 0) {
+    throw new BlockedAddressError(`${host} resolves to a non-public address (${blocked.join(', ')})`);
+  }
+
+  return addresses;
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses non-public addresses. It runs when the
+ * socket connects, so a host re-pointed at a private address after it was checked (DNS rebinding)
+ * is still refused.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    // Called with `all: true` when Happy Eyeballs is on
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.filter(candidate => !isPublicAddress(candidate));
+    if (blocked.length > 0) {
+      return callback(new BlockedAddressError(`${hostname} resolves to a non-public address (${blocked.join(', ')})`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  BlockedAddressError,
+  isPublicAddress,
+  assertPublicUrl,
+  publicOnlyLookup
+};
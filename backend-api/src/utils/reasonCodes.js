@@ -0,0 +1,107 @@
+/**
+ * Reason Codes
+ * Stable, documented codes explaining a verification decision. Codes are derived
+ * from the analyzer sub-scores and returned with every verification so site
+ * backends can make graded decisions (e.g. step-up auth) instead of hard blocks.
+ *
+ * Codes are part of the public API: add new ones freely, but never rename or
+ * repurpose an existing code. `risk` is the minimum risk score a code implies;
+ * `rejects` marks mechanical signatures that fail a verification whatever its confidence.
+ */
+
+const REASON_CODES = {
+  INSUFFICIENT_SAMPLES: {
+    description: 'Fewer pressure samples than the challenge requires',
+    risk: 0.9
+  },
+  INSUFFICIENT_SENSOR: {
+    description: 'The device reported no usable force information (e.g. only 0 and 0.5), so no verdict was given',
+    risk: 0
+  },
+  TIMESTAMPS_NOT_MONOTONIC: {
+    description: 'Sample timestamps go backwards or are not numbers, so the timeline was fabricated',
+    risk: 0.95
+  },
+  TRACE_EXCEEDS_ELAPSED_TIME: {
+    description: 'The trace spans more time than passed on the server between issuing the challenge and the submission',
+    risk: 0.95
+  },
+  IMPLAUSIBLE_SAMPLE_RATE: {
+    description: 'The sample rate is outside what the claimed detection method delivers',
+    risk: 0.6
+  },
+  DURATION_MISMATCH: {
+    description: "The trace is much shorter than the challenge's target pattern or much longer than its duration",
+    risk: 0.4
+  },
+  TIMING_TOO_REGULAR: {
+    description: 'Sample intervals are near-perfectly regular, as produced by a timer',
+    risk: 0.8,
+    rejects: true
+  },
+  LINEAR_PRESSURE_RAMP: {
+    description: 'Pressure builds up along an almost perfectly straight line',
+    risk: 0.7
+  },
+  NO_RELEASE_PHASE: {
+    description: 'The trace ends while still pressing; pressure never drops back after the peak',
+    risk: 0.5
+  },
+  ABRUPT_PRESSURE_ONSET: {
+    description: 'Pressure jumps to its peak without a gradual build-up',
+    risk: 0.4
+  },
+  PRESSURE_TOO_UNIFORM: {
+    description: 'Pressure lacks the micro-variations of a human finger',
+    risk: 0.6
+  },
+  METHOD_MISMATCH: {
+    description: 'The claimed detection method is inconsistent with the device or the data',
+    risk: 0.7
+  },
+  REPLAYED_TRACE: {
+    description: 'The trace nearly duplicates a recent submission, as produced by replaying a recording',
+    risk: 0.8
+  },
+  PATTERN_NOT_FOLLOWED: {
+    description: "The trace does not follow the challenge's target pattern",
+    risk: 0.6
+  },
+  CHALLENGE_NOT_COMPLETED: {
+    description: 'The challenge-type checks failed, e.g. no taps for a rhythm test',
+    risk: 0.6
+  },
+  THRESHOLDS_NOT_MET: {
+    description: "One or more of the difficulty's per-type thresholds were not met",
+    risk: 0.5
+  },
+  LOW_CONFIDENCE: {
+    description: "The composite confidence is below the difficulty's cutoff",
+    risk: 0.5
+  },
+  ANALYSIS_FAILED: {
+    description: 'The trace could not be analyzed',
+    risk: 1.0
+  }
+};
+
+/**
+ * Risk score (0-1): the inverse of the confidence, raised to the highest risk implied by any reason code
+ */
+function calculateRiskScore(confidence, reasonCodes) {
+  const codeRisk = reasonCodes.reduce((max, code) => Math.max(max, REASON_CODES[code] ? REASON_CODES[code].risk : 0), 0);
+  return Math.min(1, Math.max(1 - (confidence || 0), codeRisk));
+}
+
+/**
+ * The codes among `reasonCodes` that reject the verification on their own
+ */
+function rejectingCodes(reasonCodes) {
+  return reasonCodes.filter(code => REASON_CODES[code] && REASON_CODES[code].rejects);
+}
+
+module.exports = {
+  REASON_CODES,
+  calculateRiskScore,
+  rejectingCodes
+};
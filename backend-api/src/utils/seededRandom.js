@@ -0,0 +1,34 @@
+/**
+ * Seeded Random
+ * Reproducible pseudo-random numbers for things that must come out the same on every
+ * run or instance (LSH projections, synthetic benchmark traces). Not for security:
+ * challenge patterns and tokens use crypto.
+ */
+
+/**
+ * Uniform [0, 1) generator (mulberry32); Math.random cannot be seeded
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample from a uniform generator (Box-Muller transform)
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = {
+  createSeededRandom,
+  gaussian
+};
@@ -0,0 +1,154 @@
+/**
+ * Spectral Analysis
+ * Power spectra of evenly sampled signals (such as a preprocessed pressure trace, see
+ * tracePreprocessor.js) with Welch's method: the signal is cut into overlapping Hann-windowed
+ * segments, each segment's linear trend is removed so the slow press and release do not leak
+ * into every bin, and the segments' periodograms are averaged.
+ */
+
+const DEFAULT_SEGMENT_LENGTH = 64;
+
+/**
+ * In-place iterative radix-2 FFT; the length must be a power of two
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Subtract the least-squares line through the values
+ */
+function detrend(values) {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = values.reduce((a, b) => a + b, 0) / n;
+
+  let sxy = 0;
+  let sxx = 0;
+  values.forEach((y, x) => {
+    sxy += (x - xMean) * (y - yMean);
+    sxx += (x - xMean) * (x - xMean);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+
+  return values.map((y, x) => y - yMean - slope * (x - xMean));
+}
+
+/**
+ * One-sided power spectral density by Welch's method with 50% overlap.
+ * Returns null when the signal is shorter than one segment.
+ *
+ * @param {number[]} values Evenly spaced samples
+ * @param {number} sampleRateHz Rate of the samples
+ * @param {number} [segmentLength] Samples per segment (a power of two); sets the resolution to sampleRateHz / segmentLength
+ * @returns {{ frequencies: number[], power: number[], segments: number } | null}
+ */
+function welchSpectrum(values, sampleRateHz, segmentLength = DEFAULT_SEGMENT_LENGTH) {
+  if (values.length < segmentLength) return null;
+
+  const window = [];
+  let windowPower = 0;
+  for (let i = 0; i < segmentLength; i++) {
+    window.push(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (segmentLength - 1)));
+    windowPower += window[i] * window[i];
+  }
+
+  const bins = segmentLength / 2 + 1;
+  const power = new Array(bins).fill(0);
+  const step = segmentLength / 2;
+  let segments = 0;
+
+  for (let start = 0; start + segmentLength <= values.length; start += step) {
+    const re = detrend(values.slice(start, start + segmentLength)).map((value, i) => value * window[i]);
+    const im = new Array(segmentLength).fill(0);
+    fft(re, im);
+
+    for (let k = 0; k < bins; k++) {
+      // Every bin but DC and Nyquist holds the power of its negative frequency too
+      const scale = k === 0 || k === bins - 1 ? 1 : 2;
+      power[k] += (scale * (re[k] * re[k] + im[k] * im[k])) / (sampleRateHz * windowPower);
+    }
+    segments++;
+  }
+
+  return {
+    frequencies: power.map((_, k) => (k * sampleRateHz) / segmentLength),
+    power: power.map(p => p / segments),
+    segments
+  };
+}
+
+/**
+ * Summed power of the bins within [minHz, maxHz]
+ */
+function bandPower(spectrum, minHz, maxHz) {
+  let total = 0;
+  spectrum.frequencies.forEach((frequency, k) => {
+    if (frequency >= minHz && frequency <= maxHz) total += spectrum.power[k];
+  });
+  return total;
+}
+
+/**
+ * Mean power per bin within [minHz, maxHz], or null when no bin falls inside
+ */
+function bandDensity(spectrum, minHz, maxHz) {
+  const count = spectrum.frequencies.filter(frequency => frequency >= minHz && frequency <= maxHz).length;
+  return count > 0 ? bandPower(spectrum, minHz, maxHz) / count : null;
+}
+
+/**
+ * Shannon entropy of the power distribution over the bins within [minHz, maxHz], divided by
+ * its maximum: 1 for a flat (white noise) spectrum, near 0 when one frequency dominates
+ */
+function spectralEntropy(spectrum, minHz, maxHz) {
+  const power = spectrum.power.filter((_, k) =>
+    spectrum.frequencies[k] >= minHz && spectrum.frequencies[k] <= maxHz);
+  const total = power.reduce((a, b) => a + b, 0);
+  if (power.length < 2 || total <= 0) return null;
+
+  let entropy = 0;
+  power.forEach(p => {
+    if (p > 0) entropy -= (p / total) * Math.log2(p / total);
+  });
+  return entropy / Math.log2(power.length);
+}
+
+module.exports = {
+  DEFAULT_SEGMENT_LENGTH,
+  fft,
+  welchSpectrum,
+  bandPower,
+  bandDensity,
+  spectralEntropy
+};
@@ -0,0 +1,135 @@
+/**
+ * Trace Fingerprints
+ * Fixed-length fingerprints of pressure traces for near-duplicate search. A trace is
+ * resampled over its own duration to FINGERPRINT_POINTS values and min-max normalized,
+ * so a replayed recording matches its original regardless of sample rate, small timing
+ * jitter or a pressure scale change.
+ *
+ * Candidates are found with p-stable locality-sensitive hashing: each table hashes the
+ * fingerprint onto HASHES_PER_TABLE random projections, so traces within a small
+ * Euclidean distance share a bucket in at least one table with high probability.
+ */
+
+const { arrayMax, arrayMin } = require('./arrayMath');
+const { createSeededRandom, gaussian } = require('./seededRandom');
+const { readForce, interpolateAt } = require('./tracePreprocessor');
+
+const FINGERPRINT_POINTS = 64;
+const LSH_TABLES = 10;
+const HASHES_PER_TABLE = 6;
+
+// A replay keeps the recording's length and sample count up to small timing changes
+const MAX_DURATION_DIFFERENCE = 0.1;
+const MAX_SAMPLE_COUNT_DIFFERENCE = 0.1;
+
+// Fixed seed: every instance must project onto the same vectors to share buckets
+const PROJECTION_SEED = 0x5eed1e55;
+
+/**
+ * Fingerprint of a pressure trace, or null when it has too little data
+ */
+function createFingerprint(pressureData) {
+  const samples = pressureData
+    .filter(d => typeof d.timestamp === 'number')
+    .map(d => ({ timestamp: d.timestamp, value: readForce(d) }));
+  if (samples.length < 5) return null;
+
+  const start = samples[0].timestamp;
+  const duration = samples[samples.length - 1].timestamp - start;
+  if (duration <= 0) return null;
+
+  // Evenly spaced points in time
+  const times = [];
+  for (let i = 0; i < FINGERPRINT_POINTS; i++) {
+    times.push(start + (duration * i) / (FINGERPRINT_POINTS - 1));
+  }
+  const values = interpolateAt(samples, times, d => d.value);
+
+  const min = arrayMin(values);
+  const range = arrayMax(values) - min;
+  if (range === 0) return null;
+
+  return {
+    vector: values.map(value => Math.round(((value - min) / range) * 1000) / 1000),
+    duration,
+    sampleCount: samples.length
+  };
+}
+
+/**
+ * Root-mean-square distance between two fingerprint vectors (0 = identical)
+ */
+function fingerprintDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) * (a[i] - b[i]);
+  }
+  return Math.sqrt(sum / a.length);
+}
+
+/**
+ * Distance between two fingerprints, or null when their durations or sample counts
+ * differ too much for one to be a replay of the other
+ */
+function compareFingerprints(a, b) {
+  if (relativeDifference(a.duration, b.duration) > MAX_DURATION_DIFFERENCE ||
+      relativeDifference(a.sampleCount, b.sampleCount) > MAX_SAMPLE_COUNT_DIFFERENCE) {
+    return null;
+  }
+  return fingerprintDistance(a.vector, b.vector);
+}
+
+function relativeDifference(a, b) {
+  return Math.abs(a - b) / Math.max(a, b);
+}
+
+let projections = null;
+
+function getProjections() {
+  if (!projections) {
+    const random = createSeededRandom(PROJECTION_SEED);
+    projections = [];
+    for (let i = 0; i < LSH_TABLES * HASHES_PER_TABLE; i++) {
+      const direction = [];
+      for (let j = 0; j < FINGERPRINT_POINTS; j++) {
+        direction.push(gaussian(random));
+      }
+      projections.push({ direction, offset: random() });
+    }
+  }
+  return projections;
+}
+
+/**
+ * One bucket key per LSH table. `maxDistance` is the RMS distance that should collide;
+ * buckets are four times that wide (in Euclidean terms), which keeps near-duplicates
+ * colliding in at least one table about 95% of the time.
+ */
+function lshBuckets(vector, maxDistance) {
+  const width = 4 * maxDistance * Math.sqrt(FINGERPRINT_POINTS);
+  const allProjections = getProjections();
+  const buckets = [];
+
+  for (let table = 0; table < LSH_TABLES; table++) {
+    const hashes = [];
+    for (let h = 0; h < HASHES_PER_TABLE; h++) {
+      const { direction, offset } = allProjections[table * HASHES_PER_TABLE + h];
+      let dot = 0;
+      for (let i = 0; i < vector.length; i++) {
+        dot += direction[i] * vector[i];
+      }
+      hashes.push(Math.floor(dot / width + offset));
+    }
+    buckets.push(`${table}:${hashes.join(',')}`);
+  }
+
+  return buckets;
+}
+
+module.exports = {
+  FINGERPRINT_POINTS,
+  createFingerprint,
+  fingerprintDistance,
+  compareFingerprints,
+  lshBuckets
+};
@@ -0,0 +1,152 @@
+/**
+ * Trace Preprocessing
+ * Puts every pressure trace on a common footing before the signal analyzers run. Detection
+ * methods deliver samples at very different and irregular rates (Force Touch about 60 Hz,
+ * WebHID up to 1000 Hz, pointer events at whatever rate the browser coalesces to), so
+ * per-sample measures would otherwise describe the device as much as the person.
+ *
+ * A trace is read with one force field, trimmed to the press, scaled to the device profile's
+ * pressure range and resampled to a fixed rate by linear interpolation. The unscaled trace is
+ * kept alongside: challenge targets are set in submitted units, so they are scored against it.
+ */
+
+const { arrayMax } = require('./arrayMath');
+
+// Legacy samples may carry only `weight`, on a 0..100 scale where `pressure` is 0..1
+const WEIGHT_FULL_SCALE = 100;
+
+// Upper bound on resampled points; longer traces are resampled at a lower rate
+const MAX_RESAMPLED_SAMPLES = 6000;
+
+/**
+ * Force of a sample on the 0..1 pressure scale: `pressure` when present (including 0),
+ * otherwise the legacy `weight`
+ */
+function readForce(sample) {
+  if (typeof sample.pressure === 'number') return sample.pressure;
+  if (typeof sample.weight === 'number') return sample.weight / WEIGHT_FULL_SCALE;
+  return 0;
+}
+
+/**
+ * Linear interpolation of samples sorted by timestamp at ascending `times`. `read` picks the
+ * value from a sample; when it returns null for either neighbour, the point is null too.
+ * Times outside the samples take the first or last value.
+ */
+function interpolateAt(samples, times, read) {
+  const values = [];
+  let index = 0;
+
+  times.forEach(time => {
+    while (index < samples.length - 2 && samples[index + 1].timestamp < time) {
+      index++;
+    }
+
+    const a = samples[index];
+    const b = samples[index + 1] || a;
+    const valueA = read(a);
+    const valueB = read(b);
+    if (valueA === null || valueB === null) {
+      values.push(null);
+      return;
+    }
+
+    const span = b.timestamp - a.timestamp;
+    const fraction = span > 0 ? Math.min(1, Math.max(0, (time - a.timestamp) / span)) : 0;
+    values.push(valueA + (valueB - valueA) * fraction);
+  });
+
+  return values;
+}
+
+/**
+ * Resample events at `times`, positions included
+ */
+function resample(events, times) {
+  const pressures = interpolateAt(events, times, d => d.pressure);
+  const xs = interpolateAt(events, times, d => (d.position ? d.position.x : null));
+  const ys = interpolateAt(events, times, d => (d.position ? d.position.y : null));
+
+  return times.map((timestamp, i) => {
+    const sample = { timestamp, pressure: pressures[i] };
+    if (xs[i] !== null && ys[i] !== null) sample.position = { x: xs[i], y: ys[i] };
+    return sample;
+  });
+}
+
+/**
+ * @param {Array} pressureData Samples as submitted
+ * @param {Object} deviceProfile From HumanPatternAnalyzer.getDeviceProfile; its `pressureMultiplier`
+ *   maps the device's pressure range onto the reference range
+ * @param {Object} options `sampleRateHz` of the resampled trace and the `idleThreshold` below
+ *   which a sample counts as no contact
+ * @returns {{ samples: Array, events: Array, rawSamples: Array, rawEvents: Array, characteristics: Object }}
+ *   `samples` is the resampled trace; `events` the trimmed, scaled trace at its original timestamps,
+ *   for the checks that measure event timing itself. `rawSamples` and `rawEvents` are the same
+ *   before scaling by the device profile.
+ */
+function preprocessTrace(pressureData, deviceProfile, { sampleRateHz, idleThreshold }) {
+  const recorded = pressureData.filter(d => Number.isFinite(d.timestamp));
+  const weightOnlySamples = recorded.filter(d => typeof d.pressure !== 'number' && typeof d.weight === 'number').length;
+
+  // Drop idle time before the first and after the last contact, keeping one idle sample on
+  // each side so the onset and the release stay visible
+  const first = recorded.findIndex(d => readForce(d) > idleThreshold);
+  const last = recorded.findLastIndex(d => readForce(d) > idleThreshold);
+  const trimmed = first < 0 ? recorded : recorded.slice(Math.max(0, first - 1), last + 2);
+
+  const rawEvents = trimmed.map(d => {
+    const event = { timestamp: d.timestamp, pressure: readForce(d) };
+    if (d.position) event.position = d.position;
+    return event;
+  });
+  const events = rawEvents.map(event => ({
+    ...event,
+    pressure: Math.min(1, Math.max(0, event.pressure * deviceProfile.pressureMultiplier))
+  }));
+
+  if (events.length === 0) {
+    return {
+      samples: [],
+      events,
+      rawSamples: [],
+      rawEvents,
+      characteristics: { inputSamples: pressureData.length, outputSamples: 0 }
+    };
+  }
+
+  const start = events[0].timestamp;
+  const spanMs = events[events.length - 1].timestamp - start;
+  const intervalMs = Math.max(1000 / sampleRateHz, spanMs / (MAX_RESAMPLED_SAMPLES - 1));
+  // Cover the last event too, so a release at the very end of the trace is not cut off
+  const times = [];
+  for (let i = 0; i < Math.ceil(spanMs / intervalMs) + 1; i++) {
+    times.push(start + i * intervalMs);
+  }
+
+  const samples = resample(events, times);
+
+  return {
+    samples,
+    events,
+    rawSamples: resample(rawEvents, times),
+    rawEvents,
+    characteristics: {
+      inputSamples: pressureData.length,
+      outputSamples: samples.length,
+      sampleRateHz: Math.round(100000 / intervalMs) / 100,
+      leadingIdleMs: start - recorded[0].timestamp,
+      trailingIdleMs: recorded[recorded.length - 1].timestamp - events[events.length - 1].timestamp,
+      weightOnlySamples,
+      pressureMultiplier: deviceProfile.pressureMultiplier,
+      peakPressure: arrayMax(samples.map(d => d.pressure))
+    }
+  };
+}
+
+module.exports = {
+  WEIGHT_FULL_SCALE,
+  readForce,
+  interpolateAt,
+  preprocessTrace
+};
@@ -0,0 +1,368 @@
+const { WebSocketServer } = require('ws');
+const Joi = require('joi');
+const config = require('../config');
+const challengeService = require('../services/challengeService');
+const verificationService = require('../services/verificationService');
+const {
+  pressureSampleSchema,
+  motionSampleSchema,
+  deviceInfoSchema,
+  detectionMethodSchema,
+  clientInfoSchema
+} = require('../middleware/validation');
+
+const STREAM_PATH = /^\/ws\/challenge\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const MAX_PRESSURE_SAMPLES = 10000;
+const MAX_MOTION_SAMPLES = 5000;
+
+// Custom close codes (4000-4999 are reserved for applications)
+const CLOSE_CODES = {
+  completed: 1000,
+  invalidMessage: 4000,
+  expired: 4010,
+  rejected: 4022,
+  serverError: 4500
+};
+
+// Challenge state problems the client can act on; any other failure is reported generically
+const REJECTION_MESSAGES = new Set([
+  'Challenge not found',
+  'Challenge is not in pending state',
+  'Challenge has expired'
+]);
+const SERVER_ERROR_MESSAGE = 'Verification failed due to a server error';
+
+// Message schemas for client -> server frames
+const messageSchema = Joi.object({
+  type: Joi.string().valid('start', 'pressure_data', 'motion_data', 'complete').required(),
+  data: Joi.any().optional()
+});
+
+const startSchema = Joi.object({
+  deviceInfo: deviceInfoSchema.optional(),
+  detectionMethod: detectionMethodSchema.optional(),
+  clientInfo: clientInfoSchema.optional()
+});
+
+const pressureBatchSchema = Joi.alternatives().try(
+  pressureSampleSchema,
+  Joi.array().items(pressureSampleSchema).max(MAX_PRESSURE_SAMPLES)
+);
+
+const motionBatchSchema = Joi.alternatives().try(
+  motionSampleSchema,
+  Joi.array().items(motionSampleSchema).max(MAX_MOTION_SAMPLES)
+);
+
+// Challenges with an open stream, so a challenge can only be streamed once at a time
+const activeStreams = new Map();
+
+/**
+ * Attach the challenge streaming endpoint (/ws/challenge/:id?token=...) to an HTTP server.
+ * Connections are authenticated with the per-challenge stream token returned by
+ * POST /api/v1/challenges, accept incremental pressure/motion samples, and finish
+ * through the same verificationService pipeline as POST /verification/submit.
+ */
+function attachChallengeStream(server, logger) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(STREAM_PATH);
+
+    if (!match) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const challengeId = match[1].toLowerCase();
+      const challenge = await challengeService.getChallenge(challengeId);
+
+      if (!challenge || !challengeService.isValidStreamToken(challenge, url.searchParams.get('token'))) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      if (challenge.status !== 'pending' || new Date() > new Date(challenge.expiresAt)) {
+        return rejectUpgrade(socket, 410, 'Gone');
+      }
+
+      if (activeStreams.has(challengeId)) {
+        return rejectUpgrade(socket, 409, 'Conflict');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        handleConnection(ws, challenge, logger);
+      });
+    } catch (error) {
+      logger.error('Challenge stream upgrade error:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  return wss;
+}
+
+function handleConnection(ws, challenge, logger) {
+  const session = {
+    challenge,
+    pressureData: [],
+    motionData: [],
+    deviceInfo: {},
+    detectionMethod: undefined,
+    clientInfo: {},
+    requiredSamples: (challenge.config || challengeService.challengeTypes[challenge.type]).requiredSamples,
+    completing: false
+  };
+
+  activeStreams.set(challenge.id, ws);
+
+  // Close the stream when the challenge itself expires
+  const expiryTimer = setTimeout(() => {
+    closeWithError(ws, CLOSE_CODES.expired, 'Challenge has expired');
+  }, Math.max(0, new Date(challenge.expiresAt) - new Date()));
+
+  ws.on('close', () => {
+    clearTimeout(expiryTimer);
+    activeStreams.delete(challenge.id);
+  });
+
+  // Protocol errors such as a frame over maxPayload are emitted here; unhandled, they would
+  // crash the whole process
+  ws.on('error', (error) => {
+    logger.warn('Challenge stream socket error:', { challengeId: challenge.id, error: error.message });
+    ws.terminate();
+  });
+
+  ws.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return sendError(ws, 'Message must be valid JSON');
+    }
+
+    const { error } = messageSchema.validate(message);
+    if (error) {
+      return sendError(ws, error.message);
+    }
+
+    if (session.completing) {
+      return sendError(ws, 'Verification already in progress');
+    }
+
+    try {
+      switch (message.type) {
+        case 'start':
+          handleStart(ws, session, message.data);
+          break;
+        case 'pressure_data':
+          handlePressureData(ws, session, message.data);
+          break;
+        case 'motion_data':
+          handleMotionData(ws, session, message.data);
+          break;
+        case 'complete':
+          await handleComplete(ws, session, logger);
+          break;
+      }
+    } catch (err) {
+      logger.error('Challenge stream error:', err);
+      closeWithError(ws, CLOSE_CODES.serverError, 'Internal server error');
+    }
+  });
+
+  send(ws, 'ready', {
+    challengeId: challenge.id,
+    type: challenge.type,
+    duration: challenge.duration,
+    requiredSamples: session.requiredSamples,
+    expiresAt: challenge.expiresAt
+  });
+}
+
+function handleStart(ws, session, data) {
+  const { error, value } = startSchema.validate(data || {}, { stripUnknown: true });
+  if (error) {
+    return sendError(ws, error.message);
+  }
+
+  session.deviceInfo = value.deviceInfo || {};
+  session.detectionMethod = value.detectionMethod;
+  session.clientInfo = value.clientInfo || {};
+}
+
+function handlePressureData(ws, session, data) {
+  const { error, value } = pressureBatchSchema.validate(data, { stripUnknown: true });
+  if (error) {
+    return sendError(ws, error.message);
+  }
+
+  const samples = Array.isArray(value) ? value : [value];
+  if (session.pressureData.length + samples.length > MAX_PRESSURE_SAMPLES) {
+    return closeWithError(ws, CLOSE_CODES.invalidMessage, `Pressure data is limited to ${MAX_PRESSURE_SAMPLES} samples`);
+  }
+
+  session.pressureData.push(...samples);
+  sendProgress(ws, session);
+}
+
+function handleMotionData(ws, session, data) {
+  const { error, value } = motionBatchSchema.validate(data, { stripUnknown: true });
+  if (error) {
+    return sendError(ws, error.message);
+  }
+
+  const samples = Array.isArray(value) ? value : [value];
+  if (session.motionData.length + samples.length > MAX_MOTION_SAMPLES) {
+    return closeWithError(ws, CLOSE_CODES.invalidMessage, `Motion data is limited to ${MAX_MOTION_SAMPLES} samples`);
+  }
+
+  session.motionData.push(...samples);
+}
+
+async function handleComplete(ws, session, logger) {
+  if (session.pressureData.length < 5) {
+    return sendError(ws, 'At least 5 pressure samples are required');
+  }
+
+  session.completing = true;
+
+  const submission = {
+    challengeId: session.challenge.id,
+    pressureData: session.pressureData,
+    motionData: session.motionData,
+    deviceInfo: session.deviceInfo,
+    detectionMethod: session.detectionMethod,
+    clientInfo: session.clientInfo,
+    apiKeyId: session.challenge.apiKeyId
+  };
+
+  if (config.verification.queue.enabled) {
+    return completeQueued(ws, submission, logger);
+  }
+
+  let verification;
+  try {
+    verification = await verificationService.submitVerification(submission);
+  } catch (error) {
+    return closeWithFailure(ws, error, logger);
+  }
+
+  sendResult(ws, verification);
+}
+
+/**
+ * Hand the submission to a verification worker and relay its status until the result arrives
+ */
+async function completeQueued(ws, submission, logger) {
+  let queued;
+  try {
+    queued = await verificationService.enqueueVerification(submission);
+  } catch (error) {
+    return closeWithFailure(ws, error, logger);
+  }
+
+  const timeout = setTimeout(() => {
+    closeWithError(ws, CLOSE_CODES.serverError, 'Verification timed out');
+  }, config.verification.queue.timeoutSeconds * 1000);
+
+  let unsubscribe;
+  try {
+    unsubscribe = await verificationService.watchVerification(queued.id, (update) => {
+      if (update.status === 'completed' || update.status === 'insufficient_sensor') {
+        sendResult(ws, update);
+      } else if (update.status === 'failed') {
+        // The worker has logged the details
+        closeWithFailure(ws, new Error(update.error || 'Verification failed'));
+      } else {
+        send(ws, 'verification_status', { verificationId: update.id, status: update.status });
+      }
+    });
+  } catch (error) {
+    clearTimeout(timeout);
+    return closeWithFailure(ws, error, logger);
+  }
+
+  if (ws.readyState !== ws.OPEN) {
+    clearTimeout(timeout);
+    return unsubscribe();
+  }
+
+  ws.on('close', () => {
+    clearTimeout(timeout);
+    unsubscribe();
+  });
+}
+
+function sendResult(ws, verification) {
+  send(ws, 'verification_complete', {
+    verificationId: verification.id,
+    challengeId: verification.challengeId,
+    status: verification.status,
+    isHuman: verification.isHuman,
+    confidence: verification.confidence,
+    reasonCodes: verification.reasonCodes,
+    riskScore: verification.riskScore,
+    detectionMethod: verification.detectionMethod,
+    deviceProfile: verification.deviceProfile,
+    submittedAt: verification.submittedAt,
+    token: verification.token
+  });
+  ws.close(CLOSE_CODES.completed, 'Verification complete');
+}
+
+function sendProgress(ws, session) {
+  const samples = session.pressureData;
+  const elapsed = samples.length > 1 ? samples[samples.length - 1].timestamp - samples[0].timestamp : 0;
+  const durationMs = session.challenge.duration * 1000;
+
+  send(ws, 'progress', {
+    samples: samples.length,
+    motionSamples: session.motionData.length,
+    requiredSamples: session.requiredSamples,
+    elapsed,
+    progress: Math.min(1, Math.max(0, elapsed / durationMs))
+  });
+}
+
+function send(ws, type, data) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type, data }));
+  }
+}
+
+function sendError(ws, error) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type: 'error', error }));
+  }
+}
+
+function closeWithError(ws, code, error) {
+  sendError(ws, error);
+  // Close reasons are limited to 123 bytes
+  ws.close(code, error.slice(0, 120));
+}
+
+/**
+ * Close after a failed verification: challenge state problems are rejections the client can
+ * see, anything else (database or Redis errors) is logged and reported as a server error
+ */
+function closeWithFailure(ws, error, logger) {
+  if (REJECTION_MESSAGES.has(error.message)) {
+    return closeWithError(ws, CLOSE_CODES.rejected, error.message);
+  }
+
+  if (logger) {
+    logger.error('Challenge stream verification error:', error);
+  }
+  closeWithError(ws, CLOSE_CODES.serverError, SERVER_ERROR_MESSAGE);
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+module.exports = {
+  attachChallengeStream
+};
@@ -0,0 +1,124 @@
+/**
+ * Verification Worker
+ * Analyzes submissions queued by POST /verification/submit with `async: true`
+ * (and by challenge streams when VERIFICATION_QUEUE_ENABLED is set), so large
+ * traces do not block the API's event loop. Each worker handles one submission
+ * at a time; run several processes to scale. A job stays on the processing list until
+ * its worker finishes it, and jobs held past VERIFICATION_QUEUE_CLAIM_TIMEOUT_SECONDS
+ * (a worker that died mid-analysis) are put back on the queue.
+ *
+ * Usage: node src/workers/verificationWorker.js
+ */
+
+const winston = require('winston');
+
+const config = require('../config');
+const database = require('../database/database');
+const redisClient = require('../cache/redis');
+const verificationService = require('../services/verificationService');
+
+const logger = winston.createLogger({
+  level: config.logging.level,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'verification-worker' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple()
+    })
+  ]
+});
+
+let running = true;
+let lastReapAt = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function requeueStale() {
+  const intervalMs = config.verification.queue.claimTimeoutSeconds * 1000 / 2;
+  if (Date.now() - lastReapAt < intervalMs) {
+    return;
+  }
+  lastReapAt = Date.now();
+
+  try {
+    const requeued = await verificationService.requeueStaleVerifications();
+    if (requeued > 0) {
+      logger.warn('Requeued stale verification jobs', { requeued });
+    }
+  } catch (error) {
+    logger.error('Requeueing stale verification jobs failed:', error);
+  }
+}
+
+async function processNext() {
+  let claimed;
+  try {
+    claimed = await verificationService.dequeueVerification();
+  } catch (error) {
+    // Unparseable jobs are dropped; nothing can be reported for them
+    logger.error('Discarding malformed verification job:', error);
+    return true;
+  }
+
+  if (!claimed) {
+    return false;
+  }
+
+  const { job, receipt } = claimed;
+
+  try {
+    const verification = await verificationService.processQueuedVerification(job);
+    logger.info('Verification completed', {
+      verificationId: verification.id,
+      isHuman: verification.isHuman,
+      samples: job.pressureData.length
+    });
+  } catch (error) {
+    logger.error('Verification failed', { verificationId: job.verificationId, error: error.message });
+  }
+
+  await verificationService.acknowledgeVerification(job, receipt);
+  return true;
+}
+
+async function run() {
+  logger.info('Verification worker started');
+
+  while (running) {
+    await requeueStale();
+    const processed = await processNext();
+    if (!processed) {
+      await sleep(config.verification.queue.pollIntervalMs);
+    }
+  }
+
+  await database.end();
+  await redisClient.quit();
+  logger.info('Verification worker stopped');
+}
+
+if (require.main === module) {
+  // Finish the current submission before exiting
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+      logger.info(`${signal} received, stopping after the current job`);
+      running = false;
+    });
+  });
+
+  run().catch(error => {
+    logger.error('Verification worker crashed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  processNext,
+  requeueStale
+};
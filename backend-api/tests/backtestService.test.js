@@ -0,0 +1,54 @@
+jest.mock('../src/database/database', () => {
+  const database = jest.fn();
+  database.raw = jest.fn();
+  database.end = jest.fn();
+  return database;
+});
+jest.mock('../src/database/connection', () => jest.fn());
+jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis());
+
+const database = require('../src/database/database');
+const backtestService = require('../src/services/backtestService');
+const { humanSubmission } = require('./helpers/humanTraces');
+const { generatePattern } = require('../src/utils/challengePatterns');
+
+function storedRow(i) {
+  const pattern = generatePattern('pressure_pattern', 5);
+  const submission = humanSubmission(pattern, i + 1);
+  return {
+    id: `verification-${i}`,
+    is_human: true,
+    confidence: '0.9',
+    detection_method: submission.detectionMethod,
+    submitted_at: new Date(),
+    analysis_details: null,
+    server_elapsed_ms: null,
+    pressure_samples: submission.pressureData,
+    motion_samples: submission.motionData,
+    device_info: submission.deviceInfo,
+    challenge_type: 'pressure_pattern',
+    challenge_difficulty: 'medium',
+    challenge_duration: 5,
+    expected_pattern: pattern,
+    challenge_config: null
+  };
+}
+
+describe('backtestService.run', () => {
+  it('lets other work run while it replays', async () => {
+    const rows = Array.from({ length: 30 }, (_, i) => storedRow(i));
+    database.raw.mockResolvedValueOnce({ rows });
+
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 0);
+    const report = await backtestService.run(backtestService.createCandidate(), {
+      from: new Date(Date.now() - 60000),
+      to: new Date(),
+      limit: 100
+    });
+    clearInterval(interval);
+
+    expect(report.replayed).toBe(30);
+    expect(ticks).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,23 @@
+const benchmarkService = require('../src/services/benchmarkService');
+
+describe('benchmarkService', () => {
+  // Small but fixed sample of every attack family, scored with the shipped defaults
+  const report = benchmarkService.run(benchmarkService.createCandidate(), { count: 20, seed: 1 });
+
+  it('detects every attack family with the default config', () => {
+    expect(report.evading).toEqual([]);
+    Object.values(report.families)
+      .filter(stats => stats.detectionRate !== null)
+      .forEach(stats => expect(stats.detectionRate).toBeGreaterThan(0.5));
+  });
+
+  it('rejects every timer-regular trace', () => {
+    expect(report.families.perfectInterval.detectionRate).toBe(1);
+  });
+
+  it('has no mean confidence for a family answered only with insufficient_sensor', () => {
+    expect(report.families.constantPointer.scored).toBe(0);
+    expect(report.families.constantPointer.meanConfidence).toBeNull();
+    expect(report.families.gaussianHuman.meanConfidence).toBeGreaterThan(0);
+  });
+});
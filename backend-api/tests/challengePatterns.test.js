@@ -0,0 +1,44 @@
+const { scorePattern } = require('../src/utils/challengePatterns');
+
+// Ease-out ramp from 20% to 80% over 4 s, as generatePressureRamp issues it
+function rampPattern() {
+  const profile = [];
+  for (let i = 0; i <= 10; i++) {
+    const t = i / 10;
+    profile.push({ t, pressure: Math.round((0.2 + 0.6 * Math.pow(t, 0.5)) * 100) / 100 });
+  }
+  return { kind: 'pressure_ramp', startPressure: 0.2, endPressure: 0.8, curve: 0.5, rampMs: 4000, profile };
+}
+
+// Follows the ramp with a small wobble, then lifts the finger over 300 ms
+function rampAndRelease(rampMs = 4000, releaseMs = 300) {
+  const pressureData = [];
+  for (let timestamp = 0; timestamp <= rampMs + releaseMs; timestamp += 16) {
+    const ramp = 0.2 + 0.6 * Math.pow(Math.min(1, timestamp / rampMs), 0.5);
+    const wobble = 0.01 * Math.sin(timestamp / 90);
+    const release = timestamp > rampMs ? 1 - (timestamp - rampMs) / releaseMs : 1;
+    pressureData.push({ timestamp, pressure: Math.max(0, (ramp + wobble) * release) });
+  }
+  return pressureData;
+}
+
+describe('challengePatterns', () => {
+  describe('scorePattern for a pressure ramp', () => {
+    it('scores a ramp followed by the finger release on the ramp alone', () => {
+      const result = scorePattern(rampPattern(), rampAndRelease());
+
+      expect(result.matched).toBe(true);
+      // The challenge thresholds for progressive_pressure start at 0.8 and 0.9
+      expect(result.metrics.rampConsistency).toBeGreaterThan(0.95);
+      expect(result.metrics.finalPressureRatio).toBeGreaterThan(0.95);
+      expect(result.observed.rampMs).toBeGreaterThan(3600);
+      expect(result.observed.rampMs).toBeLessThanOrEqual(4000);
+    });
+
+    it('still penalizes a ramp that stops well short of the target duration', () => {
+      const result = scorePattern(rampPattern(), rampAndRelease(2000));
+
+      expect(result.metrics.durationAccuracy).toBeLessThan(0.6);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../src/database/connection', () => jest.fn());
+jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis());
+jest.mock('../src/services/webhookService', () => ({ emit: jest.fn() }));
+
+const challengeService = require('../src/services/challengeService');
+const HumanPatternAnalyzer = require('../src/services/humanPatternAnalyzer');
+const { humanSubmission } = require('./helpers/humanTraces');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Fixed patterns in the ranges generatePattern draws from, so the traces are reproducible
+const PATTERNS = {
+  pressure_pattern: { kind: 'hold', targetPressure: 0.35, tolerance: 0.1, holdMs: 3500 },
+  rhythm_test: { kind: 'tap_rhythm', taps: 4, intervals: [400, 1000, 450], toleranceMs: 150 },
+  sustained_pressure: { kind: 'hold', targetPressure: 0.45, tolerance: 0.1, holdMs: 8500 },
+  progressive_pressure: {
+    kind: 'pressure_ramp',
+    startPressure: 0.15,
+    endPressure: 0.75,
+    curve: 2,
+    rampMs: 5000,
+    profile: Array.from({ length: 11 }, (_, i) => ({
+      t: i / 10,
+      pressure: Math.round((0.15 + 0.6 * Math.pow(i / 10, 2)) * 100) / 100
+    }))
+  }
+};
+
+describe('challengeService', () => {
+  describe('generateThresholds', () => {
+    it('raises min thresholds and lowers max thresholds as difficulty increases', () => {
+      const [easy, medium, hard] = DIFFICULTIES.map(difficulty =>
+        challengeService.generateThresholds('pressure_pattern', difficulty));
+
+      expect(easy.consistencyThreshold).toBeLessThan(medium.consistencyThreshold);
+      expect(medium.consistencyThreshold).toBeLessThan(hard.consistencyThreshold);
+      expect(easy.maxVariance).toBeGreaterThan(medium.maxVariance);
+      expect(medium.maxVariance).toBeGreaterThan(hard.maxVariance);
+      // A min-variance threshold above the max would reject every trace
+      expect(hard.minVariance).toBeLessThan(hard.maxVariance);
+    });
+
+    it('does not share threshold objects between calls', () => {
+      const hard = challengeService.generateThresholds('rhythm_test', 'hard');
+      const medium = challengeService.generateThresholds('rhythm_test', 'medium');
+
+      expect(medium.timingAccuracy).toBe(0.7);
+      expect(hard.timingAccuracy).toBeGreaterThan(medium.timingAccuracy);
+    });
+
+    describe.each(Object.keys(PATTERNS))('%s', (type) => {
+      const analyzer = new HumanPatternAnalyzer();
+
+      it.each(DIFFICULTIES)('is met by human traces on %s', (difficulty) => {
+        const duration = challengeService.challengeTypes[type].defaultDuration;
+        const challengeConfig = challengeService.generateChallengeConfig(type, difficulty, duration);
+
+        for (let seed = 1; seed <= 5; seed++) {
+          const result = analyzer.analyzePattern({
+            ...humanSubmission(PATTERNS[type], seed),
+            challengeType: type,
+            expectedPattern: PATTERNS[type],
+            challengeConfig
+          });
+
+          const failed = result.analysis.thresholds.checks.filter(check => !check.passed);
+          expect({ seed, failed }).toEqual({ seed, failed: [] });
+        }
+      });
+    });
+  });
+});
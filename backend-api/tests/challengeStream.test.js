@@ -0,0 +1,81 @@
+jest.mock('../src/services/challengeService', () => ({
+  challengeTypes: { pressure_pattern: { requiredSamples: 20 } },
+  getChallenge: jest.fn(),
+  isValidStreamToken: jest.fn(() => true)
+}));
+jest.mock('../src/services/verificationService', () => ({
+  submitVerification: jest.fn()
+}));
+
+const http = require('http');
+const WebSocket = require('ws');
+const challengeService = require('../src/services/challengeService');
+const { attachChallengeStream } = require('../src/websocket/challengeStream');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+let server;
+let wss;
+let port;
+
+function pendingChallenge(id) {
+  return {
+    id,
+    type: 'pressure_pattern',
+    status: 'pending',
+    duration: 5,
+    expiresAt: new Date(Date.now() + 60000).toISOString()
+  };
+}
+
+// Open a stream and resolve once the server has sent its ready frame
+function connect(challengeId) {
+  challengeService.getChallenge.mockResolvedValueOnce(pendingChallenge(challengeId));
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/challenge/${challengeId}?token=stream-token`);
+  return new Promise((resolve, reject) => {
+    ws.once('message', (raw) => resolve({ ws, message: JSON.parse(raw.toString()) }));
+    ws.once('error', reject);
+  });
+}
+
+function closed(ws) {
+  return new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+}
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => res.end('ok'));
+  wss = attachChallengeStream(server, logger);
+  server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll((done) => {
+  wss.close();
+  server.close(done);
+});
+
+describe('challenge stream', () => {
+  test('terminates a socket that sends a frame over maxPayload and keeps serving', async () => {
+    const first = await connect('00000000-0000-4000-8000-000000000001');
+    expect(first.message.type).toBe('ready');
+
+    const closing = closed(first.ws);
+    first.ws.on('error', () => {});
+    first.ws.send(Buffer.alloc(1024 * 1024 + 1));
+    const code = await closing;
+
+    expect(code).not.toBe(1000);
+    expect(logger.warn).toHaveBeenCalledWith('Challenge stream socket error:', expect.objectContaining({
+      challengeId: '00000000-0000-4000-8000-000000000001'
+    }));
+
+    // The process is still up and the challenge's stream slot was released
+    const second = await connect('00000000-0000-4000-8000-000000000001');
+    expect(second.message.type).toBe('ready');
+    const secondClosed = closed(second.ws);
+    second.ws.close();
+    await secondClosed;
+  });
+});
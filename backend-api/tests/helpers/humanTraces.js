@@ -0,0 +1,89 @@
+const { createSeededRandom, gaussian } = require('../../src/utils/seededRandom');
+
+const MAC_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+function round(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+}
+
+function smoothstep(x) {
+  const clamped = Math.min(1, Math.max(0, x));
+  return clamped * clamped * (3 - 2 * clamped);
+}
+
+/**
+ * Force Touch submission of a person following `pattern` (from generatePattern): sample
+ * intervals jitter around 16 ms, pressure drifts slowly, carries an ~9.5 Hz tremor and
+ * misses the target level a little, presses ease in and the finger lifts at the end.
+ */
+function humanSubmission(pattern, seed = 1) {
+  const random = createSeededRandom(seed);
+  // Per-trace offsets: nobody hits the target level or the beat exactly
+  const levelError = gaussian(random) * 0.02;
+  const timeScale = 1 + gaussian(random) * 0.04;
+  const tremorHz = 9 + random();
+  const pressureAt = pressureProfile(pattern, random, { levelError, timeScale });
+
+  const pressureData = [];
+  let drift = 0;
+  for (let time = 0; time <= pressureAt.durationMs; time += Math.max(8, 16 + gaussian(random) * 2)) {
+    const base = pressureAt(time);
+    drift = drift * 0.97 + gaussian(random) * 0.004;
+    const pressure = base > 0.02
+      ? base + drift + 0.006 * Math.sin(2 * Math.PI * tremorHz * time / 1000) + gaussian(random) * 0.003
+      : 0;
+    pressureData.push({ timestamp: Math.round(time * 10) / 10, pressure: round(pressure) });
+  }
+
+  return {
+    pressureData,
+    motionData: [],
+    deviceInfo: { userAgent: MAC_USER_AGENT, browserSupport: ['forceTouch'] },
+    detectionMethod: 'forceTouch'
+  };
+}
+
+function pressureProfile(pattern, random, { levelError, timeScale }) {
+  switch (pattern.kind) {
+    case 'hold': {
+      const level = pattern.targetPressure + levelError;
+      const holdMs = pattern.holdMs * timeScale;
+      const profile = time => level * smoothstep(time / 250) * smoothstep((holdMs - time) / 200);
+      profile.durationMs = holdMs;
+      return profile;
+    }
+    case 'pressure_ramp': {
+      const rampMs = pattern.rampMs * timeScale;
+      const range = pattern.endPressure - pattern.startPressure;
+      const profile = (time) => {
+        if (time <= rampMs) {
+          const ramp = pattern.startPressure + range * Math.pow(time / rampMs, pattern.curve) + levelError;
+          return ramp * smoothstep(time / 150);
+        }
+        // Release after the ramp
+        return (pattern.endPressure + levelError) * smoothstep((rampMs + 250 - time) / 250);
+      };
+      profile.durationMs = rampMs + 300;
+      return profile;
+    }
+    case 'tap_rhythm': {
+      const starts = [300];
+      pattern.intervals.forEach((interval) => {
+        starts.push(starts[starts.length - 1] + interval * timeScale + gaussian(random) * 30);
+      });
+      const peaks = starts.map(() => 0.45 + random() * 0.2);
+      const profile = (time) => {
+        const i = starts.findIndex(start => time >= start && time < start + 140);
+        return i === -1 ? 0 : peaks[i] * Math.sin(Math.PI * (time - starts[i]) / 140);
+      };
+      profile.durationMs = starts[starts.length - 1] + 400;
+      return profile;
+    }
+    default:
+      throw new Error(`No human trace for pattern kind: ${pattern.kind}`);
+  }
+}
+
+module.exports = {
+  humanSubmission
+};
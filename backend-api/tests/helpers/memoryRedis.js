@@ -0,0 +1,150 @@
+/**
+ * In-memory stand-in for src/cache/redis.js, covering the calls the tested services make.
+ * Use with jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis()).
+ * Expiry is not simulated.
+ */
+
+function parseScore(value) {
+  if (value === '+inf') return Infinity;
+  if (value === '-inf') return -Infinity;
+  return Number(value);
+}
+
+function createMemoryRedis() {
+  const strings = new Map();
+  const sortedSets = new Map();
+  const lists = new Map();
+  const hashes = new Map();
+  const published = [];
+
+  const sortedSet = key => {
+    if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+    return sortedSets.get(key);
+  };
+
+  const list = key => {
+    if (!lists.has(key)) lists.set(key, []);
+    return lists.get(key);
+  };
+
+  const hash = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    // Messages sent with publish, as { channel, message }
+    published,
+
+    async get(key) {
+      return strings.has(key) ? strings.get(key) : null;
+    },
+
+    async setEx(key, seconds, value) {
+      strings.set(key, value);
+      return 'OK';
+    },
+
+    async del(key) {
+      return strings.delete(key) ? 1 : 0;
+    },
+
+    async expire() {
+      return true;
+    },
+
+    async zAdd(key, score, member) {
+      sortedSet(key).set(member, score);
+      return 1;
+    },
+
+    async zRevRangeByScore(key, max, min, count) {
+      return [...sortedSet(key).entries()]
+        .filter(([, score]) => score <= parseScore(max) && score >= parseScore(min))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([member]) => member);
+    },
+
+    async zRemRangeByScore(key, min, max) {
+      let removed = 0;
+      sortedSet(key).forEach((score, member) => {
+        if (score >= parseScore(min) && score <= parseScore(max)) {
+          sortedSet(key).delete(member);
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    async hSet(key, field, value) {
+      hash(key).set(field, value);
+      return 1;
+    },
+
+    async hDel(key, field) {
+      return hash(key).delete(field) ? 1 : 0;
+    },
+
+    async hGetAll(key) {
+      return Object.fromEntries(hash(key));
+    },
+
+    async lPush(key, ...values) {
+      list(key).unshift(...values.reverse());
+      return list(key).length;
+    },
+
+    async rPush(key, ...values) {
+      list(key).push(...values);
+      return list(key).length;
+    },
+
+    async lMove(source, destination, sourceSide, destinationSide) {
+      const from = list(source);
+      if (from.length === 0) return null;
+
+      const value = sourceSide === 'RIGHT' ? from.pop() : from.shift();
+      if (destinationSide === 'LEFT') list(destination).unshift(value);
+      else list(destination).push(value);
+      return value;
+    },
+
+    async lRem(key, count, value) {
+      const values = list(key);
+      let removed = 0;
+      for (let i = 0; i < values.length && (count === 0 || removed < count); i++) {
+        if (values[i] === value) {
+          values.splice(i--, 1);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async lRange(key, start, stop) {
+      const values = list(key);
+      return values.slice(start, stop < 0 ? values.length + stop + 1 : stop + 1);
+    },
+
+    async publish(channel, message) {
+      published.push({ channel, message });
+      return 0;
+    },
+
+    async quit() {
+      return 'OK';
+    },
+
+    async flushDb() {
+      strings.clear();
+      sortedSets.clear();
+      lists.clear();
+      hashes.clear();
+      published.length = 0;
+      return 'OK';
+    }
+  };
+}
+
+module.exports = { createMemoryRedis };
@@ -0,0 +1,107 @@
+const HumanPatternAnalyzer = require('../src/services/humanPatternAnalyzer');
+const { linearRamp, perfectInterval } = require('../src/utils/botTraces');
+const { createSeededRandom } = require('../src/utils/seededRandom');
+const { humanSubmission } = require('./helpers/humanTraces');
+
+const RHYTHM = { kind: 'tap_rhythm', taps: 4, intervals: [350, 900, 400], toleranceMs: 150 };
+
+describe('HumanPatternAnalyzer', () => {
+  const analyzer = new HumanPatternAnalyzer();
+
+  describe('analyzeTraceIntegrity', () => {
+    // An 8 s rhythm_test whose taps take under 2 s
+    const challengeConfig = { duration: 8 };
+
+    it('measures the span against the target pattern rather than the challenge duration', () => {
+      const { pressureData } = humanSubmission(RHYTHM, 1);
+
+      const result = analyzer.analyzeTraceIntegrity(pressureData, analyzer.browserPatterns.forceTouch, challengeConfig, RHYTHM, null);
+
+      expect(result.characteristics.expectedSpanMs).toBe(1650);
+      expect(result.reasonCodes).not.toContain('DURATION_MISMATCH');
+    });
+
+    it('still flags a trace far shorter than the pattern', () => {
+      const pressureData = Array.from({ length: 30 }, (_, i) => ({ timestamp: i * 16, pressure: 0.4 }));
+
+      const result = analyzer.analyzeTraceIntegrity(pressureData, analyzer.browserPatterns.forceTouch, challengeConfig, RHYTHM, null);
+
+      expect(result.reasonCodes).toContain('DURATION_MISMATCH');
+    });
+
+    it('falls back to the challenge duration without a pattern', () => {
+      const { pressureData } = humanSubmission(RHYTHM, 1);
+
+      const result = analyzer.analyzeTraceIntegrity(pressureData, analyzer.browserPatterns.forceTouch, challengeConfig, null, null);
+
+      expect(result.characteristics.expectedSpanMs).toBe(8000);
+      expect(result.reasonCodes).toContain('DURATION_MISMATCH');
+    });
+  });
+
+  describe('mechanical signatures', () => {
+    it('rejects timer-regular sampling whatever the confidence', () => {
+      const random = createSeededRandom(7);
+
+      for (let i = 0; i < 10; i++) {
+        const result = analyzer.analyzePattern(perfectInterval(random));
+
+        expect(result.reasonCodes).toContain('TIMING_TOO_REGULAR');
+        expect(result.analysis.composite.rejectedBy).toEqual(['TIMING_TOO_REGULAR']);
+        expect(result.isHuman).toBe(false);
+      }
+    });
+
+    it('accepts a human press that only carries soft reason codes', () => {
+      const pattern = { kind: 'hold', targetPressure: 0.4, tolerance: 0.1, holdMs: 3500 };
+      const result = analyzer.analyzePattern(humanSubmission(pattern, 3));
+
+      expect(result.analysis.composite.rejectedBy).toEqual([]);
+      expect(result.isHuman).toBe(true);
+    });
+
+    it('flags linear ramps at the 0.995 linearity threshold, with or without timing jitter', () => {
+      const random = createSeededRandom(11);
+
+      [0, 3].forEach((jitterMs) => {
+        const result = analyzer.analyzePattern(linearRamp(random, { jitterMs }));
+
+        expect(analyzer.patterns.linearProgression.threshold).toBe(0.995);
+        expect(result.analysis.pressure.characteristics.rampLinearity).toBeGreaterThanOrEqual(0.995);
+        expect(result.reasonCodes).toContain('LINEAR_PRESSURE_RAMP');
+      });
+    });
+  });
+
+  describe('browser boost', () => {
+    const pattern = { kind: 'hold', targetPressure: 0.4, tolerance: 0.1, holdMs: 3500 };
+
+    function analyzeAs(detectionMethod, browserSupport) {
+      const submission = humanSubmission(pattern, 2);
+      return analyzer.analyzePattern({
+        ...submission,
+        deviceInfo: { ...submission.deviceInfo, browserSupport },
+        detectionMethod
+      });
+    }
+
+    it('boosts a method whose claim was checked', () => {
+      const result = analyzeAs('pointerEvents', ['pointerEvents']);
+
+      expect(result.analysis.method.verified).toBe(true);
+      expect(result.analysis.composite.browserBoost).toBe(analyzer.browserPatterns.pointerEvents.confidenceBoost);
+    });
+
+    it.each([
+      ['touchEvents', ['touchEvents']],
+      ['unknown', []]
+    ])('gives %s no boost, as no profile verifies it', (detectionMethod, browserSupport) => {
+      const result = analyzeAs(detectionMethod, browserSupport);
+
+      expect(result.analysis.method.verified).toBe(false);
+      expect(result.analysis.method.consistent).toBe(true);
+      expect(result.analysis.composite.browserBoost).toBe(0);
+      expect(result.confidence).toBeCloseTo(result.analysis.composite.baseConfidence, 9);
+    });
+  });
+});
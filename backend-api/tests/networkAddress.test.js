@@ -0,0 +1,62 @@
+const dns = require('dns');
+const { isPublicAddress, assertPublicUrl, publicOnlyLookup } = require('../src/utils/networkAddress');
+
+describe('networkAddress', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('isPublicAddress', () => {
+    it.each([
+      '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fe80::1', 'fd12:3456::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-ip'
+    ])('refuses %s', (address) => {
+      expect(isPublicAddress(address)).toBe(false);
+    });
+
+    it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('allows %s', (address) => {
+      expect(isPublicAddress(address)).toBe(true);
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    it.each([
+      'http://127.0.0.1:8080/hook',
+      'http://[::1]/hook',
+      'http://localhost/hook',
+      'http://169.254.169.254/latest/meta-data/'
+    ])('rejects %s', async (url) => {
+      await expect(assertPublicUrl(url)).rejects.toMatchObject({ name: 'BlockedAddressError' });
+    });
+
+    it('rejects a host with any private address among its records', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 }
+      ]);
+
+      await expect(assertPublicUrl('https://hooks.example.com/x')).rejects.toThrow('10.0.0.5');
+    });
+
+    it('accepts a host that only resolves to public addresses', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      await expect(assertPublicUrl('https://hooks.example.com/x')).resolves.toEqual(['93.184.216.34']);
+    });
+  });
+
+  describe('publicOnlyLookup', () => {
+    it('refuses a private address at connect time, for single and all-address lookups', (done) => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+        else callback(null, '127.0.0.1', 4);
+      });
+
+      publicOnlyLookup('rebind.example.com', {}, (error) => {
+        expect(error.name).toBe('BlockedAddressError');
+        publicOnlyLookup('rebind.example.com', { all: true }, (allError) => {
+          expect(allError.name).toBe('BlockedAddressError');
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis());
+
+const config = require('../src/config');
+const redisClient = require('../src/cache/redis');
+const replayDetector = require('../src/services/replayDetector');
+const { createSeededRandom, gaussian } = require('../src/utils/seededRandom');
+const {
+  FINGERPRINT_POINTS,
+  createFingerprint,
+  compareFingerprints,
+  lshBuckets
+} = require('../src/utils/traceFingerprint');
+
+/**
+ * A press with a wobble whose shape depends on the seed, sampled every `intervalMs`
+ */
+function pressTrace(seed, { intervalMs = 16, durationMs = 2000, scale = 1 } = {}) {
+  const random = createSeededRandom(seed);
+  const phase = random() * Math.PI * 2;
+  const wobble = 2 + random() * 4;
+  const samples = [];
+
+  for (let t = 0; t <= durationMs; t += intervalMs) {
+    const envelope = Math.sin((Math.PI * t) / durationMs);
+    const pressure = envelope * (0.5 + 0.15 * Math.sin(phase + (wobble * Math.PI * t) / durationMs));
+    samples.push({ timestamp: t, pressure: pressure * scale });
+  }
+  return samples;
+}
+
+/**
+ * The trace as a replay bot would resubmit it: small timing and pressure jitter
+ */
+function replayOf(samples, seed) {
+  const random = createSeededRandom(seed);
+  return samples.map(sample => ({
+    timestamp: sample.timestamp + gaussian(random) * 1.5,
+    pressure: Math.max(0, sample.pressure + gaussian(random) * 0.003)
+  })).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+describe('traceFingerprint', () => {
+  it('needs at least five samples over a non-zero duration', () => {
+    expect(createFingerprint(pressTrace(1).slice(0, 4))).toBeNull();
+    expect(createFingerprint([1, 2, 3, 4, 5].map(() => ({ timestamp: 100, pressure: 0.5 })))).toBeNull();
+  });
+
+  it('has no fingerprint for a constant pressure', () => {
+    expect(createFingerprint([0, 10, 20, 30, 40].map(timestamp => ({ timestamp, pressure: 0.5 })))).toBeNull();
+  });
+
+  it('is normalized to a fixed length', () => {
+    const { vector, duration, sampleCount } = createFingerprint(pressTrace(1));
+
+    expect(vector).toHaveLength(FINGERPRINT_POINTS);
+    expect(Math.min(...vector)).toBe(0);
+    expect(Math.max(...vector)).toBe(1);
+    expect(duration).toBe(2000);
+    expect(sampleCount).toBe(126);
+  });
+
+  it('matches a jittered, rescaled replay and not a different press', () => {
+    const original = createFingerprint(pressTrace(1));
+    const replay = createFingerprint(replayOf(pressTrace(1, { scale: 0.8 }), 7));
+    const other = createFingerprint(pressTrace(2));
+
+    expect(compareFingerprints(original, replay)).toBeLessThan(0.02);
+    expect(compareFingerprints(original, other)).toBeGreaterThan(0.02);
+  });
+
+  it('does not compare traces of clearly different length or sample count', () => {
+    const original = createFingerprint(pressTrace(1));
+
+    expect(compareFingerprints(original, createFingerprint(pressTrace(1, { durationMs: 3000 })))).toBeNull();
+    expect(compareFingerprints(original, createFingerprint(pressTrace(1, { intervalMs: 8 })))).toBeNull();
+  });
+
+  it('puts a near duplicate in at least one shared LSH bucket', () => {
+    const original = lshBuckets(createFingerprint(pressTrace(1)).vector, 0.02);
+    const replay = lshBuckets(createFingerprint(replayOf(pressTrace(1), 7)).vector, 0.02);
+
+    expect(original).toHaveLength(replay.length);
+    expect(original.some((bucket, table) => bucket === replay[table])).toBe(true);
+  });
+});
+
+describe('replayDetector', () => {
+  const replayConfig = { ...config.analyzer.replay };
+
+  beforeEach(async () => {
+    await redisClient.flushDb();
+    Object.assign(config.analyzer.replay, replayConfig);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds a replay of a trace indexed under another API key without disclosing its id', async () => {
+    await replayDetector.index('verification-1', pressTrace(1), 'key-a');
+
+    const result = await replayDetector.check(replayOf(pressTrace(1), 7), 'key-b');
+
+    expect(result).toMatchObject({ checked: true, matched: true, sameApiKey: false, matchedVerificationId: null });
+    expect(result.distance).toBeLessThanOrEqual(config.analyzer.replay.maxDistance);
+    expect(result.matchedAt).toEqual(expect.any(String));
+  });
+
+  it('discloses the matched verification to the same API key', async () => {
+    await replayDetector.index('verification-1', pressTrace(1), 'key-a');
+
+    const result = await replayDetector.check(replayOf(pressTrace(1), 7), 'key-a');
+
+    expect(result).toMatchObject({ matched: true, sameApiKey: true, matchedVerificationId: 'verification-1' });
+  });
+
+  it('does not match an unrelated trace', async () => {
+    await replayDetector.index('verification-1', pressTrace(1), 'key-a');
+
+    const result = await replayDetector.check(pressTrace(2), 'key-a');
+
+    expect(result.checked).toBe(true);
+    expect(result.matched).toBe(false);
+    expect(result.matchedAt).toBeNull();
+  });
+
+  it('ignores traces indexed before the window', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - (config.analyzer.replay.windowHours + 1) * 60 * 60 * 1000);
+    await replayDetector.index('verification-1', pressTrace(1), 'key-a');
+    Date.now.mockRestore();
+
+    const result = await replayDetector.check(replayOf(pressTrace(1), 7), 'key-a');
+
+    expect(result).toMatchObject({ checked: true, matched: false, candidates: 0 });
+  });
+
+  it('skips the check when disabled or the trace cannot be fingerprinted', async () => {
+    expect(await replayDetector.check(pressTrace(1).slice(0, 3), 'key-a')).toEqual({ checked: false });
+
+    config.analyzer.replay.enabled = false;
+    expect(await replayDetector.check(pressTrace(1), 'key-a')).toEqual({ checked: false });
+  });
+
+  it('skips the check when Redis fails', async () => {
+    jest.spyOn(redisClient, 'zRevRangeByScore').mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await replayDetector.check(pressTrace(1), 'key-a')).toEqual({ checked: false });
+  });
+});
@@ -0,0 +1,4 @@
+// The config module refuses to load without a token secret; tests never touch a real database or Redis
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
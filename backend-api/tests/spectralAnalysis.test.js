@@ -0,0 +1,150 @@
+const HumanPatternAnalyzer = require('../src/services/humanPatternAnalyzer');
+const { createSeededRandom, gaussian } = require('../src/utils/seededRandom');
+const {
+  DEFAULT_SEGMENT_LENGTH,
+  fft,
+  welchSpectrum,
+  bandPower,
+  bandDensity,
+  spectralEntropy
+} = require('../src/utils/spectralAnalysis');
+
+function sine(frequencyHz, sampleRateHz, count, amplitude = 1) {
+  return Array.from({ length: count }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequencyHz * i) / sampleRateHz));
+}
+
+function whiteNoise(seed, count, sigma = 1) {
+  const random = createSeededRandom(seed);
+  return Array.from({ length: count }, () => gaussian(random) * sigma);
+}
+
+function peakFrequency(spectrum) {
+  let peak = 0;
+  spectrum.power.forEach((p, k) => {
+    if (p > spectrum.power[peak]) peak = k;
+  });
+  return spectrum.frequencies[peak];
+}
+
+describe('spectralAnalysis', () => {
+  describe('fft', () => {
+    it('matches a direct DFT', () => {
+      const input = whiteNoise(3, 16);
+      const re = [...input];
+      const im = new Array(16).fill(0);
+      fft(re, im);
+
+      for (let k = 0; k < 16; k++) {
+        let expectedRe = 0;
+        let expectedIm = 0;
+        input.forEach((x, n) => {
+          expectedRe += x * Math.cos((-2 * Math.PI * k * n) / 16);
+          expectedIm += x * Math.sin((-2 * Math.PI * k * n) / 16);
+        });
+        expect(re[k]).toBeCloseTo(expectedRe, 10);
+        expect(im[k]).toBeCloseTo(expectedIm, 10);
+      }
+    });
+  });
+
+  describe('welchSpectrum', () => {
+    it('needs at least one segment of samples', () => {
+      expect(welchSpectrum(new Array(DEFAULT_SEGMENT_LENGTH - 1).fill(0), 60)).toBeNull();
+    });
+
+    it('has one bin per sampleRate / segmentLength up to Nyquist', () => {
+      const spectrum = welchSpectrum(whiteNoise(1, 256), 64);
+
+      expect(spectrum.frequencies).toHaveLength(DEFAULT_SEGMENT_LENGTH / 2 + 1);
+      expect(spectrum.frequencies[1]).toBe(1);
+      expect(spectrum.frequencies[spectrum.frequencies.length - 1]).toBe(32);
+      // 50% overlap: 256 samples hold 7 segments of 64
+      expect(spectrum.segments).toBe(7);
+    });
+
+    it('peaks at the frequency of a sine', () => {
+      expect(peakFrequency(welchSpectrum(sine(10, 64, 512), 64))).toBe(10);
+      expect(peakFrequency(welchSpectrum(sine(5, 64, 512), 64))).toBe(5);
+    });
+
+    it('integrates to the variance of white noise', () => {
+      const spectrum = welchSpectrum(whiteNoise(2, 4096, 0.1), 60);
+      const binWidth = spectrum.frequencies[1];
+      const total = spectrum.power.reduce((sum, p) => sum + p * binWidth, 0);
+
+      expect(total).toBeGreaterThan(0.01 * 0.85);
+      expect(total).toBeLessThan(0.01 * 1.15);
+    });
+
+    it('removes each segment\'s linear trend', () => {
+      const ramp = Array.from({ length: 256 }, (_, i) => 0.1 + i * 0.003);
+      const spectrum = welchSpectrum(ramp, 60);
+
+      expect(Math.max(...spectrum.power)).toBeLessThan(1e-20);
+    });
+  });
+
+  describe('band measures', () => {
+    const noise = whiteNoise(4, 512, 0.01);
+    const spectrum = welchSpectrum(sine(10, 64, 512).map((x, i) => x + noise[i]), 64);
+
+    it('sums and averages the power inside a band', () => {
+      const bins = spectrum.frequencies.filter(f => f >= 8 && f <= 12).length;
+
+      expect(bandPower(spectrum, 8, 12)).toBeGreaterThan(bandPower(spectrum, 20, 24));
+      expect(bandDensity(spectrum, 8, 12)).toBeCloseTo(bandPower(spectrum, 8, 12) / bins, 12);
+    });
+
+    it('has no density for a band without bins', () => {
+      expect(bandDensity(spectrum, 10.2, 10.4)).toBeNull();
+    });
+
+    it('rates white noise near 1 and a pure tone near 0 for entropy', () => {
+      expect(spectralEntropy(welchSpectrum(whiteNoise(5, 1024), 64), 1, 32)).toBeGreaterThan(0.9);
+      expect(spectralEntropy(welchSpectrum(sine(10, 64, 1024), 64), 1, 32)).toBeLessThan(0.3);
+    });
+
+    it('has no entropy without power', () => {
+      expect(spectralEntropy(welchSpectrum(new Array(128).fill(0.5), 64), 1, 32)).toBeNull();
+    });
+  });
+});
+
+describe('HumanPatternAnalyzer.analyzeSpectralSignature', () => {
+  const analyzer = new HumanPatternAnalyzer();
+  const sampleRateHz = 60;
+
+  function trace(pressures) {
+    return pressures.map((pressure, i) => ({ timestamp: (i * 1000) / sampleRateHz, pressure }));
+  }
+
+  it('scores a press with physiological tremor', () => {
+    const random = createSeededRandom(6);
+    const pressures = Array.from({ length: 240 }, (_, i) => {
+      const t = i / sampleRateHz;
+      // Slow press with a 9.5 Hz tremor and sensor noise
+      return 0.5 + 0.1 * Math.sin(2 * Math.PI * 0.4 * t) + 0.01 * Math.sin(2 * Math.PI * 9.5 * t) + gaussian(random) * 0.002;
+    });
+
+    const result = analyzer.analyzeSpectralSignature(trace(pressures), sampleRateHz);
+
+    expect(result.characteristics.available).toBe(true);
+    expect(result.characteristics.tremorProminence).toBeGreaterThan(analyzer.patterns.tremor.minProminence);
+    expect(result.checks.every(check => check.passed)).toBe(true);
+    expect(result.score).toBeGreaterThan(0.9);
+  });
+
+  it('gives no credit to a perfectly linear ramp', () => {
+    const pressures = Array.from({ length: 240 }, (_, i) => 0.1 + i * 0.003);
+
+    const result = analyzer.analyzeSpectralSignature(trace(pressures), sampleRateHz);
+
+    expect(result.characteristics.tremorBandPower).toBeLessThan(analyzer.patterns.tremor.minPower);
+    expect(result.score).toBe(0);
+  });
+
+  it('is unavailable when the trace is too short or sampled below twice the tremor band', () => {
+    expect(analyzer.analyzeSpectralSignature(trace(new Array(30).fill(0.5)), sampleRateHz).score).toBeNull();
+    expect(analyzer.analyzeSpectralSignature(trace(new Array(240).fill(0.5)), 20).characteristics.available).toBe(false);
+  });
+});
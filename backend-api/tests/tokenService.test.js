@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const config = require('../src/config');
+const tokenService = require('../src/services/tokenService');
+
+const CLAIMS = { issuer: 'weightcha-api', subject: 'verification' };
+
+function createKey(alg, fields = {}) {
+  const { publicKey, privateKey } = alg === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ed25519');
+
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg,
+    status: 'active',
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+describe('tokenService', () => {
+  let dir;
+  let keyringFile;
+
+  function useKeyring(keys) {
+    fs.writeFileSync(keyringFile, JSON.stringify({ keys }));
+    // Drop the cached keyring so the file is read again
+    tokenService.keyring = null;
+    tokenService.keyringCheckedAt = 0;
+    config.jwt.keyringFile = keyringFile;
+  }
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weightcha-keyring-'));
+    keyringFile = path.join(dir, 'keyring.json');
+  });
+
+  afterEach(() => {
+    config.jwt.keyringFile = undefined;
+    tokenService.keyring = null;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('without a keyring', () => {
+    it('signs HS256 tokens with the shared secret', () => {
+      const token = tokenService.sign({ verificationId: 'v1' }, CLAIMS);
+
+      expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(tokenService.verify(token, CLAIMS).verificationId).toBe('v1');
+    });
+
+    it('publishes an empty key set', () => {
+      expect(tokenService.getJwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe.each(['EdDSA', 'RS256'])('with an active %s key', (alg) => {
+    let key;
+
+    beforeAll(() => {
+      key = createKey(alg);
+    });
+
+    beforeEach(() => {
+      useKeyring([key]);
+    });
+
+    it('signs with the key and its kid', () => {
+      const token = tokenService.sign({ verificationId: 'v1' }, CLAIMS);
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header.alg).toBe(alg);
+      expect(header.kid).toBe(key.kid);
+      expect(tokenService.verify(token, CLAIMS)).toMatchObject({
+        verificationId: 'v1',
+        iss: 'weightcha-api',
+        sub: 'verification'
+      });
+    });
+
+    it('rejects a tampered payload', () => {
+      const [header, , signature] = tokenService.sign({ isHuman: false }, CLAIMS).split('.');
+      const forged = Buffer.from(JSON.stringify({ isHuman: true, iss: 'weightcha-api', sub: 'verification' })).toString('base64url');
+
+      expect(() => tokenService.verify(`${header}.${forged}.${signature}`, CLAIMS)).toThrow();
+    });
+
+    it('rejects another issuer or subject', () => {
+      const token = tokenService.sign({}, { issuer: 'someone-else', subject: 'verification' });
+
+      expect(() => tokenService.verify(token, CLAIMS)).toThrow();
+    });
+
+    it('rejects an expired token', () => {
+      const token = tokenService.sign({}, { ...CLAIMS, expiresIn: '1s' });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+
+      expect(() => tokenService.verify(token, CLAIMS)).toThrow(/expired/);
+    });
+
+    it('publishes the public key as a JWK', () => {
+      const { keys } = tokenService.getJwks();
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).toMatchObject({ kid: key.kid, alg, use: 'sig' });
+      expect(keys[0].d).toBeUndefined();
+    });
+  });
+
+  describe('key rotation', () => {
+    it('signs with the newest active key', () => {
+      const older = createKey('EdDSA', { createdAt: '2026-01-01T00:00:00.000Z' });
+      const newer = createKey('EdDSA', { createdAt: '2026-02-01T00:00:00.000Z' });
+      useKeyring([older, newer]);
+
+      const { header } = jwt.decode(tokenService.sign({}, CLAIMS), { complete: true });
+      expect(header.kid).toBe(newer.kid);
+    });
+
+    it('keeps verifying with a retired key until its verifyUntil', () => {
+      const previous = createKey('EdDSA');
+      useKeyring([previous]);
+      const token = tokenService.sign({ verificationId: 'v1' }, CLAIMS);
+
+      const retired = { ...previous, status: 'retired', verifyUntil: new Date(Date.now() + 60000).toISOString() };
+      useKeyring([createKey('EdDSA'), retired]);
+      expect(tokenService.verify(token, CLAIMS).verificationId).toBe('v1');
+      expect(tokenService.getJwks().keys.map(k => k.kid)).toContain(previous.kid);
+
+      useKeyring([createKey('EdDSA'), { ...retired, verifyUntil: new Date(Date.now() - 1000).toISOString() }]);
+      expect(() => tokenService.verify(token, CLAIMS)).toThrow('Unknown signing key');
+      expect(tokenService.getJwks().keys.map(k => k.kid)).not.toContain(previous.kid);
+    });
+
+    it('rejects a kid whose algorithm does not match the keyring', () => {
+      const key = createKey('EdDSA');
+      useKeyring([key]);
+      const token = tokenService.sign({}, CLAIMS);
+
+      useKeyring([{ ...createKey('RS256'), kid: key.kid }]);
+      expect(() => tokenService.verify(token, CLAIMS)).toThrow('Unknown signing key');
+    });
+
+    it('still verifies legacy HS256 tokens', () => {
+      const legacy = jwt.sign({ verificationId: 'v1' }, config.jwt.secret, { algorithm: 'HS256', ...CLAIMS });
+      useKeyring([createKey('EdDSA')]);
+
+      expect(tokenService.verify(legacy, CLAIMS).verificationId).toBe('v1');
+    });
+
+    it('refuses to sign without an active key', () => {
+      useKeyring([{ ...createKey('EdDSA'), status: 'retired', verifyUntil: new Date(Date.now() + 60000).toISOString() }]);
+
+      expect(() => tokenService.sign({}, CLAIMS)).toThrow('Keyring has no active signing key');
+    });
+
+    it('rejects keyring entries with an unsupported algorithm', () => {
+      useKeyring([{ ...createKey('EdDSA'), alg: 'HS256' }]);
+
+      expect(() => tokenService.getSigningKey()).toThrow(/Invalid keyring entry/);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const HumanPatternAnalyzer = require('../src/services/humanPatternAnalyzer');
+const { generatePattern } = require('../src/utils/challengePatterns');
+const { readForce, interpolateAt, preprocessTrace } = require('../src/utils/tracePreprocessor');
+
+const OPTIONS = { sampleRateHz: 60, idleThreshold: 0.02 };
+const REFERENCE = { pressureMultiplier: 1 };
+
+describe('tracePreprocessor', () => {
+  describe('readForce', () => {
+    it('prefers pressure, including 0, over the legacy weight', () => {
+      expect(readForce({ pressure: 0.4, weight: 90 })).toBe(0.4);
+      expect(readForce({ pressure: 0, weight: 90 })).toBe(0);
+      expect(readForce({ weight: 40 })).toBe(0.4);
+      expect(readForce({})).toBe(0);
+    });
+  });
+
+  describe('interpolateAt', () => {
+    const samples = [
+      { timestamp: 0, value: 0 },
+      { timestamp: 10, value: 1 },
+      { timestamp: 30, value: 0 }
+    ];
+
+    it('interpolates linearly and holds the ends', () => {
+      expect(interpolateAt(samples, [-5, 0, 5, 10, 20, 40], d => d.value)).toEqual([0, 0, 0.5, 1, 0.5, 0]);
+    });
+
+    it('has no value where a neighbour has none', () => {
+      expect(interpolateAt(samples, [5, 20], d => (d.timestamp === 30 ? null : d.value))).toEqual([0.5, null]);
+    });
+  });
+
+  describe('preprocessTrace', () => {
+    it('trims idle time, keeping one idle sample on each side', () => {
+      const pressureData = [0, 10, 20, 30, 40, 50, 60, 70].map((timestamp, i) => ({
+        timestamp,
+        pressure: [0, 0, 0, 0.3, 0.5, 0.4, 0, 0][i]
+      }));
+
+      const { events, characteristics } = preprocessTrace(pressureData, REFERENCE, OPTIONS);
+
+      expect(events.map(e => e.timestamp)).toEqual([20, 30, 40, 50, 60]);
+      expect(characteristics.leadingIdleMs).toBe(20);
+      expect(characteristics.trailingIdleMs).toBe(10);
+    });
+
+    it('resamples to the configured rate', () => {
+      // 250 Hz input with jittered timestamps
+      const pressureData = Array.from({ length: 500 }, (_, i) => ({
+        timestamp: i * 4 + (i % 3),
+        pressure: 0.3 + 0.2 * Math.sin(i / 50)
+      }));
+
+      const { samples, characteristics } = preprocessTrace(pressureData, REFERENCE, OPTIONS);
+
+      expect(characteristics.sampleRateHz).toBe(60);
+      // The grid runs one step past the last event at 1997 ms
+      expect(samples).toHaveLength(Math.ceil(1997 / (1000 / 60)) + 1);
+      samples.slice(1).forEach((sample, i) => {
+        expect(sample.timestamp - samples[i].timestamp).toBeCloseTo(1000 / 60, 9);
+      });
+    });
+
+    it('keeps a release at the very end of the trace', () => {
+      // The release sample at 40 ms falls between two 60 Hz grid points
+      const pressureData = [0, 10, 20, 30, 40].map((timestamp, i) => ({ timestamp, pressure: [0, 0.5, 0.6, 0.5, 0][i] }));
+
+      const { samples } = preprocessTrace(pressureData, REFERENCE, OPTIONS);
+
+      expect(samples[samples.length - 1].timestamp).toBeGreaterThanOrEqual(40);
+      expect(samples[samples.length - 1].pressure).toBe(0);
+    });
+
+    it('lowers the rate for very long traces', () => {
+      const pressureData = Array.from({ length: 1001 }, (_, i) => ({ timestamp: i * 200, pressure: 0.5 }));
+
+      const { samples, characteristics } = preprocessTrace(pressureData, REFERENCE, OPTIONS);
+
+      expect(samples.length).toBeLessThanOrEqual(6000);
+      expect(characteristics.sampleRateHz).toBeLessThan(60);
+    });
+
+    it('scales by the device profile, clamps to 1 and keeps the unscaled trace', () => {
+      const pressureData = [0, 20, 40, 60].map((timestamp, i) => ({ timestamp, pressure: [0.2, 0.6, 0.9, 0.5][i] }));
+
+      // At 50 Hz the resampled points fall on the input timestamps
+      const trace = preprocessTrace(pressureData, { pressureMultiplier: 1.2 }, { ...OPTIONS, sampleRateHz: 50 });
+
+      expect(trace.events.map(e => e.pressure)).toEqual([0.24, 0.72, 1, 0.6].map(p => expect.closeTo(p, 10)));
+      expect(trace.rawEvents.map(e => e.pressure)).toEqual([0.2, 0.6, 0.9, 0.5]);
+      expect(trace.samples.map(s => s.pressure)).toEqual([0.24, 0.72, 1, 0.6].map(p => expect.closeTo(p, 10)));
+      expect(trace.rawSamples.map(s => s.timestamp)).toEqual(trace.samples.map(s => s.timestamp));
+      expect(trace.rawSamples.map(s => s.pressure)).toEqual([0.2, 0.6, 0.9, 0.5].map(p => expect.closeTo(p, 10)));
+      expect(trace.characteristics.peakPressure).toBe(1);
+    });
+
+    it('reads legacy weight samples and counts them', () => {
+      const pressureData = [0, 20, 40].map((timestamp, i) => ({ timestamp, weight: [20, 50, 30][i] }));
+
+      const { events, characteristics } = preprocessTrace(pressureData, REFERENCE, OPTIONS);
+
+      expect(events.map(e => e.pressure)).toEqual([0.2, 0.5, 0.3]);
+      expect(characteristics.weightOnlySamples).toBe(3);
+    });
+
+    it('resamples positions only where both neighbours have one', () => {
+      const pressureData = [
+        { timestamp: 0, pressure: 0.5, position: { x: 0, y: 0 } },
+        { timestamp: 50, pressure: 0.5, position: { x: 10, y: 20 } },
+        { timestamp: 100, pressure: 0.5 }
+      ];
+
+      const { samples } = preprocessTrace(pressureData, REFERENCE, { ...OPTIONS, sampleRateHz: 40 });
+
+      expect(samples[1].position).toEqual({ x: 5, y: 10 });
+      expect(samples[samples.length - 1].position).toBeUndefined();
+    });
+
+    it('returns empty traces when no sample has a timestamp', () => {
+      const trace = preprocessTrace([{ pressure: 0.5 }], REFERENCE, OPTIONS);
+
+      expect(trace.samples).toEqual([]);
+      expect(trace.rawSamples).toEqual([]);
+      expect(trace.characteristics).toEqual({ inputSamples: 1, outputSamples: 0 });
+    });
+  });
+});
+
+describe('HumanPatternAnalyzer target scoring', () => {
+  it('does not depend on the device pressure multiplier', () => {
+    const pattern = generatePattern('sustained_pressure', 6);
+    const pressureData = [];
+    for (let t = 0; t < pattern.holdMs; t += 16) {
+      pressureData.push({ timestamp: t, pressure: pattern.targetPressure + 0.01 * Math.sin(t / 40) });
+    }
+
+    const scores = [0.8, 1, 1.2].map(pressureMultiplier => {
+      const analyzer = new HumanPatternAnalyzer();
+      analyzer.getDeviceProfile = () => ({ name: 'test', pressureMultiplier, sensitivity: 0.8 });
+      return analyzer.analyzePattern({ pressureData, expectedPattern: pattern, detectionMethod: 'pointerEvents' }).analysis.pattern;
+    });
+
+    scores.forEach(score => {
+      expect(score.matched).toBe(true);
+      expect(score.score).toBeCloseTo(scores[1].score, 10);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis());
+jest.mock('../src/database/database', () => {
+  const database = jest.fn();
+  database.raw = jest.fn();
+  database.end = jest.fn();
+  return database;
+});
+jest.mock('../src/services/challengeService', () => ({
+  getChallenge: jest.fn(),
+  updateChallengeStatus: jest.fn()
+}));
+jest.mock('../src/services/webhookService', () => ({
+  emit: jest.fn()
+}));
+// Keep the worker's log lines out of the test output
+jest.mock('winston', () => {
+  const winston = jest.requireActual('winston');
+  class SilentConsole extends winston.transports.Console {
+    constructor(options) {
+      super({ ...options, silent: true });
+    }
+  }
+  return { ...winston, transports: { ...winston.transports, Console: SilentConsole } };
+});
+
+const config = require('../src/config');
+const redisClient = require('../src/cache/redis');
+const database = require('../src/database/database');
+const challengeService = require('../src/services/challengeService');
+const verificationService = require('../src/services/verificationService');
+const worker = require('../src/workers/verificationWorker');
+
+const QUEUE = 'verification:queue';
+const PROCESSING = 'verification:processing';
+const CLAIMS = 'verification:processing:claims';
+
+const pressureData = [0.1, 0.3, 0.5, 0.4, 0.2].map((pressure, i) => ({ timestamp: i * 16, pressure }));
+
+async function enqueue(challengeId = 'challenge-1') {
+  challengeService.getChallenge.mockResolvedValueOnce({
+    id: challengeId,
+    status: 'pending',
+    expiresAt: new Date(Date.now() + 60000)
+  });
+  return verificationService.enqueueVerification({ challengeId, pressureData, apiKeyId: 'key-1' });
+}
+
+async function status(verificationId) {
+  return JSON.parse(await redisClient.get(`verification:${verificationId}`)).status;
+}
+
+async function expireClaims() {
+  const claims = await redisClient.hGetAll(CLAIMS);
+  for (const verificationId of Object.keys(claims)) {
+    await redisClient.hSet(CLAIMS, verificationId, String(Date.now() - config.verification.queue.claimTimeoutSeconds * 1000 - 1));
+  }
+}
+
+beforeEach(async () => {
+  await redisClient.flushDb();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verification queue', () => {
+  it('hands out jobs oldest first and keeps them claimed until acknowledged', async () => {
+    const first = await enqueue('challenge-1');
+    const second = await enqueue('challenge-2');
+    expect(await status(first.id)).toBe('queued');
+
+    const claimed = await verificationService.dequeueVerification();
+
+    expect(claimed.job).toMatchObject({ verificationId: first.id, challengeId: 'challenge-1', apiKeyId: 'key-1' });
+    expect(await redisClient.lRange(QUEUE, 0, -1)).toHaveLength(1);
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([claimed.receipt]);
+    expect(Object.keys(await redisClient.hGetAll(CLAIMS))).toEqual([first.id]);
+
+    await verificationService.acknowledgeVerification(claimed.job, claimed.receipt);
+
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+    expect(await redisClient.hGetAll(CLAIMS)).toEqual({});
+    expect((await verificationService.dequeueVerification()).job.verificationId).toBe(second.id);
+  });
+
+  it('returns null when the queue is empty', async () => {
+    expect(await verificationService.dequeueVerification()).toBeNull();
+  });
+
+  it('drops a malformed job instead of leaving it claimed', async () => {
+    await redisClient.lPush(QUEUE, '{not json');
+
+    await expect(verificationService.dequeueVerification()).rejects.toThrow(SyntaxError);
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+  });
+
+  describe('requeueStaleVerifications', () => {
+    it('leaves jobs that are still within the claim timeout', async () => {
+      await enqueue();
+      await verificationService.dequeueVerification();
+
+      expect(await verificationService.requeueStaleVerifications()).toBe(0);
+      expect(await redisClient.lRange(PROCESSING, 0, -1)).toHaveLength(1);
+    });
+
+    it('puts a job held past the claim timeout back at the head of the queue', async () => {
+      const stale = await enqueue('challenge-1');
+      await enqueue('challenge-2');
+      await verificationService.dequeueVerification();
+      await expireClaims();
+
+      expect(await verificationService.requeueStaleVerifications()).toBe(1);
+
+      expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+      expect(await redisClient.hGetAll(CLAIMS)).toEqual({});
+      expect(await status(stale.id)).toBe('queued');
+
+      const { job } = await verificationService.dequeueVerification();
+      expect(job).toMatchObject({ verificationId: stale.id, attempts: 2 });
+    });
+
+    it('starts the clock for a job taken by a worker that stopped before recording its claim', async () => {
+      const queued = await enqueue();
+      await redisClient.lMove(QUEUE, PROCESSING, 'RIGHT', 'LEFT');
+
+      expect(await verificationService.requeueStaleVerifications()).toBe(0);
+      expect(Object.keys(await redisClient.hGetAll(CLAIMS))).toEqual([queued.id]);
+
+      await expireClaims();
+      expect(await verificationService.requeueStaleVerifications()).toBe(1);
+    });
+
+    it('fails the verification and its challenge after the last delivery', async () => {
+      const queued = await enqueue();
+
+      for (let delivery = 1; delivery <= 3; delivery++) {
+        await verificationService.dequeueVerification();
+        await expireClaims();
+        await verificationService.requeueStaleVerifications();
+      }
+
+      expect(await redisClient.lRange(QUEUE, 0, -1)).toEqual([]);
+      expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+      expect(await status(queued.id)).toBe('failed');
+      expect(challengeService.updateChallengeStatus).toHaveBeenCalledWith('challenge-1', 'failed');
+    });
+
+    it('forgets claims of jobs acknowledged meanwhile', async () => {
+      await redisClient.hSet(CLAIMS, 'finished', String(Date.now()));
+
+      await verificationService.requeueStaleVerifications();
+
+      expect(await redisClient.hGetAll(CLAIMS)).toEqual({});
+    });
+  });
+
+  describe('processQueuedVerification', () => {
+    it('does not analyze a redelivered job whose result was already stored', async () => {
+      const stored = { id: 'verification-1', challengeId: 'challenge-1', status: 'completed', isHuman: true };
+      database.mockReturnValue({
+        select: () => ({ where: () => ({ limit: async () => [{ id: 'verification-1' }] }) })
+      });
+      jest.spyOn(verificationService, 'getVerification').mockResolvedValue(stored);
+      const runVerification = jest.spyOn(verificationService, 'runVerification');
+
+      const result = await verificationService.processQueuedVerification({
+        verificationId: 'verification-1',
+        challengeId: 'challenge-1',
+        attempts: 2
+      });
+
+      expect(result).toBe(stored);
+      expect(runVerification).not.toHaveBeenCalled();
+      expect(redisClient.published.map(({ channel }) => channel)).toEqual(['verification:events:verification-1']);
+    });
+
+    it('marks the verification failed and rethrows when analysis fails', async () => {
+      const queued = await enqueue();
+      challengeService.getChallenge.mockResolvedValueOnce(null);
+
+      await expect(verificationService.processQueuedVerification({
+        verificationId: queued.id,
+        challengeId: 'challenge-1',
+        apiKeyId: 'key-1'
+      })).rejects.toThrow('Challenge not found');
+      expect(await status(queued.id)).toBe('failed');
+    });
+  });
+});
+
+describe('verification worker', () => {
+  it('reports an empty queue', async () => {
+    expect(await worker.processNext()).toBe(false);
+  });
+
+  it('acknowledges a job once it is processed', async () => {
+    const queued = await enqueue();
+    jest.spyOn(verificationService, 'processQueuedVerification').mockResolvedValue({ id: queued.id, isHuman: true });
+
+    expect(await worker.processNext()).toBe(true);
+
+    expect(verificationService.processQueuedVerification).toHaveBeenCalledWith(expect.objectContaining({ verificationId: queued.id }));
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+    expect(await redisClient.hGetAll(CLAIMS)).toEqual({});
+  });
+
+  it('acknowledges a job whose verification failed, so it is not retried', async () => {
+    await enqueue();
+    jest.spyOn(verificationService, 'processQueuedVerification').mockRejectedValue(new Error('Challenge not found'));
+
+    expect(await worker.processNext()).toBe(true);
+
+    expect(await redisClient.lRange(QUEUE, 0, -1)).toEqual([]);
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toEqual([]);
+  });
+
+  it('keeps the job claimed when the worker stops mid-analysis', async () => {
+    await enqueue();
+    // Never settles, like a worker killed during analysis
+    jest.spyOn(verificationService, 'processQueuedVerification').mockReturnValue(new Promise(() => {}));
+
+    worker.processNext();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await redisClient.lRange(PROCESSING, 0, -1)).toHaveLength(1);
+  });
+
+  it('looks for stale jobs at most every half claim timeout', async () => {
+    const requeue = jest.spyOn(verificationService, 'requeueStaleVerifications').mockResolvedValue(0);
+
+    await worker.requeueStale();
+    await worker.requeueStale();
+
+    expect(requeue).toHaveBeenCalledTimes(1);
+  });
+});
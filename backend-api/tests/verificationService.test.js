@@ -0,0 +1,103 @@
+jest.mock('../src/cache/redis', () => require('./helpers/memoryRedis').createMemoryRedis());
+jest.mock('../src/database/database', () => {
+  const database = jest.fn();
+  database.raw = jest.fn();
+  database.end = jest.fn();
+  return database;
+});
+jest.mock('../src/services/challengeService', () => ({
+  updateChallengeStatus: jest.fn()
+}));
+jest.mock('../src/services/webhookService', () => ({
+  emit: jest.fn()
+}));
+jest.mock('../src/services/replayDetector', () => ({
+  check: jest.fn().mockResolvedValue(null),
+  index: jest.fn()
+}));
+jest.mock('../src/services/abuseMonitor', () => ({
+  recordOutcome: jest.fn()
+}));
+jest.mock('../src/services/shadowService', () => ({
+  record: jest.fn()
+}));
+
+const redisClient = require('../src/cache/redis');
+const database = require('../src/database/database');
+const challengeService = require('../src/services/challengeService');
+const webhookService = require('../src/services/webhookService');
+const replayDetector = require('../src/services/replayDetector');
+const abuseMonitor = require('../src/services/abuseMonitor');
+const verificationService = require('../src/services/verificationService');
+
+const challenge = { id: 'challenge-1', type: 'hold', difficulty: 'easy', config: { requiredSamples: 5 } };
+const submission = {
+  pressureData: [0.1, 0.3, 0.5, 0.4, 0.2].map((pressure, i) => ({ timestamp: i * 16, pressure })),
+  apiKeyId: 'key-1',
+  submittedAt: new Date()
+};
+
+const insertedInto = {};
+
+function analysis(result) {
+  jest.spyOn(verificationService.analyzer, 'analyzePattern').mockReturnValue({
+    isHuman: true,
+    confidence: 0.9,
+    reasonCodes: [],
+    riskScore: 10,
+    detectionMethod: 'forceTouch',
+    ...result
+  });
+}
+
+beforeEach(async () => {
+  await redisClient.flushDb();
+  jest.clearAllMocks();
+  Object.keys(insertedInto).forEach(table => delete insertedInto[table]);
+  database.mockImplementation(table => ({
+    insert: jest.fn(async (row) => { insertedInto[table] = row; })
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runVerification', () => {
+  it('keeps a stored verification when a follow-up step fails', async () => {
+    analysis();
+    replayDetector.index.mockRejectedValueOnce(new Error('Redis unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const verification = await verificationService.runVerification('verification-1', challenge, submission);
+
+    expect(verification).toMatchObject({ id: 'verification-1', status: 'completed', isHuman: true });
+    expect(challengeService.updateChallengeStatus).toHaveBeenCalledWith('challenge-1', 'completed');
+    expect(challengeService.updateChallengeStatus).not.toHaveBeenCalledWith('challenge-1', 'failed');
+    expect(webhookService.emit.mock.calls.map(([, event]) => event)).toEqual(['verification.completed']);
+    // Steps after the failing one still run
+    expect(abuseMonitor.recordOutcome).toHaveBeenCalledWith('key-1', true);
+    expect(console.error).toHaveBeenCalledWith('Verification verification-1: replay index failed:', expect.any(Error));
+  });
+
+  it('fails the challenge when the verification cannot be stored', async () => {
+    analysis();
+    database.mockImplementation(() => ({ insert: jest.fn().mockRejectedValue(new Error('Connection lost')) }));
+
+    await expect(verificationService.runVerification('verification-1', challenge, submission)).rejects.toThrow('Connection lost');
+
+    expect(challengeService.updateChallengeStatus).toHaveBeenCalledWith('challenge-1', 'failed');
+    expect(webhookService.emit).toHaveBeenCalledWith('key-1', 'verification.failed', expect.objectContaining({ verificationId: 'verification-1' }));
+  });
+
+  it('reports insufficient_sensor under its own webhook event', async () => {
+    analysis({ status: 'insufficient_sensor', isHuman: null, confidence: null, riskScore: null });
+
+    const verification = await verificationService.runVerification('verification-1', challenge, submission);
+
+    expect(verification.token).toBeNull();
+    expect(insertedInto.verifications).toMatchObject({ status: 'insufficient_sensor' });
+    expect(webhookService.emit.mock.calls.map(([, event]) => event)).toEqual(['verification.insufficient_sensor']);
+    expect(abuseMonitor.recordOutcome).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../src/database/database', () => {
+  const update = jest.fn().mockResolvedValue(1);
+  const database = jest.fn(() => ({ where: jest.fn(() => ({ update })) }));
+  database.update = update;
+  return database;
+});
+
+const dns = require('dns');
+const http = require('http');
+const database = require('../src/database/database');
+const webhookService = require('../src/services/webhookService');
+
+describe('webhookService', () => {
+  let server;
+  let port;
+  let received;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      received++;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received = 0;
+    database.update.mockClear();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function delivery(url) {
+    return {
+      id: 'delivery-1',
+      event_type: 'verification.completed',
+      payload: { event: 'verification.completed' },
+      attempts: 0,
+      url,
+      secret: 'whsec_test',
+      is_active: true
+    };
+  }
+
+  it('does not deliver to a loopback address', async () => {
+    const status = await webhookService.deliver(delivery(`http://127.0.0.1:${port}/hook`));
+
+    expect(status).toBe('pending');
+    expect(received).toBe(0);
+    expect(database.update).toHaveBeenCalledWith(expect.objectContaining({
+      last_error: expect.stringContaining('non-public address')
+    }));
+  });
+
+  it('refuses a host re-pointed at a private address after it was checked', async () => {
+    // Public while the URL is checked, loopback by the time the socket connects
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      if (options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      else callback(null, '127.0.0.1', 4);
+    });
+
+    const status = await webhookService.deliver(delivery(`http://rebind.example.com:${port}/hook`));
+
+    expect(status).toBe('pending');
+    expect(received).toBe(0);
+    expect(database.update).toHaveBeenCalledWith(expect.objectContaining({
+      last_error: expect.stringContaining('non-public address')
+    }));
+  });
+});
@@ -15,13 +15,17 @@ export interface ChallengeOptions {
   type?: 'pressure_pattern' | 'rhythm_test' | 'sustained_pressure' | 'progressive_pressure';
   difficulty?: 'easy' | 'medium' | 'hard';
   duration?: number;
+  action?: string;
   onSuccess?: (token: string) => void;
   onError?: (error: Error) => void;
   onCancel?: () => void;
+  // The device reported no usable force data; offer another challenge instead of a retry
+  onInsufficientSensor?: () => void;
 }
 
 export interface VerificationResult {
   success: boolean;
+  status?: 'completed' | 'insufficient_sensor';
   token?: string;
   isHuman?: boolean;
   confidence?: number;
@@ -88,6 +92,8 @@ export class WeightCha {
       // Call success callback
       if (result.success && options.onSuccess) {
         options.onSuccess(result.token!);
+      } else if (result.status === 'insufficient_sensor' && options.onInsufficientSensor) {
+        options.onInsufficientSensor();
       }
 
       return result;
@@ -109,11 +115,15 @@ export class WeightCha {
     }
   }
 
-  async validateToken(token: string): Promise<boolean> {
+  async validateToken(token: string, expected: { action?: string; hostname?: string } = {}): Promise<boolean> {
     try {
       const response = await this.apiCall('/verification/validate-token', {
         method: 'POST',
-        body: JSON.stringify({ token })
+        body: JSON.stringify({
+          token,
+          expectedAction: expected.action,
+          expectedHostname: expected.hostname
+        })
       });
 
       return response.data.valid && response.data.isHuman;
@@ -152,7 +162,9 @@ export class WeightCha {
       body: JSON.stringify({
         type: options.type || 'pressure_pattern',
         difficulty: options.difficulty || 'medium',
-        duration: options.duration || 5
+        duration: options.duration || 5,
+        action: options.action,
+        hostname: window.location.hostname
       })
     });
 
@@ -230,8 +242,18 @@ export class WeightCha {
   private async waitForVerification(challenge: Challenge): Promise<VerificationResult> {
     return new Promise((resolve, reject) => {
       challenge.onComplete = (result) => {
+        if (result.status === 'insufficient_sensor') {
+          resolve({
+            success: false,
+            status: 'insufficient_sensor',
+            error: 'This device does not report usable pressure data'
+          });
+          return;
+        }
+
         resolve({
           success: true,
+          status: 'completed',
           token: result.token,
           isHuman: result.isHuman,
           confidence: result.confidence
@@ -12,6 +12,7 @@ class WeightCha {
       fallback: options.fallback || 'recaptcha',
       fallbackKey: options.fallbackKey || null,
       autoFallback: options.autoFallback !== false,
+      streaming: options.streaming || false,
       theme: options.theme || 'light',
       debug: options.debug || false,
       ...options
@@ -22,6 +23,10 @@ class WeightCha {
     this.isRecording = false;
     this.currentStep = 0;
     this.challengeId = null;
+    this.challenge = null;
+    this.websocketUrl = null;
+    this.stream = null;
+    this.streamQueue = [];
     this.detectionMethod = 'unknown';
     this.deviceInfo = {};
     this.capabilities = {};
@@ -38,7 +43,8 @@ class WeightCha {
     this.callbacks = {
       callback: callbacks.callback || function() {},
       'expired-callback': callbacks['expired-callback'] || function() {},
-      'error-callback': callbacks['error-callback'] || function() {}
+      'error-callback': callbacks['error-callback'] || function() {},
+      'insufficient-sensor-callback': callbacks['insufficient-sensor-callback'] || null
     };
 
     this.container = typeof selector === 'string' 
@@ -133,9 +139,11 @@ class WeightCha {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          type: 'pressure_pattern',
-          difficulty: 'normal',
-          duration: 10000 // 10 seconds
+          type: this.options.challengeType || 'pressure_pattern',
+          difficulty: this.options.difficulty || 'medium',
+          duration: this.options.duration || 10, // seconds
+          action: this.options.action,
+          hostname: window.location.hostname
         })
       });
 
@@ -145,6 +153,8 @@ class WeightCha {
 
       const result = await response.json();
       this.challengeId = result.data.challengeId;
+      this.websocketUrl = result.data.websocketUrl || null;
+      this.challenge = result.data;
       this.log('Challenge created', this.challengeId);
       
       return result.data;
@@ -164,7 +174,7 @@ class WeightCha {
       <div class="weightcha-widget ${theme}">
         <div class="weightcha-header">
           <h3>🤚 WeightCha Human Verification</h3>
-          <p>Place finger on trackpad and apply gentle pressure</p>
+          <p>${this.challenge?.instructions || 'Place finger on trackpad and apply gentle pressure'}</p>
         </div>
         
         <div class="weightcha-pressure-zone" id="weightcha-pressure-zone">
@@ -574,6 +584,10 @@ class WeightCha {
     const pressureZone = document.getElementById('weightcha-pressure-zone');
     pressureZone?.classList.add('active');
 
+    if (this.options.streaming && this.websocketUrl) {
+      this.openStream();
+    }
+
     this.log('Recording started');
   }
 
@@ -599,12 +613,15 @@ class WeightCha {
     
     const weight = this.convertPressureToWeight(pressure);
     
-    this.pressureData.push({
+    const sample = {
       pressure: pressure,
       weight: weight,
       timestamp: timestamp,
       deltaTime: timestamp - (this.startTime || timestamp)
-    });
+    };
+
+    this.pressureData.push(sample);
+    this.streamMessage('pressure_data', sample);
 
     this.updateVisualFeedback(pressure, weight);
     
@@ -617,7 +634,7 @@ class WeightCha {
   recordMotion(acceleration, rotation, timestamp) {
     if (!acceleration || !this.isRecording) return;
     
-    this.motionData.push({
+    const sample = {
       acceleration: {
         x: acceleration.x || 0,
         y: acceleration.y || 0,
@@ -629,7 +646,85 @@ class WeightCha {
         gamma: rotation?.gamma || 0
       },
       timestamp: timestamp
-    });
+    };
+
+    this.motionData.push(sample);
+    this.streamMessage('motion_data', sample);
+  }
+
+  /**
+   * Open the challenge WebSocket so samples are streamed while recording
+   */
+  openStream() {
+    if (this.stream) return;
+
+    this.streamQueue = [{
+      type: 'start',
+      data: {
+        deviceInfo: this.getStreamDeviceInfo(),
+        detectionMethod: this.detectionMethod === 'unknown' ? undefined : this.detectionMethod,
+        clientInfo: {
+          version: '1.0.0',
+          platform: 'web'
+        }
+      }
+    }];
+
+    try {
+      this.stream = new WebSocket(this.websocketUrl);
+    } catch (error) {
+      this.log('Challenge stream unavailable, falling back to submit', error);
+      this.stream = null;
+      return;
+    }
+
+    this.stream.onopen = () => {
+      this.streamQueue.forEach(message => this.stream.send(JSON.stringify(message)));
+      this.streamQueue = [];
+    };
+
+    this.stream.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+
+      switch (message.type) {
+        case 'progress':
+          this.log('Stream progress', message.data);
+          break;
+        case 'verification_status':
+          this.log('Verification status', message.data);
+          break;
+        case 'verification_complete':
+          this.handleVerificationResult(message.data);
+          break;
+        case 'error':
+          this.log('Stream error', message.error);
+          break;
+      }
+    };
+
+    this.stream.onclose = (event) => {
+      this.log('Challenge stream closed', { code: event.code, reason: event.reason });
+      this.stream = null;
+    };
+  }
+
+  streamMessage(type, data) {
+    if (!this.stream) return;
+
+    const message = { type, data };
+    if (this.stream.readyState === WebSocket.OPEN) {
+      this.stream.send(JSON.stringify(message));
+    } else {
+      this.streamQueue.push(message);
+    }
+  }
+
+  /**
+   * Device info fields accepted by the stream's start message
+   */
+  getStreamDeviceInfo() {
+    const { userAgent, screen, trackpadType, browserSupport } = this.deviceInfo;
+    return { userAgent, screen, trackpadType, browserSupport };
   }
 
   convertPressureToWeight(pressure) {
@@ -691,6 +786,12 @@ class WeightCha {
 
   async processVerification() {
     this.updateStatus('Analyzing pressure pattern...');
+
+    if (this.stream && this.stream.readyState === WebSocket.OPEN) {
+      // Samples are already on the server; the result arrives as verification_complete
+      this.streamMessage('complete');
+      return;
+    }
     
     try {
       const response = await fetch(`${this.options.apiUrl}/verification/submit`, {
@@ -717,24 +818,7 @@ class WeightCha {
       }
 
       const result = await response.json();
-      const verification = result.data;
-      
-      if (verification.isHuman) {
-        this.updateStatus(
-          `✅ Human verified! Confidence: ${(verification.confidence * 100).toFixed(1)}%`,
-          'success'
-        );
-        
-        this.log('Verification successful', verification);
-        this.callbacks.callback(verification.token);
-      } else {
-        this.updateStatus('❌ Verification failed. Please try again.', 'error');
-        this.log('Verification failed', verification);
-        
-        setTimeout(() => {
-          this.resetVerification();
-        }, 3000);
-      }
+      this.handleVerificationResult(result.data);
       
     } catch (error) {
       this.log('Verification error', error);
@@ -750,6 +834,34 @@ class WeightCha {
     }
   }
 
+  handleVerificationResult(verification) {
+    if (verification.status === 'insufficient_sensor') {
+      // Not a failed attempt: this device cannot pass, so retrying would not help
+      this.log('No usable pressure data from this device', verification);
+      if (this.callbacks['insufficient-sensor-callback']) {
+        this.callbacks['insufficient-sensor-callback']();
+      } else {
+        this.updateStatus('⚠️ This device does not report usable pressure.', 'error');
+        this.showFallback();
+      }
+    } else if (verification.isHuman) {
+      this.updateStatus(
+        `✅ Human verified! Confidence: ${(verification.confidence * 100).toFixed(1)}%`,
+        'success'
+      );
+      
+      this.log('Verification successful', verification);
+      this.callbacks.callback(verification.token);
+    } else {
+      this.updateStatus('❌ Verification failed. Please try again.', 'error');
+      this.log('Verification failed', verification);
+      
+      setTimeout(() => {
+        this.resetVerification();
+      }, 3000);
+    }
+  }
+
   resetVerification() {
     this.pressureData = [];
     this.motionData = [];